@@ -1,1800 +1,5075 @@
-﻿import React, { useState, useEffect, useMemo, useCallback } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, LabelList, LineChart, Line, Legend } from 'recharts';
-
-// --- Tax Calculation Logic (unchanged except standard deduction) ---
-const FEDERAL_BRACKETS_MFJ = [
-    { rate: 0.10, min: 0, max: 23850 }, { rate: 0.12, min: 23851, max: 96950 },
-    { rate: 0.22, min: 96951, max: 206700 }, { rate: 0.24, min: 206701, max: 394600 },
-    { rate: 0.32, min: 394601, max: 501050 }, { rate: 0.35, min: 501051, max: 751600 },
-    { rate: 0.37, min: 751601, max: Infinity },
-];
-const LTCG_BRACKETS_MFJ = [
-    { rate: 0.00, max: 96950 }, { rate: 0.15, max: 583750 }, { rate: 0.20, max: Infinity },
-];
-const FEDERAL_STANDARD_DEDUCTION_MFJ = 31500; // Updated for 2026 per user
-const SALT_CAP = 40000;
-const FEDERAL_MORTGAGE_DEBT_LIMIT = 750000;
-const CA_MORTGAGE_DEBT_LIMIT = 1000000;
-const CA_SDI_RATE = 0.013;
-const NIIT_RATE = 0.038;
-const NIIT_THRESHOLD_MFJ = 250000;
-const HOME_CAPITAL_GAINS_EXCLUSION_MFJ = 500000; // Capital gains exclusion for married couples
-
-const STATE_STANDARD_DEDUCTIONS_MFJ = {
-    'California': 10404, 'North Carolina': 25500,
-    // If other states have standard deductions, add them here as needed.
-};
-const STATES_WITH_LOCAL_TAX = ['Ohio'];
-const STATE_TAX_DATA = {
-    'California': [
-        { rate: 0.01, min: 0, max: 22108 }, { rate: 0.02, min: 22109, max: 52420 },
-        { rate: 0.04, min: 52421, max: 82734 }, { rate: 0.06, min: 82735, max: 114902 },
-        { rate: 0.08, min: 114903, max: 145194 }, { rate: 0.093, min: 145195, max: 742568 },
-        { rate: 0.103, min: 742569, max: 891080 }, { rate: 0.113, min: 891081, max: 1485132 },
-        { rate: 0.123, min: 1485133, max: Infinity }
-    ],
-    'Colorado': [{ rate: 0.044, min: 0, max: Infinity }],
-    'Ohio': [{ rate: 0.00, min: 0, max: 26050 }, { rate: 0.0275, min: 26051, max: 100000 }, { rate: 0.035, min: 100001, max: Infinity }],
-    'North Carolina': [{ rate: 0.0425, min: 0, max: Infinity }],
-    'Texas': [], 'Florida': [],
-};
-const STATE_ABBREVIATIONS = {
-    'California': 'CA', 'Colorado': 'CO', 'Ohio': 'OH',
-    'North Carolina': 'NC', 'Texas': 'TX', 'Florida': 'FL'
-};
-const calculateTax = (income, brackets) => {
-    let tax = 0;
-    let remainingIncome = income;
-    for (const bracket of brackets) {
-        if (remainingIncome <= 0) break;
-        const taxableInBracket = Math.min(remainingIncome, bracket.max - (bracket.min > 0 ? bracket.min - 1 : 0));
-        if (taxableInBracket > 0) { tax += taxableInBracket * bracket.rate; remainingIncome -= taxableInBracket; }
-    }
-    return tax;
-};
-const calculateMonthlyHousingCost = (amount, rate, propTax, insurance) => {
-    if (!amount || !rate) return 0;
-    const monthlyRate = rate / 100 / 12;
-    const numberOfPayments = 30 * 12;
-    const principalAndInterest = amount * (monthlyRate * Math.pow(1 + monthlyRate, numberOfPayments)) / (Math.pow(1 + monthlyRate, numberOfPayments) - 1);
-    const monthlyPropTax = (propTax || 0) / 12;
-    const monthlyInsurance = (insurance || 0) / 12;
-    return principalAndInterest + monthlyPropTax + monthlyInsurance;
-};
-// CORRECTED: getInterestSchedule for table display (full mortgage amount, not capped)
-function getInterestSchedule({ amount, annualRate, years = 10 }) {
-    if (!amount || !annualRate) return [];
-    const n = 30 * 12;
-    const r = annualRate / 100 / 12;
-    const monthlyPayment = amount * (r * Math.pow(1 + r, n)) / (Math.pow(1 + r, n) - 1);
-    let balance = amount;
-    let yearInterest = Array(years).fill(0);
-    for (let i = 0; i < years * 12 && balance > 0; i++) {
-        const interest = balance * r;
-        const yearIdx = Math.floor(i / 12);
-        if (yearIdx < years) yearInterest[yearIdx] += interest;
-        const principal = monthlyPayment - interest;
-        balance -= principal;
-    }
-    return yearInterest.map((interest, idx) => ({ year: idx + 1, interest }));
-}
-const formatCurrency = (value, digits = 0) => {
-    if (typeof value !== 'number' || isNaN(value)) return '$0';
-    return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: digits });
-};
-function calcMonthlyTakeHomeDelta({
-    origDeduction,
-    newDeduction,
-    agi,
-    federalTaxableIncome,
-    totalIncome,
-    shortTermGains,
-    longTermGains,
-    k401Ded,
-    hsaDed,
-    medicalDed,
-    ficaTax,
-    stateTax,
-    sdiTax,
-    localTax,
-    niit,
-    totalFederalTax,
-}) {
-    const newFedTaxableIncome = Math.max(0, agi - newDeduction);
-    const ordinaryIncome = newFedTaxableIncome - longTermGains;
-    const newOrdinaryTax = calculateTax(ordinaryIncome, FEDERAL_BRACKETS_MFJ);
-
-    // LTCG tax
-    let remainingLTCG = longTermGains;
-    const zeroRateMax = LTCG_BRACKETS_MFJ[0].max;
-    const fifteenRateMax = LTCG_BRACKETS_MFJ[1].max;
-    const taxableAtZero = Math.min(remainingLTCG, Math.max(0, zeroRateMax - ordinaryIncome));
-    remainingLTCG -= taxableAtZero;
-    const taxableAtFifteen = Math.min(remainingLTCG, Math.max(0, fifteenRateMax - Math.max(zeroRateMax, ordinaryIncome)));
-    let newCapitalGainsTax = taxableAtFifteen * 0.15;
-    remainingLTCG -= taxableAtFifteen;
-    if (remainingLTCG > 0) {
-        newCapitalGainsTax += remainingLTCG * 0.20;
-    }
-
-    // NIIT
-    const netInvestmentIncome = shortTermGains + longTermGains;
-    const niitBase = Math.max(0, Math.min(netInvestmentIncome, agi - NIIT_THRESHOLD_MFJ));
-    const newNiit = niitBase * NIIT_RATE;
-
-    const newTotalFederalTax = newOrdinaryTax + newCapitalGainsTax + newNiit;
-    // All other taxes unchanged for this purpose
-    const newTotalTaxBurden = newTotalFederalTax + ficaTax + stateTax + sdiTax + localTax;
-    const newAnnualTakeHome = totalIncome - newTotalTaxBurden - k401Ded - hsaDed - medicalDed;
-    const newMonthlyTakeHome = newAnnualTakeHome / 12;
-    return newMonthlyTakeHome;
-}
-// Add helper to calculate state-level tax impact from deduction loss
-function calcStateMonthlyTakeHomeDelta({
-    origDeduction, newDeduction, agi, state, stateStandardDed, stateTaxBrackets, localTax, sdiTax
-}) {
-    if (!stateTaxBrackets || stateTaxBrackets.length === 0) return 0;
-    const stateTaxableIncomeOrig = Math.max(0, agi - origDeduction);
-    const stateTaxableIncomeNew = Math.max(0, agi - newDeduction);
-    const origStateTax = calculateTax(stateTaxableIncomeOrig, stateTaxBrackets) + (sdiTax || 0) + (localTax || 0);
-    const newStateTax = calculateTax(stateTaxableIncomeNew, stateTaxBrackets) + (sdiTax || 0) + (localTax || 0);
-    return (origStateTax - newStateTax) / 12;
-}
-
-// --- Updated Function for Home Value Projection and Break-Even Analysis ---
-function calculateHomeValueProjection({
-    purchasePrice,
-    mortgageAmount,
-    mortgageRate,
-    annualAppreciationRate,
-    years,
-    closingCostsBuying,
-    closingCostsSelling,
-    propertyTaxRate,
-    insuranceAnnual,
-    maintenanceRate,
-    rent,
-    state
-}) {
-    const projections = [];
-    const monthlyRent = Number(rent) || 0;
-    const annualRent = monthlyRent * 12;
-    const downPayment = purchasePrice - mortgageAmount;
-
-    // Initial costs when buying
-    const closingCostsBuyingAmount = purchasePrice * (closingCostsBuying / 100);
-    const initialInvestment = downPayment + closingCostsBuyingAmount;
-
-    // Calculate monthly mortgage payment
-    const monthlyRate = mortgageRate / 100 / 12;
-    const numberOfPayments = 30 * 12;
-    const monthlyMortgagePI = mortgageAmount * (monthlyRate * Math.pow(1 + monthlyRate, numberOfPayments)) / (Math.pow(1 + monthlyRate, numberOfPayments) - 1);
-
-    // Annual costs
-    const annualPropertyTax = purchasePrice * (propertyTaxRate / 100);
-    const annualMaintenance = purchasePrice * (maintenanceRate / 100);
-    const annualHousingCost = (monthlyMortgagePI * 12) + annualPropertyTax + insuranceAnnual + annualMaintenance;
-
-    // Track remaining mortgage balance
-    let mortgageBalance = mortgageAmount;
-    let homeValue = purchasePrice;
-    let totalRentPaid = 0;
-    let totalHousingCost = 0; // Don't include initial investment in housing costs
-    let breakEvenYear = null;
-
-    const stateTaxBrackets = STATE_TAX_DATA[state] || [];
-    const capitalGainsTaxRate = 0.15; // Assume 15% LTCG rate for simplicity
-
-    for (let year = 1; year <= years; year++) {
-        // Calculate appreciation
-        homeValue = homeValue * (1 + annualAppreciationRate / 100);
-
-        // Calculate interest and principal for the year
-        let yearlyInterest = 0;
-        let yearlyPrincipal = 0;
-
-        for (let month = 1; month <= 12; month++) {
-            if (mortgageBalance <= 0) break;
-            const monthlyInterest = mortgageBalance * monthlyRate;
-            yearlyInterest += monthlyInterest;
-            const monthlyPrincipal = monthlyMortgagePI - monthlyInterest;
-            yearlyPrincipal += monthlyPrincipal;
-            mortgageBalance -= monthlyPrincipal;
-        }
-
-        // Calculate equity
-        const equity = homeValue - Math.max(0, mortgageBalance);
-
-        // Annual housing costs (excluding initial investment)
-        totalHousingCost += annualHousingCost;
-
-        // Annual rent costs
-        totalRentPaid += annualRent;
-
-        // Calculate potential sale scenario at this point
-        const closingCostsSellingAmount = homeValue * (closingCostsSelling / 100);
-        const potentialCapitalGains = Math.max(0, homeValue - purchasePrice - HOME_CAPITAL_GAINS_EXCLUSION_MFJ);
-
-        // Calculate capital gains tax
-        let capitalGainsTax = 0;
-        if (potentialCapitalGains > 0) {
-            // Federal capital gains tax
-            capitalGainsTax = potentialCapitalGains * capitalGainsTaxRate;
-
-            // State capital gains tax (if applicable)
-            if (stateTaxBrackets.length > 0) {
-                // Simplified state tax calculation for capital gains
-                const stateRate = stateTaxBrackets[stateTaxBrackets.length - 1].rate;
-                capitalGainsTax += potentialCapitalGains * stateRate;
-            }
-        }
-
-        // Net proceeds from sale
-        const netProceedsFromSale = homeValue - closingCostsSellingAmount - capitalGainsTax - Math.max(0, mortgageBalance);
-
-        // Calculate opportunity cost of down payment (simplified)
-        const opportunityCostRate = 0.05; // 5% alternative investment return
-        const opportunityCost = initialInvestment * Math.pow(1 + opportunityCostRate, year) - initialInvestment;
-
-        // UPDATED LOGIC: Break-even analysis
-        // Buy scenario: Net proceeds minus initial investment
-        const homeOwnershipNetValue = netProceedsFromSale - initialInvestment;
-
-        // UPDATED LOGIC: Rent scenario: Total rent paid MINUS investment returns
-        const rentInvestmentScenario = totalRentPaid - opportunityCost;
-
-        // Determine if this is the break-even point
-        // Break-even occurs when the buy scenario becomes better than the rent scenario
-        if (homeOwnershipNetValue <= rentInvestmentScenario && breakEvenYear === null) {
-            breakEvenYear = year;
-        }
-
-        // Calculate CAGR if we were to sell now
-        let cagr = 0;
-        if (netProceedsFromSale > initialInvestment && year > 0) {
-            cagr = (Math.pow(netProceedsFromSale / initialInvestment, 1 / year) - 1) * 100;
-        }
-
-        projections.push({
-            year,
-            homeValue,
-            equity,
-            mortgageBalance: Math.max(0, mortgageBalance),
-            yearlyInterest,
-            yearlyPrincipal,
-            capitalGainsTax,
-            netProceedsFromSale,
-            totalHousingCost,
-            totalRentPaid,
-            opportunityCost,
-            rentInvestmentScenario,
-            homeOwnershipNetValue,
-            breakEven: rentInvestmentScenario - homeOwnershipNetValue, // Positive when renting is better
-            cagr
-        });
-    }
-
-    return {
-        projections,
-        breakEvenYear: breakEvenYear || 'N/A',
-        finalCAGR: projections[projections.length - 1]?.cagr || 0
-    };
-}
-
-// --- Helper Components ---
-const InputField = React.memo(({ label, value, onChange, placeholder, type = 'number', isRate = false }) => (
-    <div className="w-full">
-        <label className="block text-sm font-medium text-gray-700 mb-1">
-            {label}
-        </label>
-        <div className="relative">
-            {!isRate && type === 'number' && <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">$</span>}
-            <input
-                type={type}
-                value={value}
-                onChange={e => onChange(e.target.value)}
-                placeholder={placeholder}
-                className={`w-full pr-4 py-2 bg-gray-50 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 transition ${!isRate && type === 'number' ? 'pl-7' : 'pl-3'}`}
-            />
-            {isRate && <span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500">%</span>}
-        </div>
-    </div>
-));
-const StateCheckbox = React.memo(({ state, isSelected, onChange }) => (
-    <label className="flex items-center space-x-2 p-2 rounded-md hover:bg-gray-100 cursor-pointer">
-        <input
-            type="checkbox"
-            checked={isSelected}
-            onChange={() => onChange(state)}
-            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
-        />
-        <span className="text-sm font-medium text-gray-800">{state}</span>
-    </label>
-));
-
-const TabButton = ({ label, isActive, onClick }) => (
-    <button
-        onClick={onClick}
-        className={`px-3 sm:px-4 py-2 text-sm font-semibold rounded-t-lg border-b-2 transition-colors duration-200
-      ${isActive
-                ? 'text-indigo-600 border-indigo-600 bg-white'
-                : 'text-gray-500 border-transparent hover:text-gray-700 hover:border-gray-300'
-            }`
-        }
-    >
-        {label}
-    </button>
-);
-
-// --- AnalysisCharts Component ---
-const AnalysisCharts = ({ resultsByState, selectedStates }) => {
-    const [baseState, setBaseState] = useState(selectedStates[0] || '');
-    const [takeHomeDeltaView, setTakeHomeDeltaView] = useState('monthly');
-    const [netCashDeltaView, setNetCashDeltaView] = useState('monthly');
-
-    useEffect(() => {
-        if (!selectedStates.includes(baseState) && selectedStates.length > 0) {
-            setBaseState(selectedStates[0]);
-        }
-    }, [selectedStates, baseState]);
-
-    const takeHomeDeltaData = selectedStates.map(state => {
-        const baseValue = takeHomeDeltaView === 'monthly'
-            ? (resultsByState[baseState]?.monthlyTakeHome || 0)
-            : (resultsByState[baseState]?.annualTakeHome || 0);
-        const stateValue = takeHomeDeltaView === 'monthly'
-            ? (resultsByState[state]?.monthlyTakeHome || 0)
-            : (resultsByState[state]?.annualTakeHome || 0);
-        return { name: STATE_ABBREVIATIONS[state] || state, Delta: stateValue - baseValue };
-    });
-
-    // UPDATED: Now uses monthlyNetSavings
-    const netSavingsDeltaData = selectedStates.map(state => {
-        const baseValue = netCashDeltaView === 'monthly'
-            ? (resultsByState[baseState]?.monthlyNetSavings || 0)
-            : ((resultsByState[baseState]?.monthlyNetSavings || 0) * 12);
-        const stateValue = netCashDeltaView === 'monthly'
-            ? (resultsByState[state]?.monthlyNetSavings || 0)
-            : ((resultsByState[state]?.monthlyNetSavings || 0) * 12);
-        return { name: STATE_ABBREVIATIONS[state] || state, Delta: stateValue - baseValue };
-    });
-
-    const renderCustomBarLabel = ({ x, y, width, height, value }) => {
-        const yPos = value >= 0 ? y - 5 : y + height + 15;
-        const color = value >= 0 ? '#16a34a' : '#dc2626';
-        return (
-            <text x={x + width / 2} y={yPos} fill={color} textAnchor="middle" dy={0} fontSize={12} fontWeight="bold">
-                {formatCurrency(value)}
-            </text>
-        );
-    };
-
-    return (
-        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Scenario Analysis</h2>
-            <div className="flex justify-center items-center gap-2 mb-6 text-sm">
-                <label htmlFor="baseStateSelect" className="text-gray-600 font-medium">Compare Against:</label>
-                <select id="baseStateSelect" value={baseState} onChange={(e) => setBaseState(e.target.value)} className="p-1 border border-gray-300 rounded-md bg-white">
-                    {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
-                </select>
-            </div>
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 items-end">
-                <div>
-                    <h3 className="text-lg sm:text-xl font-semibold text-center mb-2">Net Savings Delta</h3>
-                    <div className="flex justify-center items-center gap-4 mb-4 text-sm">
-                        <div className="inline-flex rounded-md shadow-sm">
-                            <button onClick={() => setNetCashDeltaView('monthly')} className={`px-3 py-1 text-xs font-medium rounded-l-lg border ${netCashDeltaView === 'monthly' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Monthly</button>
-                            <button onClick={() => setNetCashDeltaView('annual')} className={`px-3 py-1 text-xs font-medium rounded-r-lg border ${netCashDeltaView === 'annual' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Annual</button>
-                        </div>
-                    </div>
-                    <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={netSavingsDeltaData} margin={{ top: 20, right: 20, left: -10, bottom: 5 }}>
-                            <CartesianGrid strokeDasharray="3 3" />
-                            <XAxis dataKey="name" />
-                            <YAxis tickFormatter={(value) => formatCurrency(value)} />
-                            <Tooltip formatter={(value) => formatCurrency(value)} />
-                            <ReferenceLine y={0} stroke="#000" />
-                            <Bar dataKey="Delta" fill="#8884d8">
-                                <LabelList dataKey="Delta" content={renderCustomBarLabel} />
-                            </Bar>
-                        </BarChart>
-                    </ResponsiveContainer>
-                </div>
-                <div>
-                    <h3 className="text-lg sm:text-xl font-semibold text-center mb-2">Take-Home Pay Delta</h3>
-                    <div className="flex justify-center items-center gap-4 mb-4 text-sm">
-                        <div className="inline-flex rounded-md shadow-sm">
-                            <button onClick={() => setTakeHomeDeltaView('monthly')} className={`px-3 py-1 text-xs font-medium rounded-l-lg border ${takeHomeDeltaView === 'monthly' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Monthly</button>
-                            <button onClick={() => setTakeHomeDeltaView('annual')} className={`px-3 py-1 text-xs font-medium rounded-r-lg border ${takeHomeDeltaView === 'annual' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Annual</button>
-                        </div>
-                    </div>
-                    <ResponsiveContainer width="100%" height={300}>
-                        <BarChart data={takeHomeDeltaData} margin={{ top: 20, right: 20, left: -10, bottom: 5 }}>
-                            <CartesianGrid strokeDasharray="3 3" />
-                            <XAxis dataKey="name" />
-                            <YAxis tickFormatter={(value) => formatCurrency(value)} />
-                            <Tooltip formatter={(value) => formatCurrency(value)} />
-                            <ReferenceLine y={0} stroke="#000" />
-                            <Bar dataKey="Delta" fill="#82ca9d">
-                                <LabelList dataKey="Delta" content={renderCustomBarLabel} />
-                            </Bar>
-                        </BarChart>
-                    </ResponsiveContainer>
-                </div>
-            </div>
-        </div>
-    );
-};
-
-// --- NEW: Cash Flow Analysis Component ---
-const CashFlowAnalysis = ({ selectedStates, resultsByState, cashFlowInputs, handleCashFlowInputChange }) => {
-    const expenseCategories = ['Utilities', 'Car P&I', 'Food', 'Childcare', 'Entertainment', 'Travel', 'Other'];
-    return (
-        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Cash Flow Analysis</h2>
-            <div className="overflow-x-auto">
-                <table className="min-w-full divide-y divide-gray-200">
-                    <thead className="bg-gray-50">
-                        <tr>
-                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
-                            {selectedStates.map(state => <th key={state} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{state}</th>)}
-                        </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-200">
-                        <tr className="bg-gray-100">
-                            <td className="px-4 py-3 font-semibold text-sm">Net Cash After Housing</td>
-                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-semibold text-sm">{formatCurrency(resultsByState[state]?.monthlyNetCash)}</td>)}
-                        </tr>
-                        {expenseCategories.map(cat => (
-                            <tr key={cat}>
-                                <td className="px-4 py-3 text-sm">{cat}</td>
-                                {selectedStates.map(state => (
-                                    <td key={state} className="px-4 py-2">
-                                        <div className="relative">
-                                            <span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span>
-                                            <input
-                                                type="number"
-                                                value={cashFlowInputs[state]?.[cat] || ''}
-                                                onChange={e => handleCashFlowInputChange(state, cat, e.target.value)}
-                                                className="w-full text-right pr-2 pl-5 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm"
-                                                placeholder="0"
-                                            />
-                                        </div>
-                                    </td>
-                                ))}
-                            </tr>
-                        ))}
-                        <tr className="bg-gray-100">
-                            <td className="px-4 py-3 font-semibold text-sm">Total Monthly Expenses</td>
-                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-semibold text-sm text-red-600">{formatCurrency(resultsByState[state]?.totalMonthlyExpenses)}</td>)}
-                        </tr>
-                        <tr className="bg-green-100">
-                            <td className="px-4 py-3 font-bold text-sm text-green-800">Final Monthly Net Savings</td>
-                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-bold text-sm text-green-800">{formatCurrency(resultsByState[state]?.monthlyNetSavings)}</td>)}
-                        </tr>
-                    </tbody>
-                </table>
-            </div>
-        </div>
-    );
-};
-
-
-// --- Retirement Analysis Component ---
-// UPDATED: State is lifted up, now receives props for inputs and handlers
-const RetirementAnalysis = ({ resultsByState, selectedStates, retirementInputs, handleRetirementInputChange }) => {
-    const { portfolioGrowthRate, currentAge, retirementAge, currentAssets, baseAnnualSavings, fiNumber, swr } = retirementInputs;
-    const { setPortfolioGrowthRate, setCurrentAge, setRetirementAge, setCurrentAssets, setBaseAnnualSavings, setFiNumber, setSwr } = handleRetirementInputChange;
-
-    const [baseState, setBaseState] = useState(selectedStates[0] || '');
-
-    useEffect(() => {
-        if (!selectedStates.includes(baseState) && selectedStates.length > 0) {
-            setBaseState(selectedStates[0]);
-        }
-    }, [selectedStates, baseState]);
-
-    const yearsToProject = useMemo(() => Math.max(0, Number(retirementAge) - Number(currentAge)), [retirementAge, currentAge]);
-
-    const projectionData = useMemo(() => {
-        if (!baseState || !resultsByState[baseState]) return [];
-
-        // UPDATED: Use monthlyNetSavings
-        const baseAnnualNetSavings = (resultsByState[baseState].monthlyNetSavings || 0) * 12;
-
-        return selectedStates.map(state => {
-            if (!resultsByState[state]) return null;
-
-            // UPDATED: Use monthlyNetSavings
-            const stateAnnualNetSavings = (resultsByState[state].monthlyNetSavings || 0) * 12;
-            const annualDifference = stateAnnualNetSavings - baseAnnualNetSavings;
-
-            const rate = portfolioGrowthRate / 100;
-            let futureValue = 0;
-            let futureValueChartData = [];
-            for (let i = 1; i <= yearsToProject; i++) {
-                futureValue = (futureValue + annualDifference) * (1 + rate);
-                futureValueChartData.push({ year: Number(currentAge) + i, value: futureValue });
-            }
-
-            return {
-                state,
-                annualDifference,
-                futureValue,
-                chartData: futureValueChartData,
-            };
-        }).filter(Boolean);
-    }, [resultsByState, baseState, portfolioGrowthRate, currentAge, yearsToProject, selectedStates]);
-
-    const backsolverCalculations = useMemo(() => {
-        if (!baseState || !resultsByState[baseState]) return { table: [], chart: [] };
-
-        const rate = portfolioGrowthRate / 100;
-        const targetAssets = Number(fiNumber);
-        // UPDATED: Use monthlyNetSavings
-        const baseStateAnnualNetSavings = (resultsByState[baseState].monthlyNetSavings || 0) * 12;
-
-        let maxYears = 0;
-        const tableData = [];
-
-        for (const state of selectedStates) {
-            // UPDATED: Use monthlyNetSavings
-            const stateAnnualNetSavings = (resultsByState[state]?.monthlyNetSavings || 0) * 12;
-            const cashDelta = stateAnnualNetSavings - baseStateAnnualNetSavings;
-            const totalAnnualContribution = Number(baseAnnualSavings) + cashDelta;
-
-            let years = Infinity;
-            if (totalAnnualContribution <= 0 && (Number(currentAssets) * rate) <= 0) {
-                years = Infinity;
-            } else {
-                if (rate > 0) {
-                    const val1 = targetAssets * rate + totalAnnualContribution;
-                    const val2 = Number(currentAssets) * rate + totalAnnualContribution;
-                    if (val1 > 0 && val2 > 0) {
-                        years = Math.log(val1 / val2) / Math.log(1 + rate);
-                    }
-                } else { // Handle 0% growth rate
-                    if (totalAnnualContribution > 0) {
-                        years = (targetAssets - Number(currentAssets)) / totalAnnualContribution;
-                    }
-                }
-            }
-
-            const finalYears = years > 100 ? Infinity : years;
-            if (isFinite(finalYears)) {
-                maxYears = Math.max(maxYears, Math.ceil(finalYears));
-            }
-            tableData.push({ state, years: finalYears, totalAnnualContribution });
-        }
-
-        maxYears = Math.min(maxYears + 2, 50); // Add a buffer and cap at 50 years
-
-        const chartData = tableData.map(({ state, totalAnnualContribution }) => {
-            let series = [{ age: Number(currentAge), value: Number(currentAssets) }];
-            let assets = Number(currentAssets);
-            for (let i = 1; i <= maxYears; i++) {
-                assets = assets * (1 + rate) + totalAnnualContribution;
-                series.push({ age: Number(currentAge) + i, value: assets });
-                if (assets > targetAssets) break; // Stop charting after reaching FI
-            }
-            return { state, data: series };
-        });
-
-        return { table: tableData, chart: chartData, maxYears };
-    }, [resultsByState, selectedStates, currentAssets, fiNumber, portfolioGrowthRate, baseAnnualSavings, baseState, currentAge]);
-
-    if (selectedStates.length < 1) {
-        return (
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 mb-4">Retirement Projection</h2>
-                <p className="text-gray-600">Please select at least one state to run retirement calculations.</p>
-            </div>
-        );
-    }
-
-    const annualRetirementIncome = Number(fiNumber) * (swr / 100);
-
-    return (
-        <div className="space-y-8">
-            {/* Savings Projection */}
-            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Retirement Savings Projection</h2>
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
-                    <InputField label="Current Age" value={currentAge} onChange={setCurrentAge} />
-                    <InputField label="Target Retirement Age" value={retirementAge} onChange={setRetirementAge} />
-                    <InputField label="Portfolio Growth Rate" value={portfolioGrowthRate} onChange={setPortfolioGrowthRate} isRate={true} />
-                    <div className="w-full">
-                        <label htmlFor="baseStateSelectRetire" className="block text-sm font-medium text-gray-700 mb-1">Compare Against</label>
-                        <select id="baseStateSelectRetire" value={baseState} onChange={(e) => setBaseState(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
-                            {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
-                        </select>
-                    </div>
-                </div>
-
-                {selectedStates.length > 1 && (
-                    <>
-                        <h3 className="text-lg sm:text-xl font-semibold text-center mb-4 mt-8">Projected Additional Savings Growth by Age {retirementAge}</h3>
-                        <ResponsiveContainer width="100%" height={400}>
-                            <LineChart margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
-                                <CartesianGrid strokeDasharray="3 3" />
-                                <XAxis type="number" dataKey="year" domain={[Number(currentAge), Number(retirementAge)]} tickFormatter={(tick) => `Age ${tick}`} />
-                                <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
-                                <Tooltip formatter={(value) => formatCurrency(value, 0)} />
-                                <Legend />
-                                <ReferenceLine y={0} stroke="#000" />
-                                {projectionData.map((data, index) => (
-                                    <Line key={data.state} type="monotone" dataKey="value" data={data.chartData} name={`${data.state} vs ${baseState}`} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
-                                ))}
-                            </LineChart>
-                        </ResponsiveContainer>
-
-                        <div className="overflow-x-auto mt-6">
-                            <table className="min-w-full divide-y divide-gray-200">
-                                <thead className="bg-gray-50">
-                                    <tr>
-                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
-                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Annual Savings Difference</th>
-                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Potential Value at Age {retirementAge}</th>
-                                    </tr>
-                                </thead>
-                                <tbody className="bg-white divide-y divide-gray-200">
-                                    {projectionData.map(data => (
-                                        data.state !== baseState && <tr key={data.state}>
-                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{data.state}</td>
-                                            <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${data.annualDifference > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                                                {formatCurrency(data.annualDifference)}
-                                            </td>
-                                            <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${data.futureValue > 0 ? 'text-green-600' : 'text-red-600'}`}>
-                                                {formatCurrency(data.futureValue)}
-                                            </td>
-                                        </tr>
-                                    ))}
-                                </tbody>
-                            </table>
-                        </div>
-                    </>
-                )}
-            </div>
-
-            {/* Backsolver */}
-            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Financial Independence Backsolver</h2>
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
-                    <InputField label="Current Assets" value={currentAssets} onChange={setCurrentAssets} />
-                    <InputField label={`Base Annual Savings (in ${baseState})`} value={baseAnnualSavings} onChange={setBaseAnnualSavings} />
-                    <InputField label="FI Target Amount" value={fiNumber} onChange={setFiNumber} />
-                    <InputField label="Safe Withdrawal Rate" value={swr} onChange={setSwr} isRate={true} />
-                </div>
-
-                <h3 className="text-lg sm:text-xl font-semibold text-center mb-4 mt-8">Path to Financial Independence</h3>
-                <ResponsiveContainer width="100%" height={400}>
-                    <LineChart margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis type="number" dataKey="age" domain={['dataMin', 'dataMax']} tickFormatter={(tick) => `Age ${tick}`} allowDecimals={false} />
-                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
-                        <Tooltip formatter={(value, name) => [formatCurrency(value, 0), name]} />
-                        <Legend />
-                        <ReferenceLine y={Number(fiNumber)} label={{ value: `FI Target: ${formatCurrency(fiNumber)}`, position: 'insideTopLeft' }} stroke="red" strokeDasharray="3 3" />
-                        {backsolverCalculations.chart.map((series, index) => (
-                            <Line key={series.state} type="monotone" dataKey="value" data={series.data} name={series.state} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
-                        ))}
-                    </LineChart>
-                </ResponsiveContainer>
-
-                <div className="overflow-x-auto mt-6">
-                    <table className="min-w-full divide-y divide-gray-200">
-                        <thead className="bg-gray-50">
-                            <tr>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
-                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Adjusted Annual Savings</th>
-                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Years to FI</th>
-                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Retirement Age</th>
-                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Est. Annual Income at FI</th>
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {backsolverCalculations.table.map(res => (
-                                <tr key={res.state}>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{res.state}</td>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(res.totalAnnualContribution)}</td>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{isFinite(res.years) ? res.years.toFixed(1) : 'Never'}</td>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{isFinite(res.years) ? (Number(currentAge) + res.years).toFixed(1) : 'N/A'}</td>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(annualRetirementIncome)}</td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
-                    <p className="mt-3 text-xs text-gray-500">
-                        <b>Years to FI</b> is the time it takes for your current assets, plus compounded annual savings, to reach your FI Target. Assumes a {portfolioGrowthRate}% portfolio growth rate.
-                    </p>
-                </div>
-            </div>
-        </div>
-    );
-};
-
-// --- NEW: Home-Ownership Break-Even Analysis Component ---
-const BreakEvenAnalysis = ({ resultsByState, selectedStates, stateInputs, breakEvenInputs, handleBreakEvenInputChange }) => {
-    const [activeState, setActiveState] = useState(selectedStates[0] || '');
-    const [activeTimeframe, setActiveTimeframe] = useState('10');
-    const [showFullTable, setShowFullTable] = useState(false);
-
-    const {
-        annualAppreciationRate,
-        closingCostsBuying,
-        closingCostsSelling,
-        analysisYears,
-        propertyTaxRate,
-        maintenanceRate
-    } = breakEvenInputs;
-
-    const {
-        setAnnualAppreciationRate,
-        setClosingCostsBuying,
-        setClosingCostsSelling,
-        setAnalysisYears,
-        setPropertyTaxRate,
-        setMaintenanceRate
-    } = handleBreakEvenInputChange;
-
-    useEffect(() => {
-        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
-            setActiveState(selectedStates[0]);
-        }
-    }, [selectedStates, activeState]);
-
-    const timeframeOptions = ['5', '10', '15', '20', '30'];
-
-    const breakEvenAnalysis = useMemo(() => {
-        if (!activeState || !resultsByState[activeState]) return null;
-
-        const currentStateInputs = stateInputs[activeState] || {};
-        const mortgageAmount = Number(currentStateInputs.mortgageAmount) || 0;
-        const mortgageRate = Number(currentStateInputs.mortgageRate) || 0;
-        const propertyTax = Number(currentStateInputs.propertyTax) || 0;
-        const homeInsurance = Number(currentStateInputs.homeInsurance) || 0;
-        const monthlyRent = Number(currentStateInputs.monthlyRent) || 0;
-
-        // UPDATED: Calculate purchase price from mortgage amount (assuming 80% LTV)
-        const purchasePrice = mortgageAmount / 0.8;
-
-        // Calculate property tax rate if not explicitly set
-        const calcPropertyTaxRate = propertyTaxRate || (purchasePrice > 0 ? (propertyTax / purchasePrice) * 100 : 1);
-
-        return calculateHomeValueProjection({
-            purchasePrice: purchasePrice,
-            mortgageAmount: mortgageAmount,
-            mortgageRate: mortgageRate,
-            annualAppreciationRate: Number(annualAppreciationRate) || 3,
-            years: Number(analysisYears) || 30,
-            closingCostsBuying: Number(closingCostsBuying) || 2,
-            closingCostsSelling: Number(closingCostsSelling) || 6,
-            propertyTaxRate: calcPropertyTaxRate,
-            insuranceAnnual: homeInsurance,
-            maintenanceRate: Number(maintenanceRate) || 1,
-            rent: monthlyRent,
-            state: activeState
-        });
-    }, [activeState, resultsByState, stateInputs, annualAppreciationRate, closingCostsBuying,
-        closingCostsSelling, analysisYears, propertyTaxRate, maintenanceRate]);
-
-    // Get data series for chart
-    const chartData = useMemo(() => {
-        if (!breakEvenAnalysis) return [];
-
-        const years = Number(activeTimeframe) || 10;
-
-        return breakEvenAnalysis.projections
-            .filter(row => row.year <= years)
-            .map(row => ({
-                year: row.year,
-                homeValue: row.homeValue,
-                equity: row.equity,
-                netProceedsFromSale: row.netProceedsFromSale,
-                rentScenario: row.rentInvestmentScenario,
-                breakEven: row.breakEven
-            }));
-    }, [breakEvenAnalysis, activeTimeframe]);
-
-    if (selectedStates.length < 1) {
-        return (
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 mb-4">Home-Ownership Break-Even Analysis</h2>
-                <p className="text-gray-600">Please select at least one state to run break-even calculations.</p>
-            </div>
-        );
-    }
-
-    return (
-        <div className="space-y-8">
-            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Home-Ownership Break-Even Analysis</h2>
-
-                <div className="flex flex-col lg:flex-row gap-6 mb-6">
-                    {/* Left side: inputs */}
-                    <div className="flex-1 space-y-4">
-                        <div className="flex items-center gap-4 mb-4">
-                            <div className="w-full">
-                                <label htmlFor="activeStateSelect" className="block text-sm font-medium text-gray-700 mb-1">State to Analyze</label>
-                                <select
-                                    id="activeStateSelect"
-                                    value={activeState}
-                                    onChange={(e) => setActiveState(e.target.value)}
-                                    className="w-full p-2 border border-gray-300 rounded-md bg-white"
-                                >
-                                    {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
-                                </select>
-                            </div>
-
-                            <div className="w-full">
-                                <label className="block text-sm font-medium text-gray-700 mb-1">Chart Timeframe</label>
-                                <div className="flex rounded-md shadow-sm">
-                                    {timeframeOptions.map(option => (
-                                        <button
-                                            key={option}
-                                            onClick={() => setActiveTimeframe(option)}
-                                            className={`flex-1 px-3 py-1 text-xs font-medium border ${activeTimeframe === option
-                                                    ? 'bg-indigo-500 text-white'
-                                                    : 'bg-white text-gray-600'
-                                                } ${option === timeframeOptions[0] ? 'rounded-l-md' :
-                                                    option === timeframeOptions[timeframeOptions.length - 1] ? 'rounded-r-md' : ''
-                                                }`}
-                                        >
-                                            {option} years
-                                        </button>
-                                    ))}
-                                </div>
-                            </div>
-                        </div>
-
-                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                            <InputField
-                                label="Annual Home Appreciation (%)"
-                                value={annualAppreciationRate}
-                                onChange={setAnnualAppreciationRate}
-                                isRate={true}
-                            />
-                            <InputField
-                                label="Maintenance Cost (% of value/year)"
-                                value={maintenanceRate}
-                                onChange={setMaintenanceRate}
-                                isRate={true}
-                            />
-                            <InputField
-                                label="Buyer's Closing Costs (%)"
-                                value={closingCostsBuying}
-                                onChange={setClosingCostsBuying}
-                                isRate={true}
-                            />
-                            <InputField
-                                label="Seller's Closing Costs (%)"
-                                value={closingCostsSelling}
-                                onChange={setClosingCostsSelling}
-                                isRate={true}
-                            />
-                            <InputField
-                                label="Analysis Period (years)"
-                                value={analysisYears}
-                                onChange={setAnalysisYears}
-                            />
-                            <InputField
-                                label="Property Tax Rate (%)"
-                                value={propertyTaxRate}
-                                onChange={setPropertyTaxRate}
-                                isRate={true}
-                            />
-                        </div>
-                    </div>
-
-                    {/* Right side: summary stats */}
-                    <div className="lg:w-2/5 bg-gray-50 p-4 rounded-lg border border-gray-200">
-                        <h3 className="text-lg font-semibold text-gray-800 mb-4">Analysis Summary for {activeState}</h3>
-                        <div className="space-y-3">
-                            <div className="flex justify-between items-center border-b pb-2">
-                                <span className="text-sm font-medium text-gray-600">Purchase Price:</span>
-                                <span className="text-sm font-semibold">{formatCurrency(stateInputs[activeState]?.mortgageAmount || 0)}</span>
-                            </div>
-                            <div className="flex justify-between items-center border-b pb-2">
-                                <span className="text-sm font-medium text-gray-600">Monthly Rent Equivalent:</span>
-                                <span className="text-sm font-semibold">{formatCurrency(stateInputs[activeState]?.monthlyRent || 0)}</span>
-                            </div>
-                            <div className="flex justify-between items-center border-b pb-2">
-                                <span className="text-sm font-medium text-gray-600">Break-Even Point:</span>
-                                <span className="text-sm font-bold text-indigo-700">
-                                    {breakEvenAnalysis?.breakEvenYear === 'N/A'
-                                        ? 'N/A'
-                                        : `${breakEvenAnalysis?.breakEvenYear} years`}
-                                </span>
-                            </div>
-                            <div className="flex justify-between items-center border-b pb-2">
-                                <span className="text-sm font-medium text-gray-600">Final CAGR After Costs:</span>
-                                <span className={`text-sm font-bold ${breakEvenAnalysis?.finalCAGR > 0 ? 'text-green-600' :
-                                        breakEvenAnalysis?.finalCAGR < 0 ? 'text-red-600' : 'text-gray-700'
-                                    }`}>
-                                    {breakEvenAnalysis?.finalCAGR.toFixed(2)}%
-                                </span>
-                            </div>
-                            <div className="flex justify-between items-center border-b pb-2">
-                                <span className="text-sm font-medium text-gray-600">Value After {analysisYears} Years:</span>
-                                <span className="text-sm font-semibold">
-                                    {formatCurrency(breakEvenAnalysis?.projections[breakEvenAnalysis.projections.length - 1]?.homeValue || 0)}
-                                </span>
-                            </div>
-                            <div className="flex justify-between items-center">
-                                <span className="text-sm font-medium text-gray-600">Net Proceeds After Sale:</span>
-                                <span className="text-sm font-semibold">
-                                    {formatCurrency(breakEvenAnalysis?.projections[breakEvenAnalysis.projections.length - 1]?.netProceedsFromSale || 0)}
-                                </span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-
-                {/* Chart */}
-                <h3 className="text-lg font-semibold text-gray-800 mb-4 mt-6">Break-Even Visualization ({activeTimeframe} Years)</h3>
-                <ResponsiveContainer width="100%" height={400}>
-                    <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
-                        <CartesianGrid strokeDasharray="3 3" />
-                        <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottomRight', offset: -5 }} />
-                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
-                        <Tooltip formatter={(value) => formatCurrency(value, 0)} />
-                        <Legend />
-                        <ReferenceLine y={0} stroke="#000" />
-                        <Line type="monotone" dataKey="homeValue" name="Home Value" stroke="#8884d8" strokeWidth={2} />
-                        <Line type="monotone" dataKey="equity" name="Home Equity" stroke="#82ca9d" strokeWidth={2} />
-                        <Line type="monotone" dataKey="netProceedsFromSale" name="Net Proceeds After Sale" stroke="#ff7300" strokeWidth={2} />
-                        <Line type="monotone" dataKey="rentScenario" name="Rent + Invest Scenario" stroke="#ff0000" strokeWidth={2} />
-                        <Line type="monotone" dataKey="breakEven" name="Buy vs. Rent Advantage" stroke="#00C49F" strokeDasharray="5 5" />
-                    </LineChart>
-                </ResponsiveContainer>
-
-                {/* Table */}
-                <div className="mt-8">
-                    <div className="flex justify-between items-center mb-4">
-                        <h3 className="text-lg font-semibold text-gray-800">Year-by-Year Breakdown</h3>
-                        <button
-                            onClick={() => setShowFullTable(prev => !prev)}
-                            className="text-sm text-indigo-600 hover:text-indigo-800"
-                        >
-                            {showFullTable ? 'Show Less' : 'Show Full Table'}
-                        </button>
-                    </div>
-
-                    <div className="overflow-x-auto">
-                        <table className="min-w-full divide-y divide-gray-200">
-                            <thead className="bg-gray-50">
-                                <tr>
-                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Home Value</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Equity</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mortgage Balance</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Capital Gains Tax</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net After Sale</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">CAGR</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rent Alternative</th>
-                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Buy Advantage</th>
-                                </tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                                {breakEvenAnalysis?.projections
-                                    .filter(row => showFullTable ? true : (row.year % 5 === 0 || row.year === 1 || row.year === breakEvenAnalysis.breakEvenYear))
-                                    .map(row => (
-                                        <tr key={row.year} className={row.year === breakEvenAnalysis.breakEvenYear ? 'bg-green-50' : ''}>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
-                                                {row.year}{row.breakEven <= 0 ? ' ⭐' : ''}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.homeValue)}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.equity)}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.mortgageBalance)}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.capitalGainsTax)}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.netProceedsFromSale)}
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {row.cagr.toFixed(2)}%
-                                            </td>
-                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
-                                                {formatCurrency(row.rentInvestmentScenario)}
-                                            </td>
-                                            <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${row.breakEven <= 0 ? 'text-green-600' : 'text-red-600'
-                                                }`}>
-                                                {formatCurrency(row.breakEven)}
-                                            </td>
-                                        </tr>
-                                    ))}
-                            </tbody>
-                        </table>
-                    </div>
-                    <p className="mt-3 text-xs text-gray-500">
-                        <b>Buy Advantage</b> shows the financial advantage of buying vs. renting at each point. Positive values mean buying is ahead.
-                        The star (⭐) indicates the break-even year.
-                    </p>
-                </div>
-            </div>
-        </div>
-    );
-};
-
-export default function TaxCalculator() {
-    const [activeView, setActiveView] = useState('comparison');
-    const [showRentScenario, setShowRentScenario] = useState(true);
-
-    const [income, setIncome] = useState(250000);
-    const [stGains, setStGains] = useState(5000);
-    const [ltGains, setLtGains] = useState(10000);
-    const [hsa, setHsa] = useState(8300);
-    const [k401, setK401] = useState(46000);
-    const [medicalPremiums, setMedicalPremiums] = useState(6000);
-    const [otherItemized, setOtherItemized] = useState(5000);
-    const [selectedStates, setSelectedStates] = useState(['California', 'Ohio', 'Texas']);
-    const [stateInputs, setStateInputs] = useState({
-        'California': { mortgageAmount: 1000000, mortgageRate: 5.5, propertyTax: 12000, homeInsurance: 1500, monthlyRent: 4000 },
-        'Texas': { mortgageAmount: 450000, mortgageRate: 5.8, propertyTax: 9500, homeInsurance: 2000, monthlyRent: 2500 },
-        'Colorado': { mortgageAmount: 600000, mortgageRate: 5.6, propertyTax: 6000, homeInsurance: 1200, monthlyRent: 2200 },
-        'Ohio': { mortgageAmount: 300000, mortgageRate: 5.9, propertyTax: 5500, localTaxRate: 2.5, homeInsurance: 1000, monthlyRent: 1800 },
-        'North Carolina': { mortgageAmount: 400000, mortgageRate: 5.7, propertyTax: 4000, homeInsurance: 1100, monthlyRent: 2000 },
-    });
-
-    // NEW: State for cash flow inputs
-    const [cashFlowInputs, setCashFlowInputs] = useState({});
-
-    // NEW: State for retirement inputs is lifted up
-    const [retirementInputs, setRetirementInputs] = useState({
-        portfolioGrowthRate: 7, currentAge: 37, retirementAge: 50,
-        currentAssets: 100000, baseAnnualSavings: 25000,
-        fiNumber: 2000000, swr: 4,
-    });
-
-    // NEW: State for break-even analysis inputs
-    const [breakEvenInputs, setBreakEvenInputs] = useState({
-        annualAppreciationRate: 3,
-        closingCostsBuying: 2,
-        closingCostsSelling: 6,
-        analysisYears: 30,
-        propertyTaxRate: 1,
-        maintenanceRate: 1
-    });
-
-    const [scenarioName, setScenarioName] = useState("");
-    const [selectedScenario, setSelectedScenario] = useState("");
-    const [savedScenarios, setSavedScenarios] = useState({});
-    const [expandedRows, setExpandedRows] = useState({});
-    const [expandedSchedules, setExpandedSchedules] = useState({});
-
-    // UPDATED: New local storage key for new data structure
-    const LOCAL_STORAGE_KEY = "taxScenariosV2";
-
-    const getStoredScenarios = () => {
-        try {
-            return JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || '{}');
-        } catch {
-            return {};
-        }
-    };
-    const saveScenarios = (scenarios) => {
-        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(scenarios));
-    };
-
-    useEffect(() => {
-        setSavedScenarios(getStoredScenarios());
-    }, []);
-
-    const handleSaveScenario = useCallback(() => {
-        if (!scenarioName) { alert("Please enter a scenario name."); return; }
-        // UPDATED: Save all inputs including cash flow, retirement, and break-even
-        const scenarioData = {
-            income, stGains, ltGains, hsa, k401, medicalPremiums, otherItemized,
-            selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs
-        };
-        const updatedScenarios = { ...getStoredScenarios(), [scenarioName]: scenarioData };
-        saveScenarios(updatedScenarios);
-        setSavedScenarios(updatedScenarios);
-        alert(`Scenario "${scenarioName}" saved!`);
-        setScenarioName("");
-    }, [scenarioName, income, stGains, ltGains, hsa, k401, medicalPremiums, otherItemized,
-        selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs]);
-
-    const handleLoadScenario = useCallback((name) => {
-        const scenario = savedScenarios[name];
-        if (scenario) {
-            setIncome(scenario.income ?? 250000);
-            setStGains(scenario.stGains ?? 5000);
-            setLtGains(scenario.ltGains ?? 10000);
-            setHsa(scenario.hsa ?? 8300);
-            setK401(scenario.k401 ?? 46000);
-            setMedicalPremiums(scenario.medicalPremiums ?? 6000);
-            setOtherItemized(scenario.otherItemized ?? 5000);
-            setSelectedStates(scenario.selectedStates ?? ['California', 'Texas']);
-            setStateInputs(scenario.stateInputs ?? {});
-            // UPDATED: Load cash flow, retirement, and break-even inputs
-            setCashFlowInputs(scenario.cashFlowInputs ?? {});
-            setRetirementInputs(prev => ({ ...prev, ...(scenario.retirementInputs || {}) }));
-            setBreakEvenInputs(prev => ({ ...prev, ...(scenario.breakEvenInputs || {}) }));
-            setSelectedScenario(name);
-        }
-    }, [savedScenarios]);
-
-    const handleDeleteScenario = useCallback(() => {
-        if (!selectedScenario || !window.confirm(`Are you sure you want to delete the scenario "${selectedScenario}"?`)) return;
-        const updatedScenarios = { ...getStoredScenarios() };
-        delete updatedScenarios[selectedScenario];
-        saveScenarios(updatedScenarios);
-        setSavedScenarios(updatedScenarios);
-        alert(`Scenario "${selectedScenario}" deleted.`);
-        setSelectedScenario("");
-    }, [selectedScenario]);
-
-    const handleUpdateScenario = useCallback(() => {
-        if (!selectedScenario) {
-            alert("Please select a scenario to update.");
-            return;
-        }
-        // UPDATED: Update with all inputs including break-even
-        const scenarioData = {
-            income, stGains, ltGains, hsa, k401, medicalPremiums, otherItemized,
-            selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs
-        };
-        const updatedScenarios = { ...getStoredScenarios(), [selectedScenario]: scenarioData };
-        saveScenarios(updatedScenarios);
-        setSavedScenarios(updatedScenarios);
-        alert(`Scenario "${selectedScenario}" updated!`);
-    }, [selectedScenario, income, stGains, ltGains, hsa, k401, medicalPremiums, otherItemized,
-        selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs]);
-
-    const handleStateInputChange = useCallback((state, field, value) => {
-        setStateInputs(prev => ({ ...prev, [state]: { ...(prev[state] || {}), [field]: value } }));
-    }, []);
-
-    // NEW: Handler for cash flow inputs
-    const handleCashFlowInputChange = useCallback((state, field, value) => {
-        setCashFlowInputs(prev => ({ ...prev, [state]: { ...(prev[state] || {}), [field]: value } }));
-    }, []);
-
-    // NEW: Handlers for lifted retirement state
-    const handleRetirementInputChange = useMemo(() => ({
-        setPortfolioGrowthRate: (val) => setRetirementInputs(p => ({ ...p, portfolioGrowthRate: val })),
-        setCurrentAge: (val) => setRetirementInputs(p => ({ ...p, currentAge: val })),
-        setRetirementAge: (val) => setRetirementInputs(p => ({ ...p, retirementAge: val })),
-        setCurrentAssets: (val) => setRetirementInputs(p => ({ ...p, currentAssets: val })),
-        setBaseAnnualSavings: (val) => setRetirementInputs(p => ({ ...p, baseAnnualSavings: val })),
-        setFiNumber: (val) => setRetirementInputs(p => ({ ...p, fiNumber: val })),
-        setSwr: (val) => setRetirementInputs(p => ({ ...p, swr: val })),
-    }), []);
-
-    // NEW: Handlers for break-even analysis inputs
-    const handleBreakEvenInputChange = useMemo(() => ({
-        setAnnualAppreciationRate: (val) => setBreakEvenInputs(p => ({ ...p, annualAppreciationRate: val })),
-        setClosingCostsBuying: (val) => setBreakEvenInputs(p => ({ ...p, closingCostsBuying: val })),
-        setClosingCostsSelling: (val) => setBreakEvenInputs(p => ({ ...p, closingCostsSelling: val })),
-        setAnalysisYears: (val) => setBreakEvenInputs(p => ({ ...p, analysisYears: val })),
-        setPropertyTaxRate: (val) => setBreakEvenInputs(p => ({ ...p, propertyTaxRate: val })),
-        setMaintenanceRate: (val) => setBreakEvenInputs(p => ({ ...p, maintenanceRate: val })),
-    }), []);
-
-    const handleStateSelection = useCallback((state) => {
-        setSelectedStates(prevSelectedStates => {
-            const newSelectedStates = prevSelectedStates.includes(state)
-                ? prevSelectedStates.filter(s => s !== state)
-                : [...prevSelectedStates, state];
-
-            if (!stateInputs[state]) {
-                setStateInputs(prev => ({
-                    ...prev,
-                    [state]: { mortgageAmount: 500000, mortgageRate: 6.0, propertyTax: 7000, homeInsurance: 1200, localTaxRate: 0, monthlyRent: 2000 }
-                }));
-            }
-
-            return newSelectedStates;
-        });
-    }, [stateInputs]);
-
-    // --- CALCULATION LOGIC ---
-    const resultsByState = useMemo(() => {
-        const newResults = {};
-        const grossIncome = Number(income) || 0;
-        const shortTermGains = Number(stGains) || 0;
-        const longTermGains = Number(ltGains) || 0;
-        const hsaDed = Number(hsa) || 0;
-        const k401Ded = Number(k401) || 0;
-        const medicalDed = Number(medicalPremiums) || 0;
-        const otherItemizedVal = Number(otherItemized) || 0;
-
-        const totalIncome = grossIncome + shortTermGains + longTermGains;
-        const aboveTheLineDeductions = k401Ded + hsaDed + medicalDed;
-        const agi = totalIncome - aboveTheLineDeductions;
-
-        const ssWageBase = 182400;
-        const ssTax = Math.min(grossIncome, ssWageBase) * 0.062;
-        const medicareTax = grossIncome * 0.0145;
-        const additionalMedicareTax = agi > 250000 ? (agi - 250000) * 0.009 : 0;
-        const ficaTax = ssTax + medicareTax + additionalMedicareTax;
-
-        selectedStates.forEach(state => {
-            const currentStateInputs = stateInputs[state] || {};
-            const currentCashFlowInputs = cashFlowInputs[state] || {}; // NEW
-            const mortgageAmountVal = Number(currentStateInputs.mortgageAmount) || 0;
-            const mortgageRateVal = Number(currentStateInputs.mortgageRate) || 0;
-            const propertyTaxVal = Number(currentStateInputs.propertyTax) || 0;
-            const homeInsuranceVal = Number(currentStateInputs.homeInsurance) || 0;
-            const localTaxRateVal = Number(currentStateInputs.localTaxRate) / 100 || 0;
-            const monthlyRentVal = Number(currentStateInputs.monthlyRent) || 0;
-
-            // --- BUY SCENARIO ---
-            const stateAgi = state === 'California' ? agi + hsaDed : agi;
-            const stateMortgageDebtLimit = state === 'California' ? CA_MORTGAGE_DEBT_LIMIT : FEDERAL_MORTGAGE_DEBT_LIMIT;
-            const stateDeductibleMortgagePrincipal = Math.min(mortgageAmountVal, stateMortgageDebtLimit);
-            const stateAnnualMortgageInterest = getInterestSchedule({
-                amount: stateDeductibleMortgagePrincipal,
-                annualRate: mortgageRateVal,
-                years: 1
-            })[0]?.interest || 0;
-            const federalDeductibleMortgagePrincipal = Math.min(mortgageAmountVal, FEDERAL_MORTGAGE_DEBT_LIMIT);
-            const federalAnnualMortgageInterest = getInterestSchedule({
-                amount: federalDeductibleMortgagePrincipal,
-                annualRate: mortgageRateVal,
-                years: 1
-            })[0]?.interest || 0;
-
-            const stateItemizedDed = stateAnnualMortgageInterest + propertyTaxVal + otherItemizedVal;
-            const stateStandardDed = STATE_STANDARD_DEDUCTIONS_MFJ[state] || 0;
-            const stateDeductionToUse = Math.max(stateItemizedDed, stateStandardDed);
-            const stateTaxableIncome = Math.max(0, stateAgi - stateDeductionToUse);
-            const stateTax = calculateTax(stateTaxableIncome, STATE_TAX_DATA[state] || []);
-            const sdiTax = state === 'California' ? grossIncome * CA_SDI_RATE : 0;
-            const localTax = localTaxRateVal > 0 ? agi * localTaxRateVal : 0;
-
-            let totalSaltPaid = stateTax + propertyTaxVal + sdiTax + localTax;
-            const cappedSalt = Math.min(totalSaltPaid, SALT_CAP);
-            const totalFederalItemizedDeductions = federalAnnualMortgageInterest + cappedSalt + otherItemizedVal;
-            const deductionToUse = Math.max(totalFederalItemizedDeductions, FEDERAL_STANDARD_DEDUCTION_MFJ);
-
-            const federalTaxableIncome = Math.max(0, agi - deductionToUse);
-            const ordinaryIncome = federalTaxableIncome - longTermGains;
-            const ordinaryTax = calculateTax(ordinaryIncome, FEDERAL_BRACKETS_MFJ);
-            let capitalGainsTax = 0;
-            let remainingLTCG = longTermGains;
-            const zeroRateMax = LTCG_BRACKETS_MFJ[0].max;
-            const taxableAtZero = Math.min(remainingLTCG, Math.max(0, zeroRateMax - ordinaryIncome));
-            remainingLTCG -= taxableAtZero;
-            const fifteenRateMax = LTCG_BRACKETS_MFJ[1].max;
-            const taxableAtFifteen = Math.min(remainingLTCG, Math.max(0, fifteenRateMax - Math.max(zeroRateMax, ordinaryIncome)));
-            capitalGainsTax += taxableAtFifteen * 0.15;
-            remainingLTCG -= taxableAtFifteen;
-            if (remainingLTCG > 0) { capitalGainsTax += remainingLTCG * 0.20; }
-
-            const netInvestmentIncome = shortTermGains + longTermGains;
-            const niitBase = Math.max(0, Math.min(netInvestmentIncome, agi - NIIT_THRESHOLD_MFJ));
-            const niit = niitBase * NIIT_RATE;
-
-            const totalFederalTax = ordinaryTax + capitalGainsTax + niit;
-
-            const totalTaxBurden = totalFederalTax + ficaTax + stateTax + sdiTax + localTax;
-            const effectiveTaxRate = totalIncome > 0 ? (totalTaxBurden / totalIncome) * 100 : 0;
-
-            const annualTakeHome = totalIncome - totalTaxBurden - k401Ded - hsaDed - medicalDed;
-            const monthlyTakeHome = annualTakeHome / 12;
-            const monthlyHousingCost = calculateMonthlyHousingCost(mortgageAmountVal, mortgageRateVal, propertyTaxVal, homeInsuranceVal);
-            const monthlyNetCash = monthlyTakeHome - monthlyHousingCost;
-
-            // NEW: Calculate total expenses and final net savings
-            const totalMonthlyExpenses = Object.values(currentCashFlowInputs).reduce((sum, val) => sum + (Number(val) || 0), 0);
-            const monthlyNetSavings = monthlyNetCash - totalMonthlyExpenses;
-
-            // --- RENT SCENARIO ---
-            const rentStateAgi = state === 'California' ? agi + hsaDed : agi;
-            const rentStateStandardDed = STATE_STANDARD_DEDUCTIONS_MFJ[state] || 0;
-            const rentStateTaxableIncome = Math.max(0, rentStateAgi - rentStateStandardDed);
-            const rentStateTax = calculateTax(rentStateTaxableIncome, STATE_TAX_DATA[state] || []);
-            const rentSdiTax = state === 'California' ? grossIncome * CA_SDI_RATE : 0;
-            const rentLocalTax = localTaxRateVal > 0 ? agi * localTaxRateVal : 0;
-
-            let rentTotalSaltPaid = rentStateTax + rentSdiTax + rentLocalTax;
-            const rentCappedSalt = Math.min(rentTotalSaltPaid, SALT_CAP);
-            const rentDeductionToUse = Math.max(FEDERAL_STANDARD_DEDUCTION_MFJ, 0);
-            const rentFederalTaxableIncome = Math.max(0, agi - rentDeductionToUse);
-            const rentOrdinaryIncome = rentFederalTaxableIncome - longTermGains;
-            const rentOrdinaryTax = calculateTax(rentOrdinaryIncome, FEDERAL_BRACKETS_MFJ);
-            let rentCapitalGainsTax = 0;
-            let rentRemainingLTCG = longTermGains;
-            const rentTaxableAtZero = Math.min(rentRemainingLTCG, Math.max(0, zeroRateMax - rentOrdinaryIncome));
-            rentRemainingLTCG -= rentTaxableAtZero;
-            const rentTaxableAtFifteen = Math.min(rentRemainingLTCG, Math.max(0, fifteenRateMax - Math.max(zeroRateMax, rentOrdinaryIncome)));
-            rentCapitalGainsTax += rentTaxableAtFifteen * 0.15;
-            rentRemainingLTCG -= rentTaxableAtFifteen;
-            if (rentRemainingLTCG > 0) { rentCapitalGainsTax += rentRemainingLTCG * 0.20; }
-
-            const rentNetInvestmentIncome = shortTermGains + longTermGains;
-            const rentNiitBase = Math.max(0, Math.min(rentNetInvestmentIncome, agi - NIIT_THRESHOLD_MFJ));
-            const rentNiit = rentNiitBase * NIIT_RATE;
-
-            const rentTotalFederalTax = rentOrdinaryTax + rentCapitalGainsTax + rentNiit;
-            const rentTotalTaxBurden = rentTotalFederalTax + ficaTax + rentStateTax + rentSdiTax + rentLocalTax;
-            const rentAnnualTakeHome = totalIncome - rentTotalTaxBurden - k401Ded - hsaDed - medicalDed;
-            const rentMonthlyTakeHome = rentAnnualTakeHome / 12;
-            const rentMonthlyHousingCost = monthlyRentVal;
-            const rentMonthlyNetCash = rentMonthlyTakeHome - rentMonthlyHousingCost;
-
-            newResults[state] = {
-                // Buy scenario:
-                totalTaxBurden, effectiveTaxRate, annualTakeHome, monthlyTakeHome,
-                totalFederalTax, ficaTax, stateTax, sdiTax, localTax, niit, agi,
-                deductionToUse, federalTaxableIncome, stateTaxableIncome, totalSaltPaid, monthlyHousingCost, monthlyNetCash,
-                totalMonthlyExpenses, monthlyNetSavings, // NEW
-                itemized: {
-                    mortgageInterest: federalAnnualMortgageInterest,
-                    salt: cappedSalt,
-                    other: otherItemizedVal,
-                    stateIncomeTax: stateTax,
-                    propertyTax: propertyTaxVal,
-                },
-                stateStandardDed,
-                // Rent scenario:
-                rent: {
-                    totalTaxBurden: rentTotalTaxBurden,
-                    annualTakeHome: rentAnnualTakeHome,
-                    monthlyTakeHome: rentMonthlyTakeHome,
-                    monthlyHousingCost: rentMonthlyHousingCost,
-                    monthlyNetCash: rentMonthlyNetCash,
-                    deductionToUse: rentDeductionToUse,
-                    federalTaxableIncome: rentFederalTaxableIncome,
-                    stateTaxableIncome: rentStateTaxableIncome,
-                    totalSaltPaid: rentTotalSaltPaid,
-                    stateTax: rentStateTax,
-                    sdiTax: rentSdiTax,
-                    localTax: rentLocalTax,
-                    niit: rentNiit,
-                    stateStandardDed: rentStateStandardDed
-                }
-            };
-        });
-        return newResults;
-    }, [income, stGains, ltGains, hsa, k401, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs]);
-
-    // PATCH: Add per-year interest and take-home impact data for state cards, including state tax impact, and collapsible UI
-    const perStateInterestSchedules = useMemo(() => {
-        const schedules = {};
-        selectedStates.forEach(state => {
-            const currentStateInputs = stateInputs[state] || {};
-            const mortgageAmountVal = Number(currentStateInputs.mortgageAmount) || 0;
-            const mortgageRateVal = Number(currentStateInputs.mortgageRate) || 0;
-            const propertyTaxVal = Number(currentStateInputs.propertyTax) || 0;
-            const agi = resultsByState[state]?.agi || 0;
-            const otherItemizedVal = Number(otherItemized) || 0;
-            const cappedSalt = resultsByState[state]?.itemized?.salt || 0;
-            const k401Ded = Number(k401) || 0;
-            const hsaDed = Number(hsa) || 0;
-            const medicalDed = Number(medicalPremiums) || 0;
-            const ficaTax = resultsByState[state]?.ficaTax || 0;
-            const stateTax = resultsByState[state]?.stateTax || 0;
-            const sdiTax = resultsByState[state]?.sdiTax || 0;
-            const localTax = resultsByState[state]?.localTax || 0;
-            const shortTermGains = Number(stGains) || 0;
-            const longTermGains = Number(ltGains) || 0;
-            const totalIncome = Number(income) + shortTermGains + longTermGains;
-            const origFedDeduction = resultsByState[state]?.deductionToUse || 0;
-            const fedTaxableIncome = resultsByState[state]?.federalTaxableIncome || 0;
-            const origMonthlyTakeHome = resultsByState[state]?.monthlyTakeHome || 0;
-            const niit = resultsByState[state]?.niit || 0;
-            const totalFederalTax = resultsByState[state]?.totalFederalTax || 0;
-            const stateStandardDed = resultsByState[state]?.stateStandardDed || 0;
-            const stateTaxBrackets = STATE_TAX_DATA[state] || [];
-            // Deduction limit
-            const federalDeductibleMortgagePrincipal = Math.min(mortgageAmountVal, FEDERAL_MORTGAGE_DEBT_LIMIT);
-            const schedule = getInterestSchedule({ amount: federalDeductibleMortgagePrincipal, annualRate: mortgageRateVal, years: 10 });
-            // For years 2-10 only
-            const yearRows = [];
-            for (let y = 2; y <= 10; ++y) {
-                // New deduction: interest from this year + cappedSalt + otherItemized
-                const thisYearInterest = schedule[y - 1]?.interest || 0;
-                const newDeduction = thisYearInterest + cappedSalt + otherItemizedVal;
-                const deductionUsed = Math.max(newDeduction, FEDERAL_STANDARD_DEDUCTION_MFJ);
-                // Get the new monthly take-home with this deduction and compute $ impact
-                const newMonthlyTakeHome = calcMonthlyTakeHomeDelta({
-                    origDeduction: origFedDeduction,
-                    newDeduction: deductionUsed,
-                    agi,
-                    federalTaxableIncome: fedTaxableIncome,
-                    totalIncome,
-                    shortTermGains,
-                    longTermGains,
-                    k401Ded,
-                    hsaDed,
-                    medicalDed,
-                    ficaTax,
-                    stateTax,
-                    sdiTax,
-                    localTax,
-                    niit,
-                    totalFederalTax,
-                });
-                // State impact: check if itemization drops below state standard deduction for that year
-                // For state, use newDeduction capped at state standard deduction
-                const stateDedUsed = Math.max(thisYearInterest + propertyTaxVal + otherItemizedVal, stateStandardDed);
-                const origStateDed = Math.max(schedule[0]?.interest + propertyTaxVal + otherItemizedVal, stateStandardDed);
-                const stateTaxDelta = calcStateMonthlyTakeHomeDelta({
-                    origDeduction: origStateDed,
-                    newDeduction: stateDedUsed,
-                    agi,
-                    state,
-                    stateStandardDed,
-                    stateTaxBrackets,
-                    localTax,
-                    sdiTax,
-                });
-                // The net dollar impact is both federal and state
-                const dollarImpact = newMonthlyTakeHome - origMonthlyTakeHome + stateTaxDelta;
-                yearRows.push({
-                    year: y,
-                    interest: thisYearInterest,
-                    impact: dollarImpact
-                });
-            }
-            schedules[state] = yearRows;
-        });
-        return schedules;
-    }, [selectedStates, stateInputs, resultsByState, otherItemized, k401, hsa, medicalPremiums, income, stGains, ltGains]);
-
-    const toggleRow = (key) => {
-        setExpandedRows(prev => ({ ...prev, [key]: !prev[key] }));
-    };
-
-    // For your original summary/metric table
-    const metrics = [
-        { key: 'annualTakeHome', label: 'Annual Take-Home' },
-        { key: 'monthlyTakeHome', label: 'Avg. Monthly Take-Home' },
-        { key: 'monthlyHousingCost', label: 'Est. Monthly Housing (PITI)' },
-        { key: 'monthlyNetCash', label: 'Monthly Net After Housing' },
-        { key: 'monthlyNetSavings', label: 'Final Monthly Net Savings' }, // NEW
-        { key: 'totalTaxBurden', label: 'Total Tax Burden', expandable: true },
-        { key: 'agi', label: 'Adjusted Gross Income' },
-        { key: 'federalTaxableIncome', label: 'Federal Taxable Income' },
-        { key: 'stateTaxableIncome', label: 'State Taxable Income' },
-        { key: 'deductionToUse', label: 'Total Fed Deduction', expandable: true },
-        { key: 'totalSaltPaid', label: 'Total SALT Paid (Uncapped)' },
-    ];
-
-    return (
-        <div className="bg-gray-50 min-h-screen font-sans p-2 sm:p-6 lg:p-8">
-            <div className="max-w-screen-2xl mx-auto">
-                <header className="mb-8 text-center">
-                    <h1 className="text-3xl sm:text-4xl font-bold text-gray-800">2026 Tax & Retirement Comparator</h1>
-                </header>
-                <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
-                    {/* Left Input Pane */}
-                    <div className="lg:col-span-4 xl:col-span-3 bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                        <div className="space-y-5">
-                            <div className="p-4 border border-indigo-200 bg-indigo-50 rounded-lg">
-                                <h3 className="text-xl font-semibold text-indigo-800 mb-3">Scenario Management</h3>
-                                <div className="space-y-3">
-                                    <InputField label="New Scenario Name" type="text" value={scenarioName} onChange={setScenarioName} placeholder="e.g., High Income CA" />
-                                    <button onClick={handleSaveScenario} className="w-full bg-indigo-600 text-white font-bold py-2 px-4 rounded-md hover:bg-indigo-700 transition">Save Scenario</button>
-                                    <button
-                                        onClick={handleUpdateScenario}
-                                        disabled={!selectedScenario}
-                                        className="w-full bg-yellow-400 text-white font-bold py-2 px-4 rounded-md hover:bg-yellow-500 disabled:bg-yellow-200 transition mt-2"
-                                    >
-                                        Update Selected Scenario
-                                    </button>
-                                    <div className="flex items-center space-x-2">
-                                        <select value={selectedScenario} onChange={(e) => handleLoadScenario(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
-                                            <option value="" disabled>Load a Scenario...</option>
-                                            {Object.keys(savedScenarios).map(name => <option key={name} value={name}>{name}</option>)}
-                                        </select>
-                                        <button onClick={handleDeleteScenario} disabled={!selectedScenario} className="p-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-red-300 transition">
-                                            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 16 16"><path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z" /><path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z" /></svg>
-                                        </button>
-                                    </div>
-                                </div>
-                            </div>
-                            <h2 className="text-2xl font-semibold text-gray-800 border-b pb-3 pt-4">Your Financial Inputs</h2>
-                            <InputField label="Combined Annual Income" value={income} onChange={setIncome} placeholder="e.g., 250000" />
-                            <InputField label="Short-Term Capital Gains" value={stGains} onChange={setStGains} placeholder="e.g., 5000" />
-                            <InputField label="Long-Term Capital Gains" value={ltGains} onChange={setLtGains} placeholder="e.g., 10000" />
-                            <h3 className="text-xl font-semibold text-gray-700 pt-4 border-t mt-4">Pre-Tax Deductions</h3>
-                            <InputField label="401(k) Contributions" value={k401} onChange={setK401} placeholder="e.g., 46000" />
-                            <InputField label="HSA Contributions" value={hsa} onChange={setHsa} placeholder="e.g., 8300" />
-                            <InputField label="Annual Medical Premiums" value={medicalPremiums} onChange={setMedicalPremiums} placeholder="e.g., 6000" />
-                            <InputField label="Other Itemized (Charity, etc.)" value={otherItemized} onChange={setOtherItemized} placeholder="e.g., 5000" />
-                            <div className="w-full pt-4 border-t mt-4">
-                                <label className="block text-sm font-medium text-gray-700 mb-2">Compare States of Residence</label>
-                                <div className="grid grid-cols-2 gap-2">
-                                    {Object.keys(STATE_TAX_DATA).map(s => <StateCheckbox key={s} state={s} isSelected={selectedStates.includes(s)} onChange={handleStateSelection} />)}
-                                </div>
-                                <div className="mt-4">
-                                    <label className="flex items-center space-x-2 p-2 rounded-md hover:bg-gray-100 cursor-pointer">
-                                        <input type="checkbox" checked={showRentScenario} onChange={() => setShowRentScenario(prev => !prev)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
-                                        <span className="text-sm font-medium text-gray-800">Show Rent Scenario</span>
-                                    </label>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                    {/* Main Section */}
-                    <div className="lg:col-span-8 xl:col-span-9 space-y-8">
-                        <div className="border-b border-gray-200">
-                            <nav className="-mb-px flex space-x-2 sm:space-x-6">
-                                <TabButton label="State Comparison" isActive={activeView === 'comparison'} onClick={() => setActiveView('comparison')} />
-                                <TabButton label="Cash Flow" isActive={activeView === 'cashflow'} onClick={() => setActiveView('cashflow')} />
-                                <TabButton label="Retirement Analysis" isActive={activeView === 'retirement'} onClick={() => setActiveView('retirement')} />
-                                <TabButton label="Break-Even Analysis" isActive={activeView === 'breakeven'} onClick={() => setActiveView('breakeven')} />
-                            </nav>
-                        </div>
-
-                        {activeView === 'comparison' && (
-                            <>
-                                {/* --- Original Main Comparison Table --- */}
-                                <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                                    <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">State Comparison Summary (Buy Scenario)</h2>
-                                    <div className="overflow-x-auto">
-                                        <table className="min-w-full divide-y divide-gray-200">
-                                            <thead className="bg-gray-50">
-                                                <tr>
-                                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Metric</th>
-                                                    {selectedStates.map(state => <th key={state} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{state}</th>)}
-                                                </tr>
-                                            </thead>
-                                            <tbody>
-                                                {metrics.map((metric) => (
-                                                    <React.Fragment key={metric.key}>
-                                                        <tr className={expandedRows[metric.key] ? 'bg-indigo-50' : (metrics.indexOf(metric) % 2 === 0 ? 'bg-white' : 'bg-gray-50')}>
-                                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                                                                {metric.expandable && (
-                                                                    <button onClick={() => toggleRow(metric.key)} className="mr-2 text-indigo-600">
-                                                                        {expandedRows[metric.key] ? '[-]' : '[+]'}
-                                                                    </button>
-                                                                )}
-                                                                {metric.label}
-                                                            </td>
-                                                            {selectedStates.map(state => (
-                                                                <td key={state} className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">
-                                                                    {metric.key === 'delta'
-                                                                        ? formatCurrency((resultsByState[state]?.monthlyNetCash ?? 0) - (resultsByState[state]?.rent?.monthlyNetCash ?? 0))
-                                                                        : metric.key.startsWith('rent.')
-                                                                            ? formatCurrency(metric.key.split('.').reduce((a, b) => a?.[b], resultsByState[state]))
-                                                                            : formatCurrency(resultsByState[state]?.[metric.key])}
-                                                                </td>
-                                                            ))}
-                                                        </tr>
-                                                        {metric.expandable && expandedRows[metric.key] && (
-                                                            <>
-                                                                {metric.key === 'totalTaxBurden' && (
-                                                                    <>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Federal Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.totalFederalTax - resultsByState[s]?.niit)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">NIIT</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.niit)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">FICA</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.ficaTax)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.stateTax)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Local Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.localTax)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">CA SDI Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.sdiTax)}</td>)}</tr>
-                                                                    </>
-                                                                )}
-                                                                {metric.key === 'deductionToUse' && (
-                                                                    <>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">Itemized Total</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.itemized.mortgageInterest + resultsByState[s]?.itemized.salt + resultsByState[s]?.itemized.other)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">Mortgage Interest</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.mortgageInterest)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">
-                                                                            <button onClick={() => toggleRow('saltDetail')} className="mr-2 text-indigo-600 text-xs">{expandedRows['saltDetail'] ? '[-]' : '[+]'}</button>
-                                                                            SALT (Capped)
-                                                                        </td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.salt)}</td>)}</tr>
-                                                                        {expandedRows['saltDetail'] && (
-                                                                            <>
-                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">State Income Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.itemized.stateIncomeTax)}</td>)}</tr>
-                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">Property Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.itemized.propertyTax)}</td>)}</tr>
-                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">Local Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.localTax)}</td>)}</tr>
-                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">CA SDI Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.sdiTax)}</td>)}</tr>
-                                                                            </>
-                                                                        )}
-                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">Other</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.other)}</td>)}</tr>
-                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">State Standard</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.stateStandardDed)}</td>)}</tr>
-                                                                    </>
-                                                                )}
-                                                            </>
-                                                        )}
-                                                    </React.Fragment>
-                                                ))}
-                                            </tbody>
-                                        </table>
-                                    </div>
-                                    {selectedStates.length === 0 && (<div className="text-center py-10 text-gray-500"><p>Please select one or more states to see a comparison.</p></div>)}
-                                </div>
-
-                                {/* --- State-specific Details Panel --- */}
-                                <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-                                    <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">State-Specific Housing & Local Inputs</h2>
-                                    <div className="flex overflow-x-auto space-x-4 pb-4 -mx-4 sm:-mx-6 px-4 sm:px-6">
-                                        {selectedStates.map(state => {
-                                            const isExpanded = expandedSchedules[state] || false;
-                                            const displaySchedule = getInterestSchedule({
-                                                amount: Number(stateInputs[state]?.mortgageAmount) || 0,
-                                                annualRate: Number(stateInputs[state]?.mortgageRate) || 0,
-                                                years: 10,
-                                            });
-                                            return (
-                                                <div key={state} className="p-4 border border-gray-200 rounded-lg flex-shrink-0 w-64 sm:w-72 bg-gray-50 shadow-sm">
-                                                    <h4 className="text-lg font-semibold text-indigo-700 mb-4 text-center">{state}</h4>
-                                                    <div className="space-y-3">
-                                                        <div>
-                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Mortgage Amount</label>
-                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.mortgageAmount || ''} onChange={(e) => handleStateInputChange(state, 'mortgageAmount', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
-                                                        </div>
-                                                        <div>
-                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Mortgage Interest Rate</label>
-                                                            <div className="relative"><input type="number" value={stateInputs[state]?.mortgageRate || ''} onChange={(e) => handleStateInputChange(state, 'mortgageRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
-                                                        </div>
-                                                        <div>
-                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Annual Property Tax</label>
-                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.propertyTax || ''} onChange={(e) => handleStateInputChange(state, 'propertyTax', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
-                                                        </div>
-                                                        <div>
-                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Annual Home Insurance</label>
-                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.homeInsurance || ''} onChange={(e) => handleStateInputChange(state, 'homeInsurance', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
-                                                        </div>
-                                                        {showRentScenario && (
-                                                            <div>
-                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Estimated Monthly Rent</label>
-                                                                <div className="relative">
-                                                                    <span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span>
-                                                                    <input type="number" value={stateInputs[state]?.monthlyRent || ''} onChange={(e) => handleStateInputChange(state, 'monthlyRent', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" />
-                                                                </div>
-                                                            </div>
-                                                        )}
-                                                        {STATES_WITH_LOCAL_TAX.includes(state) && (
-                                                            <div>
-                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Est. Local Income Tax Rate</label>
-                                                                <div className="relative"><input type="number" value={stateInputs[state]?.localTaxRate || ''} onChange={(e) => handleStateInputChange(state, 'localTaxRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
-                                                            </div>
-                                                        )}
-                                                    </div>
-                                                    <div className="mt-4 pt-4 border-t border-gray-200">
-                                                        <p className="text-sm font-medium text-gray-600">Est. Monthly Housing Cost (PITI)</p>
-                                                        <p className="text-xl sm:text-2xl font-bold text-gray-800">
-                                                            {formatCurrency(calculateMonthlyHousingCost(
-                                                                stateInputs[state]?.mortgageAmount,
-                                                                stateInputs[state]?.mortgageRate,
-                                                                stateInputs[state]?.propertyTax,
-                                                                stateInputs[state]?.homeInsurance
-                                                            ))}
-                                                        </p>
-                                                    </div>
-                                                    {/* --- Interest Schedule Table: Years 2-10 --- */}
-                                                    <div className="mt-4 border-t pt-4">
-                                                        <button
-                                                            className="flex items-center text-xs font-semibold text-indigo-700 mb-2 hover:underline"
-                                                            onClick={() =>
-                                                                setExpandedSchedules(prev => ({ ...prev, [state]: !isExpanded }))
-                                                            }
-                                                        >
-                                                            {isExpanded ? '[-]' : '[+]'} First 10 Years: Deduction Phaseout Impact
-                                                        </button>
-                                                        {isExpanded && (
-                                                            <>
-                                                                <table className="min-w-full text-xs border">
-                                                                    <thead>
-                                                                        <tr>
-                                                                            <th className="px-2 py-1 border-b text-left">Year</th>
-                                                                            <th className="px-2 py-1 border-b text-right">Interest</th>
-                                                                            <th className="px-2 py-1 border-b text-right">$ Impact</th>
-                                                                        </tr>
-                                                                    </thead>
-                                                                    <tbody>
-                                                                        {displaySchedule.slice(1, 10).map((row, idx) => {
-                                                                            // Match up with perStateInterestSchedules[state][idx] (years 2-10 are indices 0-8)
-                                                                            const impact = perStateInterestSchedules[state]?.[idx]?.impact;
-                                                                            return (
-                                                                                <tr key={row.year}>
-                                                                                    <td className="px-2 py-1">{row.year}</td>
-                                                                                    <td className="px-2 py-1 text-right">{formatCurrency(row.interest)}</td>
-                                                                                    <td className={`px-2 py-1 text-right ${impact < 0 ? 'text-red-700' : impact > 0 ? 'text-green-700' : ''
-                                                                                        }`}>
-                                                                                        {impact === 0 || impact == null ? '-' : formatCurrency(impact)}
-                                                                                    </td>
-                                                                                </tr>
-                                                                            );
-                                                                        })}
-                                                                    </tbody>
-                                                                </table>
-                                                                <p className="mt-1 text-xxs text-gray-500">
-                                                                    "$ Impact" is the change in avg. monthly take-home pay vs. Year 1.
-                                                                </p>
-                                                            </>
-                                                        )}
-                                                    </div>
-                                                </div>
-                                            );
-                                        })}
-                                    </div>
-                                </div>
-                )}
-                                {/* --- AnalysisCharts and Rent vs Buy Table unchanged... */}
-                                {selectedStates.length > 0 && <AnalysisCharts resultsByState={resultsByState} selectedStates={selectedStates} />}
-                                {selectedStates.length > 0 && showRentScenario && (
-                                    <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200 mt-8">
-                                        <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">
-                                            Rent vs. Buy: Net Mortgage Cost After Tax Savings
-                                        </h2>
-                                        <div className="overflow-x-auto">
-                                            <table className="min-w-full divide-y divide-gray-200">
-                                                <thead className="bg-gray-50">
-                                                    <tr>
-                                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
-                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly PITI</th>
-                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tax Savings</th>
-                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net Cost</th>
-                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rent</th>
-                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Delta</th>
-                                                    </tr>
-                                                </thead>
-                                                <tbody>
-                                                    {selectedStates.map((state) => {
-                                                        const piti = resultsByState[state]?.monthlyHousingCost ?? 0;
-                                                        const taxSavings =
-                                                            (resultsByState[state]?.monthlyTakeHome ?? 0) -
-                                                            (resultsByState[state]?.rent?.monthlyTakeHome ?? 0);
-                                                        const netMortgageCost = piti - taxSavings;
-                                            
-                                                        const rent = resultsByState[state]?.rent?.monthlyHousingCost ?? Number(stateInputs[state]?.monthlyRent ?? 0);
-                                                        const cashDelta = netMortgageCost - rent;
-                                                        return (
-                                                            <tr key={state} className={cashDelta > 0 ? 'bg-red-50' : cashDelta < 0 ? 'bg-green-50' : ''}>
-                                                                <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
-                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(piti)}</td>
-                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(taxSavings)}</td>
-                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(netMortgageCost)}</td>
-                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(rent)}</td>
-                                                                <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${cashDelta > 0 ? 'text-red-700' : cashDelta < 0 ? 'text-green-700' : ''}`}>
-                                                                    {formatCurrency(cashDelta)}
-                                                                </td>
-                                                            </tr>
-                                                        );
-                                                    })}
-                                                </tbody>
-                                            </table>
-                                        </div>
-                                        <p className="mt-3 text-xs text-gray-500">
-                                            <b>Cash Delta</b> = Net Mortgage Cost minus Rent. Positive means buying is more expensive monthly.
-                                        </p>
-                                    </div>
-                                )}
-                            </>
-                        )}
-
-                        {activeView === 'cashflow' && (
-                            <CashFlowAnalysis
-                                selectedStates={selectedStates}
-                                resultsByState={resultsByState}
-                                cashFlowInputs={cashFlowInputs}
-                                handleCashFlowInputChange={handleCashFlowInputChange}
-                            />
-                        )}
-
-                        {activeView === 'retirement' && (
-                            <RetirementAnalysis
-                                resultsByState={resultsByState}
-                                selectedStates={selectedStates}
-                                retirementInputs={retirementInputs}
-                                handleRetirementInputChange={handleRetirementInputChange}
-                            />
-                        )}
-
-                        {activeView === 'breakeven' && (
-                            <BreakEvenAnalysis
-                                resultsByState={resultsByState}
-                                selectedStates={selectedStates}
-                                stateInputs={stateInputs}
-                                breakEvenInputs={breakEvenInputs}
-                                handleBreakEvenInputChange={handleBreakEvenInputChange}
-                            />
-                        )}
-                    </div>
-                </div>
-            </div>
-        </div>
-    );
+﻿import React, { useState, useEffect, useMemo, useCallback, useDeferredValue } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine, LabelList, LineChart, Line, Legend } from 'recharts';
+import { STATE_TAX_DATA, STATE_ABBREVIATIONS, STATES_WITH_LOCAL_TAX, DEFAULT_STATE_RULES, EFFECTIVE_PROPERTY_TAX_RATES, estimatedTaxInstallments } from '../data/stateTaxData';
+import { HISTORICAL_RETURNS } from '../data/historicalReturns';
+
+// --- Tax Calculation Logic ---
+const FILING_STATUSES = [
+    { key: 'single', label: 'Single' },
+    { key: 'mfj', label: 'Married Filing Jointly' },
+    { key: 'mfs', label: 'Married Filing Separately' },
+    { key: 'hoh', label: 'Head of Household' },
+];
+// Tables keyed by filing status may omit 'mfs'/'hoh' when they match the single schedule.
+const FILING_STATUS_FALLBACK = { mfs: 'single', hoh: 'single' };
+const byFilingStatus = (table, filingStatus) => table?.[filingStatus] ?? table?.[FILING_STATUS_FALLBACK[filingStatus]] ?? table?.mfj;
+
+// Builds the { rate, min, max } bracket shape used by calculateTax from [rate, upperBound] rows.
+const schedule = (rows) => rows.map(([rate, max], i) => ({ rate, min: i === 0 ? 0 : rows[i - 1][1] + 1, max }));
+
+// Versioned federal tables. Years after the latest entry are projected by indexing the
+// latest year's inflation-adjusted amounts (see getFederalTaxTables).
+const FEDERAL_TAX_YEARS = {
+    2025: {
+        brackets: {
+            single: schedule([[0.10, 11925], [0.12, 48475], [0.22, 103350], [0.24, 197300], [0.32, 250525], [0.35, 626350], [0.37, Infinity]]),
+            mfj: schedule([[0.10, 23850], [0.12, 96950], [0.22, 206700], [0.24, 394600], [0.32, 501050], [0.35, 751600], [0.37, Infinity]]),
+            mfs: schedule([[0.10, 11925], [0.12, 48475], [0.22, 103350], [0.24, 197300], [0.32, 250525], [0.35, 375800], [0.37, Infinity]]),
+            hoh: schedule([[0.10, 17000], [0.12, 64850], [0.22, 103350], [0.24, 197300], [0.32, 250500], [0.35, 626350], [0.37, Infinity]]),
+        },
+        ltcgBrackets: {
+            single: [{ rate: 0.00, max: 48350 }, { rate: 0.15, max: 533400 }, { rate: 0.20, max: Infinity }],
+            mfj: [{ rate: 0.00, max: 96950 }, { rate: 0.15, max: 583750 }, { rate: 0.20, max: Infinity }],
+            mfs: [{ rate: 0.00, max: 48350 }, { rate: 0.15, max: 300000 }, { rate: 0.20, max: Infinity }],
+            hoh: [{ rate: 0.00, max: 64750 }, { rate: 0.15, max: 566700 }, { rate: 0.20, max: Infinity }],
+        },
+        standardDeduction: { single: 15750, mfj: 31500, mfs: 15750, hoh: 23625 },
+        socialSecurityWageBase: 176100,
+        amt: {
+            exemption: { single: 88100, mfj: 137000, mfs: 68500, hoh: 88100 },
+            phaseoutThreshold: { single: 626350, mfj: 1252700, mfs: 626350, hoh: 626350 },
+            rate28Threshold: { single: 239100, mfj: 239100, mfs: 119550, hoh: 239100 },
+            phaseoutRate: 0.25,
+        },
+        childTaxCredit: { amount: 2200, refundableMax: 1700 },
+        retirementPlanLimits: { electiveDeferral: 23500, annualAdditions: 70000 },
+        qbi: {
+            threshold: { single: 197300, mfj: 394600, mfs: 197300, hoh: 197300 },
+            phaseInRange: { single: 50000, mfj: 100000, mfs: 50000, hoh: 50000 },
+        },
+        dependentCareCredit: {
+            maxRate: 0.35,
+            phaseouts: [
+                { floorRate: 0.20, start: { single: 15000, mfj: 15000, mfs: 15000, hoh: 15000 }, step: { single: 2000, mfj: 2000, mfs: 2000, hoh: 2000 } },
+            ],
+        },
+    },
+    2026: {
+        brackets: {
+            single: schedule([[0.10, 12400], [0.12, 50400], [0.22, 105700], [0.24, 201775], [0.32, 256225], [0.35, 640600], [0.37, Infinity]]),
+            mfj: schedule([[0.10, 24800], [0.12, 100800], [0.22, 211400], [0.24, 403550], [0.32, 512450], [0.35, 768700], [0.37, Infinity]]),
+            mfs: schedule([[0.10, 12400], [0.12, 50400], [0.22, 105700], [0.24, 201775], [0.32, 256225], [0.35, 384350], [0.37, Infinity]]),
+            hoh: schedule([[0.10, 17700], [0.12, 67450], [0.22, 105700], [0.24, 201750], [0.32, 256200], [0.35, 640600], [0.37, Infinity]]),
+        },
+        ltcgBrackets: {
+            single: [{ rate: 0.00, max: 49450 }, { rate: 0.15, max: 545500 }, { rate: 0.20, max: Infinity }],
+            mfj: [{ rate: 0.00, max: 98900 }, { rate: 0.15, max: 613700 }, { rate: 0.20, max: Infinity }],
+            mfs: [{ rate: 0.00, max: 49450 }, { rate: 0.15, max: 306850 }, { rate: 0.20, max: Infinity }],
+            hoh: [{ rate: 0.00, max: 66200 }, { rate: 0.15, max: 579600 }, { rate: 0.20, max: Infinity }],
+        },
+        standardDeduction: { single: 16100, mfj: 32200, mfs: 16100, hoh: 24150 },
+        socialSecurityWageBase: 184500,
+        amt: {
+            exemption: { single: 90100, mfj: 140200, mfs: 70100, hoh: 90100 },
+            phaseoutThreshold: { single: 500000, mfj: 1000000, mfs: 500000, hoh: 500000 },
+            rate28Threshold: { single: 244500, mfj: 244500, mfs: 122250, hoh: 244500 },
+            phaseoutRate: 0.5,
+        },
+        childTaxCredit: { amount: 2200, refundableMax: 1700 },
+        retirementPlanLimits: { electiveDeferral: 24500, annualAdditions: 72000 },
+        qbi: {
+            threshold: { single: 201750, mfj: 403500, mfs: 201750, hoh: 201750 },
+            phaseInRange: { single: 75000, mfj: 150000, mfs: 75000, hoh: 75000 },
+        },
+        dependentCareCredit: {
+            maxRate: 0.50,
+            phaseouts: [
+                { floorRate: 0.35, start: { single: 15000, mfj: 15000, mfs: 15000, hoh: 15000 }, step: { single: 2000, mfj: 2000, mfs: 2000, hoh: 2000 } },
+                { floorRate: 0.20, start: { single: 75000, mfj: 150000, mfs: 75000, hoh: 75000 }, step: { single: 2000, mfj: 4000, mfs: 2000, hoh: 2000 } },
+            ],
+        },
+    },
+};
+const FEDERAL_TAX_YEAR_KEYS = Object.keys(FEDERAL_TAX_YEARS).map(Number);
+const LATEST_FEDERAL_TAX_YEAR = Math.max(...FEDERAL_TAX_YEAR_KEYS);
+const DEFAULT_TAX_YEAR = 2026;
+const DEFAULT_INFLATION_RATE = 2.5;
+const PROJECTION_HORIZON_YEARS = 50; // multi-year views hold tax law fixed beyond this
+// Mortgage defaults: 20% down, PMI dropped at 80% LTV, common 2/1/5 ARM caps. Inputs saved with only a
+// mortgage amount imply the purchase price at LEGACY_LOAN_TO_VALUE.
+const LOAN_TERM_OPTIONS = [15, 20, 30];
+const DEFAULT_LOAN_TERM_YEARS = 30;
+const DEFAULT_DOWN_PAYMENT_PERCENT = 20;
+const LEGACY_LOAN_TO_VALUE = 0.8;
+const PMI_CANCEL_LOAN_TO_VALUE = 0.8;
+const DEFAULT_ARM_CAPS = { initialCap: 2, periodicCap: 1, lifetimeCap: 5 };
+const ARM_FIXED_PERIOD_OPTIONS = [0, 3, 5, 7, 10];
+const TAX_YEAR_OPTIONS = [...FEDERAL_TAX_YEAR_KEYS, ...[1, 2, 3, 4].map(offset => LATEST_FEDERAL_TAX_YEAR + offset)];
+
+// Statutory amounts that are not indexed for inflation
+const FEDERAL_MORTGAGE_DEBT_LIMITS = { single: 750000, mfj: 750000, mfs: 375000, hoh: 750000 };
+const NIIT_RATE = 0.038;
+const NIIT_THRESHOLDS = { single: 200000, mfj: 250000, mfs: 125000, hoh: 200000 };
+const ADDITIONAL_MEDICARE_THRESHOLDS = { single: 200000, mfj: 250000, mfs: 125000, hoh: 200000 };
+const HOME_CAPITAL_GAINS_EXCLUSIONS = { single: 250000, mfj: 500000, mfs: 250000, hoh: 250000 };
+// SALT cap (statutory, not inflation-indexed): the cap and its MAGI phase-down threshold rise 1% a year
+// through 2029; the cap is reduced by 30% of MAGI over the threshold, never below the floor. From 2030 the
+// cap reverts to the floor with no phase-down. Married filing separately gets half of every amount.
+const SALT_CAP_SCHEDULE = {
+    2025: { cap: 40000, phaseoutThreshold: 500000 },
+    2026: { cap: 40400, phaseoutThreshold: 505000 },
+    2027: { cap: 40804, phaseoutThreshold: 510050 },
+    2028: { cap: 41212, phaseoutThreshold: 515151 },
+    2029: { cap: 41624, phaseoutThreshold: 520302 },
+};
+const SALT_CAP_FLOOR = 10000;
+const SALT_CAP_PHASEOUT_RATE = 0.3;
+const SALT_CAP_SUNSET_YEAR = 2030;
+const getSaltCapSchedule = (year, filingStatus) => {
+    const scheduleYears = Object.keys(SALT_CAP_SCHEDULE).map(Number);
+    const { cap, phaseoutThreshold } = year >= SALT_CAP_SUNSET_YEAR
+        ? { cap: SALT_CAP_FLOOR, phaseoutThreshold: Infinity }
+        : SALT_CAP_SCHEDULE[Math.max(Math.min(...scheduleYears), year)];
+    const share = filingStatus === 'mfs' ? 0.5 : 1;
+    return { cap: cap * share, phaseoutThreshold: phaseoutThreshold * share, floor: SALT_CAP_FLOOR * share };
+};
+// Cap in effect at a given MAGI, and how much of the full cap the phase-down took away
+const applySaltCap = ({ cap, phaseoutThreshold, floor }, magi) => {
+    const effectiveCap = Math.max(floor, cap - Math.max(0, magi - phaseoutThreshold) * SALT_CAP_PHASEOUT_RATE);
+    return { saltCap: effectiveCap, saltCapLost: cap - effectiveCap };
+};
+const SE_PLAN_OPTIONS = [
+    { key: 'none', label: 'None' },
+    { key: 'sep', label: 'SEP-IRA' },
+    { key: 'solo401k', label: 'Solo 401(k)' },
+];
+const SE_EARNINGS_FACTOR = 0.9235; // net earnings from self-employment = 92.35% of net profit
+const QBI_DEDUCTION_RATE = 0.2;
+const DEFAULT_EQUITY_COMP = {
+    rsuVestIncome: 0, nsoSpread: 0, isoSpread: 0,
+    esppPurchaseCost: 0, esppOfferingFmv: 0, esppPurchaseFmv: 0, esppSaleProceeds: 0, esppDiscountRate: 15, esppDisposition: 'qualifying',
+};
+const ESPP_DISPOSITIONS = [
+    { key: 'qualifying', label: 'Qualifying' },
+    { key: 'disqualifying', label: 'Disqualifying' },
+];
+const FEDERAL_SUPPLEMENTAL_WITHHOLDING = { rate: 0.22, highRate: 0.37, highRateThreshold: 1000000 };
+const PAY_FREQUENCIES = [
+    { key: 'weekly', label: 'Weekly', periods: 52 },
+    { key: 'biweekly', label: 'Biweekly', periods: 26 },
+    { key: 'semimonthly', label: 'Semi-Monthly', periods: 24 },
+    { key: 'monthly', label: 'Monthly', periods: 12 },
+];
+// Employers withhold Additional Medicare on each employee's wages over $200k, whatever the filing status
+const ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD = 200000;
+// 2020+ Form W-4 entries; Step 2 is the multiple-jobs checkbox
+const DEFAULT_W4 = { filingStatus: 'mfj', multipleJobs: false, dependentsCredit: 0, otherIncome: 0, deductions: 0, extraWithholding: 0 };
+const W4_FILING_STATUSES = [
+    { key: 'single', label: 'Single or MFS' },
+    { key: 'mfj', label: 'Married Filing Jointly' },
+    { key: 'hoh', label: 'Head of Household' },
+];
+// Underpayment safe harbor, in the same shape as the state estimatedTax rules: pay the lesser of 90% of this
+// year's tax or 100% of last year's (110% above the high-income AGI), in four equal installments
+const FEDERAL_ESTIMATED_TAX_RULES = {
+    installments: estimatedTaxInstallments([0.25, 0.25, 0.25, 0.25]),
+    currentYearShare: 0.9,
+    priorYearShare: 1,
+    highIncomePriorYearShare: 1.1,
+    highIncomeAgi: { single: 150000, mfj: 150000, mfs: 75000, hoh: 150000 },
+    priorYearSafeHarborMaxAgi: null,
+    minimumBalance: { single: 1000, mfj: 1000, mfs: 1000, hoh: 1000 },
+};
+const UNDERPAYMENT_PENALTY_RATE = 0.07;
+// Retirement drawdown plans run to this age
+const PLANNING_END_AGE = 95;
+// Required minimum distributions: Uniform Lifetime Table divisors (2022+) by age
+const UNIFORM_LIFETIME_TABLE = {
+    72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0, 79: 21.1, 80: 20.2, 81: 19.4,
+    82: 18.5, 83: 17.7, 84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4, 88: 13.7, 89: 12.9, 90: 12.2, 91: 11.5,
+    92: 10.8, 93: 10.1, 94: 9.5, 95: 8.9, 96: 8.4, 97: 7.8, 98: 7.3, 99: 6.8, 100: 6.4,
+};
+// SECURE 2.0: RMDs start at 73 for those born 1951-1959 and 75 for those born 1960 or later
+const getRmdStartAge = (birthYear) => (birthYear >= 1960 ? 75 : birthYear >= 1951 ? 73 : 72);
+// Each conversion can be withdrawn penalty-free after five tax years (or at 59½)
+const ROTH_CONVERSION_SEASONING_YEARS = 5;
+const PENALTY_FREE_WITHDRAWAL_AGE = 59.5;
+// Provisional income thresholds where 50% and then 85% of Social Security becomes taxable (not indexed)
+const SOCIAL_SECURITY_TAXABLE_THRESHOLDS = { single: [25000, 34000], mfj: [32000, 44000], mfs: [0, 0], hoh: [25000, 34000] };
+const WITHDRAWAL_STRATEGIES = [
+    { key: 'conventional', label: 'Taxable → Traditional → Roth' },
+    { key: 'traditionalFirst', label: 'Traditional → Taxable → Roth' },
+    { key: 'bracketFill', label: 'Traditional to Bracket Top → Taxable → Roth' },
+    { key: 'proportional', label: 'Proportional From All' },
+];
+// Monte Carlo projections: fixed seed so results only move when inputs do, a trial cap to bound the total run, and
+// trials run in chunks between which the browser can handle input
+const MONTE_CARLO_SEED = 20240101;
+const MAX_MONTE_CARLO_TRIALS = 20000;
+const MONTE_CARLO_CHUNK_TRIALS = 500;
+const ITEMIZED_LIMITATION_START_YEAR = 2026;
+const ITEMIZED_LIMITATION_RATE = 2 / 37;
+const CHILD_TAX_CREDIT_PHASEOUT_THRESHOLDS = { single: 200000, mfj: 400000, mfs: 200000, hoh: 200000 };
+const CHILD_TAX_CREDIT_MAX_AGE = 16;
+const OTHER_DEPENDENT_CREDIT = 500;
+const DEPENDENT_CARE_MAX_AGE = 12;
+const DEPENDENT_CARE_EXPENSE_LIMITS = [0, 3000, 6000]; // by number of qualifying children (2 or more)
+
+// Inflation indexing, rounded to $50 like most IRS adjustments (credits use their own rounding)
+const indexAmount = (amount, factor, roundTo = 50) => (amount === Infinity || factor === 1 ? amount : Math.round(amount * factor / roundTo) * roundTo);
+const indexBrackets = (brackets, factor) => {
+    if (factor === 1) return brackets;
+    const maxes = brackets.map(bracket => indexAmount(bracket.max, factor));
+    return brackets.map((bracket, i) => ({ ...bracket, min: i === 0 ? 0 : maxes[i - 1] + 1, max: maxes[i] }));
+};
+const indexingFactor = (fromYear, toYear, inflationRate) => Math.pow(1 + (Number(inflationRate) || 0) / 100, Math.max(0, toYear - fromYear));
+
+// Everything the federal engine needs for one filing status and tax year, resolved in one place.
+const getFederalTaxTables = (filingStatus, taxYear = DEFAULT_TAX_YEAR, inflationRate = DEFAULT_INFLATION_RATE) => {
+    const year = Number(taxYear) || DEFAULT_TAX_YEAR;
+    const baseYear = FEDERAL_TAX_YEARS[year] ? year : (year > LATEST_FEDERAL_TAX_YEAR ? LATEST_FEDERAL_TAX_YEAR : Math.min(...FEDERAL_TAX_YEAR_KEYS));
+    const table = FEDERAL_TAX_YEARS[baseYear];
+    const factor = indexingFactor(baseYear, year, inflationRate);
+    const { amt, childTaxCredit, dependentCareCredit, retirementPlanLimits, qbi } = table;
+    return {
+        taxYear: year,
+        isProjected: year > LATEST_FEDERAL_TAX_YEAR,
+        brackets: indexBrackets(byFilingStatus(table.brackets, filingStatus), factor),
+        ltcgBrackets: indexBrackets(byFilingStatus(table.ltcgBrackets, filingStatus), factor),
+        standardDeduction: indexAmount(byFilingStatus(table.standardDeduction, filingStatus), factor),
+        saltCap: getSaltCapSchedule(year, filingStatus),
+        limitItemizedDeductions: year >= ITEMIZED_LIMITATION_START_YEAR,
+        socialSecurityWageBase: indexAmount(table.socialSecurityWageBase, factor),
+        mortgageDebtLimit: byFilingStatus(FEDERAL_MORTGAGE_DEBT_LIMITS, filingStatus),
+        niitThreshold: byFilingStatus(NIIT_THRESHOLDS, filingStatus),
+        additionalMedicareThreshold: byFilingStatus(ADDITIONAL_MEDICARE_THRESHOLDS, filingStatus),
+        homeSaleExclusion: byFilingStatus(HOME_CAPITAL_GAINS_EXCLUSIONS, filingStatus),
+        amt: {
+            brackets: schedule([[0.26, indexAmount(byFilingStatus(amt.rate28Threshold, filingStatus), factor)], [0.28, Infinity]]),
+            exemption: indexAmount(byFilingStatus(amt.exemption, filingStatus), factor),
+            phaseoutThreshold: indexAmount(byFilingStatus(amt.phaseoutThreshold, filingStatus), factor),
+            phaseoutRate: amt.phaseoutRate,
+        },
+        childTaxCredit: {
+            amount: indexAmount(childTaxCredit.amount, factor, 100),
+            refundableMax: indexAmount(childTaxCredit.refundableMax, factor, 100),
+            phaseoutThreshold: byFilingStatus(CHILD_TAX_CREDIT_PHASEOUT_THRESHOLDS, filingStatus),
+        },
+        retirementPlanLimits: {
+            electiveDeferral: indexAmount(retirementPlanLimits.electiveDeferral, factor, 500),
+            annualAdditions: indexAmount(retirementPlanLimits.annualAdditions, factor, 1000),
+        },
+        qbi: {
+            threshold: indexAmount(byFilingStatus(qbi.threshold, filingStatus), factor),
+            phaseInRange: byFilingStatus(qbi.phaseInRange, filingStatus),
+        },
+        dependentCareCredit: {
+            maxRate: dependentCareCredit.maxRate,
+            phaseouts: dependentCareCredit.phaseouts.map(({ floorRate, start, step }) => ({
+                floorRate, start: byFilingStatus(start, filingStatus), step: byFilingStatus(step, filingStatus),
+            })),
+        },
+    };
+};
+
+// State tables for a tax year: the latest published version at or before that year,
+// indexed forward from its year when the state indexes its brackets.
+const getStateTaxTables = (state, filingStatus, taxYear = DEFAULT_TAX_YEAR, inflationRate = DEFAULT_INFLATION_RATE) => {
+    const entry = STATE_TAX_DATA[state];
+    if (!entry) return { brackets: [], standardDeduction: 0, personalExemption: 0, longTermBrackets: null, incomeSurtax: null, amt: null, credits: null };
+    const year = Number(taxYear) || DEFAULT_TAX_YEAR;
+    const versionYear = Object.keys(entry.versions || {}).map(Number).filter(v => v <= year).sort((a, b) => b - a)[0];
+    const data = versionYear ? { ...entry, ...entry.versions[versionYear], taxYear: versionYear } : entry;
+    const { indexedForInflation, incomeSurtax, amt, credits } = getStateRules(state);
+    const factor = indexedForInflation ? indexingFactor(data.taxYear, year, inflationRate) : 1;
+    const standardDeduction = data.standardDeduction === 'federal'
+        ? getFederalTaxTables(filingStatus, year, inflationRate).standardDeduction
+        : indexAmount(byFilingStatus(data.standardDeduction, filingStatus) || 0, factor);
+    const longTermBrackets = byFilingStatus(entry.rules?.capitalGains?.longTermBrackets, filingStatus);
+    return {
+        dataYear: data.taxYear,
+        brackets: indexBrackets(byFilingStatus(data.brackets, filingStatus) || [], factor),
+        standardDeduction,
+        personalExemption: indexAmount(byFilingStatus(data.personalExemption, filingStatus) || 0, factor),
+        longTermBrackets: longTermBrackets ? indexBrackets(longTermBrackets, factor) : null,
+        incomeSurtax: incomeSurtax ? { rate: incomeSurtax.rate, threshold: indexAmount(incomeSurtax.threshold, factor) } : null,
+        amt: amt ? {
+            brackets: indexBrackets(byFilingStatus(amt.brackets, filingStatus), factor),
+            exemption: indexAmount(byFilingStatus(amt.exemption, filingStatus), factor),
+            phaseoutThreshold: indexAmount(byFilingStatus(amt.phaseoutThreshold, filingStatus), factor),
+            phaseoutRate: amt.phaseoutRate,
+        } : null,
+        credits: credits ? {
+            personalCredit: indexAmount(credits.personalCredit, factor, 1),
+            personalCreditCount: byFilingStatus(credits.personalCreditCount, filingStatus),
+            dependentCredit: indexAmount(credits.dependentCredit, factor, 1),
+            phaseoutThreshold: indexAmount(byFilingStatus(credits.phaseoutThreshold, filingStatus), factor, 1),
+            phaseoutStep: byFilingStatus(credits.phaseoutStep, filingStatus),
+            phaseoutAmount: credits.phaseoutAmount,
+            youngChildCredit: credits.youngChildCredit && {
+                ...credits.youngChildCredit,
+                amount: indexAmount(credits.youngChildCredit.amount, factor, 1),
+                phaseoutStart: indexAmount(credits.youngChildCredit.phaseoutStart, factor, 1),
+                phaseoutEnd: indexAmount(credits.youngChildCredit.phaseoutEnd, factor, 1),
+            },
+        } : null,
+    };
+};
+const getStateRules = (state) => {
+    const rules = STATE_TAX_DATA[state]?.rules || {};
+    return {
+        ...DEFAULT_STATE_RULES,
+        ...rules,
+        capitalGains: { ...DEFAULT_STATE_RULES.capitalGains, ...(rules.capitalGains || {}) },
+        retirementIncome: { ...DEFAULT_STATE_RULES.retirementIncome, ...(rules.retirementIncome || {}) },
+    };
+};
+const calculateTax = (income, brackets) => {
+    let tax = 0;
+    let remainingIncome = income;
+    for (const bracket of brackets) {
+        if (remainingIncome <= 0) break;
+        const taxableInBracket = Math.min(remainingIncome, bracket.max - (bracket.min > 0 ? bracket.min - 1 : 0));
+        if (taxableInBracket > 0) { tax += taxableInBracket * bracket.rate; remainingIncome -= taxableInBracket; }
+    }
+    return tax;
+};
+// LTCG stacks on top of ordinary income: fill the 0% band first, then 15%, remainder at 20%.
+const calculateLongTermGainsTax = (ordinaryIncome, longTermGains, ltcgBrackets) => {
+    let capitalGainsTax = 0;
+    let remainingLTCG = longTermGains;
+    const zeroRateMax = ltcgBrackets[0].max;
+    const taxableAtZero = Math.min(remainingLTCG, Math.max(0, zeroRateMax - ordinaryIncome));
+    remainingLTCG -= taxableAtZero;
+    const fifteenRateMax = ltcgBrackets[1].max;
+    const taxableAtFifteen = Math.min(remainingLTCG, Math.max(0, fifteenRateMax - Math.max(zeroRateMax, ordinaryIncome)));
+    capitalGainsTax += taxableAtFifteen * ltcgBrackets[1].rate;
+    remainingLTCG -= taxableAtFifteen;
+    if (remainingLTCG > 0) { capitalGainsTax += remainingLTCG * ltcgBrackets[2].rate; }
+    return capitalGainsTax;
+};
+// Splits equity compensation by how it is taxed. RSU vests and NSO spreads are supplemental wages (FICA,
+// state payroll taxes, supplemental withholding); the ESPP discount is ordinary income without FICA; an ISO
+// spread held past year-end is only an AMT preference. Disqualifying ESPP gains are treated as short-term.
+const summarizeEquityComp = (equityComp) => {
+    const value = (key) => Number(equityComp?.[key]) || 0;
+    let esppOrdinaryIncome = 0;
+    let shortTermGains = 0;
+    let longTermGains = 0;
+    if (value('esppSaleProceeds') > 0) {
+        const saleGain = value('esppSaleProceeds') - value('esppPurchaseCost');
+        if (equityComp.esppDisposition === 'disqualifying') {
+            // Spread at purchase is ordinary even if the shares later fell
+            esppOrdinaryIncome = Math.max(0, value('esppPurchaseFmv') - value('esppPurchaseCost'));
+            shortTermGains = saleGain - esppOrdinaryIncome;
+        } else {
+            // Ordinary income is the lesser of the actual gain and the discount measured at the offering date
+            esppOrdinaryIncome = Math.max(0, Math.min(saleGain, value('esppOfferingFmv') * value('esppDiscountRate') / 100));
+            longTermGains = saleGain - esppOrdinaryIncome;
+        }
+    }
+    return {
+        supplementalWages: value('rsuVestIncome') + value('nsoSpread'),
+        esppOrdinaryIncome,
+        shortTermGains,
+        longTermGains,
+        amtPreference: value('isoSpread'),
+    };
+};
+// Federal flat-rate withholding on supplemental wages: 22%, and 37% on the part over $1M
+const calculateSupplementalWithholding = (supplementalWages) => {
+    const { rate, highRate, highRateThreshold } = FEDERAL_SUPPLEMENTAL_WITHHOLDING;
+    return Math.min(supplementalWages, highRateThreshold) * rate + Math.max(0, supplementalWages - highRateThreshold) * highRate;
+};
+// State rate on supplemental wages: the state's published flat rate, else its top bracket rate
+const getStateSupplementalWithholdingRate = (state, filingStatus, taxYear, inflationRate) => (
+    getStateRules(state).supplementalWithholdingRate
+    ?? getStateTaxTables(state, filingStatus, taxYear, inflationRate).brackets.at(-1)?.rate
+    ?? 0
+);
+// Employee FICA and self-employment tax. Social Security stops at the wage base for each earner; Additional
+// Medicare applies to the household's combined Medicare wages over the filing-status threshold.
+// Self-employment income belongs to the first earner, whose wages use up the wage base first (Schedule SE);
+// wages also use up the Additional Medicare threshold before self-employment earnings (Form 8959).
+const calculateFicaTax = (wagesByEarner, federalTables, selfEmploymentIncome = 0) => {
+    const { socialSecurityWageBase, additionalMedicareThreshold } = federalTables;
+    const combinedWages = wagesByEarner.reduce((sum, earnerWages) => sum + earnerWages, 0);
+    const ssTax = wagesByEarner.reduce((sum, earnerWages) => sum + Math.min(earnerWages, socialSecurityWageBase) * 0.062, 0);
+    const medicareTax = combinedWages * 0.0145;
+    const additionalMedicareTax = Math.max(0, combinedWages - additionalMedicareThreshold) * 0.009;
+
+    const seEarnings = Math.max(0, selfEmploymentIncome) * SE_EARNINGS_FACTOR;
+    const seSocialSecurityTax = Math.min(seEarnings, Math.max(0, socialSecurityWageBase - (wagesByEarner[0] || 0))) * 0.124;
+    const seMedicareTax = seEarnings * 0.029;
+    const seAdditionalMedicareTax = Math.max(0, seEarnings - Math.max(0, additionalMedicareThreshold - combinedWages)) * 0.009;
+
+    return {
+        ssTax, medicareTax, additionalMedicareTax,
+        ficaTax: ssTax + medicareTax + additionalMedicareTax,
+        selfEmploymentTax: seSocialSecurityTax + seMedicareTax + seAdditionalMedicareTax,
+        deductibleSeTax: (seSocialSecurityTax + seMedicareTax) / 2,
+    };
+};
+// Most a SEP or solo 401(k) can take for this profit. The employer share is 20% of profit after the deductible
+// half of SE tax; a solo 401(k) adds the employee deferral, less what was already deferred at a W-2 job.
+const calculateSelfEmployedPlanLimit = ({ sePlan, selfEmploymentIncome, deductibleSeTax, w2Deferrals, federalTables }) => {
+    if (sePlan === 'none' || selfEmploymentIncome <= 0) return 0;
+    const { electiveDeferral, annualAdditions } = federalTables.retirementPlanLimits;
+    const earnedIncome = Math.max(0, selfEmploymentIncome - deductibleSeTax);
+    const employerShare = earnedIncome * 0.2;
+    if (sePlan === 'sep') return Math.min(employerShare, annualAdditions);
+    const employeeDeferral = Math.min(Math.max(0, electiveDeferral - w2Deferrals), earnedIncome);
+    return Math.min(employerShare + employeeDeferral, annualAdditions, earnedIncome);
+};
+// Section 199A deduction for a sole proprietorship with no employees: 20% of QBI, limited to 20% of taxable
+// income less net capital gains, phased out across the range above the threshold (no W-2 wage alternative).
+const calculateQbiDeduction = ({ qualifiedBusinessIncome, taxableIncomeBeforeQbi, netCapitalGains, federalTables }) => {
+    if (qualifiedBusinessIncome <= 0) return 0;
+    const { threshold, phaseInRange } = federalTables.qbi;
+    const phaseOut = Math.min(1, Math.max(0, taxableIncomeBeforeQbi - threshold) / phaseInRange);
+    const deduction = QBI_DEDUCTION_RATE * qualifiedBusinessIncome * (1 - phaseOut);
+    return Math.min(deduction, QBI_DEDUCTION_RATE * Math.max(0, taxableIncomeBeforeQbi - netCapitalGains));
+};
+// From 2026 itemized deductions are worth at most 35 cents on the dollar: they are reduced by 2/37 of the
+// lesser of the deductions or income reaching into the 37% bracket (measured before the deductions).
+const calculateItemizedLimitation = (itemizedDeductions, agi, federalTables) => {
+    if (!federalTables.limitItemizedDeductions) return 0;
+    const topBracketStart = federalTables.brackets[federalTables.brackets.length - 1].min - 1;
+    return ITEMIZED_LIMITATION_RATE * Math.min(itemizedDeductions, Math.max(0, agi - topBracketStart));
+};
+// AMT owed = tentative minimum tax over regular tax. The exemption phases out above the threshold;
+// with ltcgBrackets, long-term gains keep their preferential rates (Form 6251 Part III, simplified).
+const calculateAlternativeMinimumTax = ({ amti, regularTax, amt, longTermGains = 0, ltcgBrackets = null }) => {
+    const exemption = Math.max(0, amt.exemption - Math.max(0, amti - amt.phaseoutThreshold) * amt.phaseoutRate);
+    const amtBase = Math.max(0, amti - exemption);
+    let tentativeMinimumTax = calculateTax(amtBase, amt.brackets);
+    if (ltcgBrackets && longTermGains > 0) {
+        const gains = Math.min(longTermGains, amtBase);
+        const withGainRates = calculateTax(amtBase - gains, amt.brackets) + calculateLongTermGainsTax(amtBase - gains, gains, ltcgBrackets);
+        tentativeMinimumTax = Math.min(tentativeMinimumTax, withGainRates);
+    }
+    return Math.max(0, tentativeMinimumTax - regularTax);
+};
+// Federal credits against income tax (regular + AMT). The dependent care credit is applied first and is
+// nonrefundable; the Child Tax Credit's unused part is refundable up to the per-child cap (15% of earnings over $2,500).
+const calculateFederalCredits = ({ federalTables, filingStatus, agi, earnedIncome, dependents = [], dependentCareExpenses = 0, incomeTax }) => {
+    const ages = dependents.map(Number);
+    const qualifyingChildren = ages.filter(age => age <= CHILD_TAX_CREDIT_MAX_AGE).length;
+    const otherDependents = ages.length - qualifyingChildren;
+    const careChildren = ages.filter(age => age <= DEPENDENT_CARE_MAX_AGE).length;
+
+    // Dependent care: the rate steps down one point per AGI step above each phaseout start
+    const { maxRate, phaseouts } = federalTables.dependentCareCredit;
+    const careRate = phaseouts.reduce((rate, { floorRate, start, step }) => (
+        Math.max(floorRate, rate - Math.ceil(Math.max(0, agi - start) / step) * 0.01)
+    ), maxRate);
+    const careExpenses = Math.min(Number(dependentCareExpenses) || 0, DEPENDENT_CARE_EXPENSE_LIMITS[Math.min(careChildren, 2)]);
+    const dependentCareCredit = filingStatus === 'mfs' ? 0 : Math.min(careExpenses * careRate, incomeTax);
+
+    // Child Tax Credit (and $500 credit for other dependents), reduced $50 per $1,000 of AGI over the threshold
+    const { amount, refundableMax, phaseoutThreshold } = federalTables.childTaxCredit;
+    const tentativeCredit = qualifyingChildren * amount + otherDependents * OTHER_DEPENDENT_CREDIT;
+    const allowedCredit = Math.max(0, tentativeCredit - Math.ceil(Math.max(0, agi - phaseoutThreshold) / 1000) * 50);
+    const nonrefundable = Math.min(allowedCredit, incomeTax - dependentCareCredit);
+    const refundable = Math.min(allowedCredit - nonrefundable, qualifyingChildren * refundableMax, Math.max(0, earnedIncome - 2500) * 0.15);
+
+    return { childTaxCredit: nonrefundable + refundable, dependentCareCredit };
+};
+// --- Mortgage Loan Model ---
+// Purchase price, down payment (an amount, or a percent of the price by default) and the mortgage they imply
+const getHomePurchase = (inputs = {}) => {
+    const hasPrice = inputs.purchasePrice != null && inputs.purchasePrice !== '';
+    const purchasePrice = hasPrice ? Number(inputs.purchasePrice) || 0 : (Number(inputs.mortgageAmount) || 0) / LEGACY_LOAN_TO_VALUE;
+    const downPaymentInput = inputs.downPayment == null || inputs.downPayment === '' ? DEFAULT_DOWN_PAYMENT_PERCENT : Number(inputs.downPayment) || 0;
+    const downPayment = Math.min(purchasePrice, inputs.downPaymentType === 'amount' ? downPaymentInput : purchasePrice * downPaymentInput / 100);
+    return { purchasePrice, downPayment, mortgageAmount: purchasePrice - downPayment };
+};
+
+// Normalizes a state's housing inputs into loan terms
+const getLoanTerms = (inputs = {}) => {
+    const { purchasePrice, mortgageAmount: amount } = getHomePurchase(inputs);
+    const rate = Number(inputs.mortgageRate) || 0;
+    const armFixedYears = Number(inputs.armFixedYears) || 0;
+    return {
+        amount,
+        rate,
+        termYears: Number(inputs.loanTermYears) || DEFAULT_LOAN_TERM_YEARS,
+        arm: armFixedYears > 0 ? {
+            fixedYears: armFixedYears,
+            adjustedRate: inputs.armAdjustedRate === '' || inputs.armAdjustedRate == null ? rate : Number(inputs.armAdjustedRate),
+            initialCap: Number(inputs.armInitialCap ?? DEFAULT_ARM_CAPS.initialCap),
+            periodicCap: Number(inputs.armPeriodicCap ?? DEFAULT_ARM_CAPS.periodicCap),
+            lifetimeCap: Number(inputs.armLifetimeCap ?? DEFAULT_ARM_CAPS.lifetimeCap),
+        } : null,
+        points: Number(inputs.discountPoints) || 0,
+        pmiRate: Number(inputs.pmiRate) || 0,
+        homeValue: purchasePrice,
+        extraMonthly: Number(inputs.extraMonthlyPayment) || 0,
+        extraLumpSum: Number(inputs.extraLumpSum) || 0,
+        extraLumpSumYear: Number(inputs.extraLumpSumYear) || 1,
+    };
+};
+
+// Note rate for a loan year. An ARM keeps its start rate through the fixed period, then moves toward the
+// adjusted rate by at most the initial cap, then the periodic cap each year, within the lifetime cap.
+const armRateForYear = ({ rate, arm }, year, priorRate) => {
+    if (!arm || year <= arm.fixedYears) return rate;
+    const cap = year === arm.fixedYears + 1 ? arm.initialCap : arm.periodicCap;
+    const target = Math.min(rate + arm.lifetimeCap, Math.max(rate - arm.lifetimeCap, arm.adjustedRate));
+    return Math.min(priorRate + cap, Math.max(priorRate - cap, target));
+};
+
+const amortizedPayment = (balance, annualRate, months) => {
+    const r = annualRate / 100 / 12;
+    if (months <= 0) return balance;
+    return r === 0 ? balance / months : balance * r / (1 - Math.pow(1 + r, -months));
+};
+
+// Month-by-month amortization summarized per loan year. The payment is recast over the remaining term whenever an
+// ARM rate changes; extra principal shortens the loan. PMI (annual rate on the original amount) is charged while
+// the balance exceeds 80% of the home value. Returns one row per year of the original term, zeros after payoff.
+const buildMortgageSchedule = (loan) => {
+    const { amount, termYears, pmiRate, homeValue, extraMonthly, extraLumpSum, extraLumpSumYear } = loan;
+    const termMonths = termYears * 12;
+    const years = [];
+    let balance = amount;
+    let rate = loan.rate;
+    let payment = amortizedPayment(amount, rate, termMonths);
+    for (let year = 1; year <= termYears; year++) {
+        const row = { year, rate, monthlyPayment: 0, payment: 0, interest: 0, principal: 0, extraPrincipal: 0, pmi: 0, balance };
+        if (balance > 0.005) {
+            const nextRate = armRateForYear(loan, year, rate);
+            if (nextRate !== rate) {
+                rate = nextRate;
+                payment = amortizedPayment(balance, rate, termMonths - (year - 1) * 12);
+            }
+            row.rate = rate;
+            row.monthlyPayment = payment;
+            for (let month = 1; month <= 12 && balance > 0.005; month++) {
+                if (balance > homeValue * PMI_CANCEL_LOAN_TO_VALUE) row.pmi += amount * pmiRate / 100 / 12;
+                const interest = balance * rate / 100 / 12;
+                const principal = Math.min(payment - interest, balance);
+                balance -= principal;
+                const extra = Math.min(extraMonthly + (year === extraLumpSumYear && month === 1 ? extraLumpSum : 0), balance);
+                balance -= extra;
+                row.payment += interest + principal;
+                row.interest += interest;
+                row.principal += principal;
+                row.extraPrincipal += extra;
+            }
+        }
+        row.balance = Math.max(0, balance);
+        years.push(row);
+    }
+    return { years, pointsCost: amount * loan.points / 100, initialPayment: amortizedPayment(amount, loan.rate, termMonths) };
+};
+
+// Average monthly housing cost in a loan year: principal and interest, recurring extra principal, PMI, property tax and insurance
+const calculateMonthlyHousingCost = (loan, propTax, insurance, year = 1) => {
+    const row = loan?.amount > 0 ? buildMortgageSchedule(loan).years[year - 1] : null;
+    const loanCost = row ? row.payment + Math.min(row.extraPrincipal, loan.extraMonthly * 12) + row.pmi : 0;
+    return (loanCost + (Number(propTax) || 0) + (Number(insurance) || 0)) / 12;
+};
+
+// Deductible mortgage interest per loan year: interest on the share of the loan that is acquisition debt (all of it,
+// except cash out from a refinance) within the debt limit, with discount points deducted in the year of purchase.
+function getInterestSchedule({ loan, years = 10, debtLimit = Infinity }) {
+    if (!loan?.amount || !loan.rate) return [];
+    const deductibleShare = Math.min(1, Math.min(debtLimit, loan.acquisitionDebt ?? loan.amount) / loan.amount);
+    const { years: schedule, pointsCost } = buildMortgageSchedule(loan);
+    return Array.from({ length: years }, (_, i) => ({
+        year: i + 1,
+        interest: ((schedule[i]?.interest || 0) + (i === 0 ? pointsCost : 0)) * deductibleShare,
+    }));
+}
+
+// --- Refinance Analysis ---
+// A state's refinance offer, or null until a new rate is entered. The refinance happens at the start of a loan year.
+const getRefinanceTerms = (inputs = {}) => {
+    if (inputs.refinanceRate == null || inputs.refinanceRate === '') return null;
+    return {
+        year: Math.max(2, Number(inputs.refinanceYear) || 2),
+        rate: Number(inputs.refinanceRate) || 0,
+        termYears: Number(inputs.refinanceTermYears) || DEFAULT_LOAN_TERM_YEARS,
+        closingCosts: Number(inputs.refinanceClosingCosts) || 0,
+        cashOut: Number(inputs.refinanceCashOut) || 0,
+    };
+};
+
+// The new fixed-rate loan: the balance owed at the refinance plus any cash out. Extra payments carry over (a lump
+// sum only if it falls after the refinance); only the balance refinanced stays acquisition debt.
+const buildRefinanceLoan = (loan, refinance) => {
+    const balance = buildMortgageSchedule(loan).years[refinance.year - 2]?.balance || 0;
+    const extraLumpSumYear = loan.extraLumpSumYear - refinance.year + 1;
+    return {
+        ...loan,
+        amount: balance + refinance.cashOut,
+        acquisitionDebt: balance,
+        rate: refinance.rate,
+        termYears: refinance.termYears,
+        arm: null,
+        points: 0,
+        pmiRate: 0,
+        extraLumpSum: extraLumpSumYear >= 1 ? loan.extraLumpSum : 0,
+        extraLumpSumYear,
+    };
+};
+
+// Current loan from the refinance on vs. the new loan. Break-even and lifetime interest saved compare the current loan
+// with the refinanced balance alone, so cash out doesn't hide the rate change; the cash out's own payment and interest
+// are reported separately, and net savings take off closing costs. Returns null when nothing is left to refinance.
+const analyzeRefinance = (loan, refinance) => {
+    const refinanceLoan = buildRefinanceLoan(loan, refinance);
+    const balance = refinanceLoan.acquisitionDebt;
+    if (balance <= 0) return null;
+    const remaining = buildMortgageSchedule(loan).years.slice(refinance.year - 1);
+    const newSchedule = buildMortgageSchedule(refinanceLoan);
+    const balanceOnlySchedule = buildMortgageSchedule({ ...refinanceLoan, amount: balance });
+    const totalInterest = rows => rows.reduce((sum, row) => sum + row.interest, 0);
+    const currentPayment = remaining[0].monthlyPayment;
+    const monthlySavings = currentPayment - balanceOnlySchedule.initialPayment;
+    const currentInterest = totalInterest(remaining);
+    const newInterest = totalInterest(newSchedule.years);
+    const balanceOnlyInterest = totalInterest(balanceOnlySchedule.years);
+    return {
+        balance,
+        amount: refinanceLoan.amount,
+        currentPayment,
+        newPayment: newSchedule.initialPayment,
+        paymentChange: newSchedule.initialPayment - currentPayment,
+        cashOutPayment: newSchedule.initialPayment - balanceOnlySchedule.initialPayment,
+        breakEvenMonth: monthlySavings > 0 ? Math.ceil(refinance.closingCosts / monthlySavings) : null,
+        currentInterest,
+        newInterest,
+        interestSaved: currentInterest - balanceOnlyInterest,
+        closingCosts: refinance.closingCosts,
+        netSavings: currentInterest - balanceOnlyInterest - refinance.closingCosts,
+        cashOutInterest: newInterest - balanceOnlyInterest,
+    };
+};
+
+// --- Home Affordability ---
+const AFFORDABILITY_PRICE_PRECISION = 1000;
+const AFFORDABILITY_MAX_PRICE = 50000000;
+// Cash Flow categories that are debt payments for the back-end ratio; the other expenses count toward the savings rate only
+const AFFORDABILITY_DEBT_CATEGORIES = ['Car P&I'];
+
+// Property tax rate (%) for a state's home: the local rate implied by its property tax and price when both are
+// entered, the state's average effective rate otherwise
+const getPropertyTaxRate = (state, inputs = {}) => {
+    const { purchasePrice } = getHomePurchase(inputs);
+    const propertyTax = Number(inputs.propertyTax) || 0;
+    return purchasePrice > 0 && propertyTax > 0 ? propertyTax / purchasePrice * 100 : EFFECTIVE_PROPERTY_TAX_RATES[state] ?? 1;
+};
+
+// A state's housing inputs at another purchase price: same down payment setting and loan terms, property tax at the
+// state's rate and insurance as a share of the price
+const housingInputsAtPrice = (state, inputs = {}, price) => {
+    const { purchasePrice } = getHomePurchase(inputs);
+    const propertyTaxRate = getPropertyTaxRate(state, inputs) / 100;
+    const insurance = Number(inputs.homeInsurance) || 0;
+    return {
+        ...inputs,
+        purchasePrice: price,
+        propertyTax: Math.round(price * propertyTaxRate),
+        homeInsurance: purchasePrice > 0 ? Math.round(insurance * price / purchasePrice) : insurance,
+    };
+};
+
+// Limits on the purchase price. Housing is the full monthly cost (PITI plus PMI); debts are other loan payments.
+const AFFORDABILITY_LIMITS = [
+    { key: 'frontEndRatio', label: 'Front-End DTI', exceeds: ({ housing, grossMonthly }, limit) => housing > grossMonthly * limit / 100 },
+    { key: 'backEndRatio', label: 'Back-End DTI', exceeds: ({ housing, debts, grossMonthly }, limit) => housing + debts > grossMonthly * limit / 100 },
+    { key: 'savingsRateFloor', label: 'Savings Rate', exceeds: ({ netSavings, takeHome }, limit) => netSavings < takeHome * limit / 100 },
+];
+
+// Highest purchase price (to the nearest $1,000) within every limit that is set. resultsAtPrice reruns the state's
+// tax engine with the housing inputs, so the deduction on a bigger mortgage counts toward take-home. Returns the
+// price's metrics and the limit that stops a higher price (null at the search cap), or null with no limits set.
+const solveAffordablePrice = ({ state, inputs, resultsAtPrice, debtPayments = 0, limits }) => {
+    const activeLimits = AFFORDABILITY_LIMITS.filter(({ key }) => Number(limits[key]) > 0);
+    if (!activeLimits.length) return null;
+    const measure = (price) => {
+        const housingInputs = housingInputsAtPrice(state, inputs, price);
+        const results = resultsAtPrice(housingInputs);
+        const metrics = {
+            housing: results.monthlyHousingCost, debts: debtPayments, grossMonthly: results.totalIncome / 12,
+            netSavings: results.monthlyNetSavings, takeHome: results.monthlyTakeHome,
+        };
+        const exceeded = activeLimits.find(({ key, exceeds }) => exceeds(metrics, Number(limits[key])));
+        return { price, housingInputs, ...metrics, exceeded: exceeded || null };
+    };
+
+    let low = measure(0);
+    if (low.exceeded) return { ...low, limitedBy: low.exceeded };
+    let high = null;
+    for (let price = AFFORDABILITY_PRICE_PRECISION * 100; !high && price <= AFFORDABILITY_MAX_PRICE; price *= 2) {
+        const next = measure(price);
+        if (next.exceeded) high = next; else low = next;
+    }
+    if (!high) return { ...low, limitedBy: null };
+    while (high.price - low.price > AFFORDABILITY_PRICE_PRECISION) {
+        const mid = measure(Math.round((low.price + high.price) / 2 / AFFORDABILITY_PRICE_PRECISION) * AFFORDABILITY_PRICE_PRECISION);
+        if (mid.exceeded) high = mid; else low = mid;
+    }
+    return { ...low, limitedBy: high.exceeded };
+};
+
+// --- Generic State Engine ---
+// Everything state-specific comes from the state's rules object; nothing here is keyed on a state name.
+// Pass loan as null and propertyTax as 0 for renting; other itemized deductions still apply.
+function calculateStateTax({
+    state,
+    filingStatus,
+    taxYear = DEFAULT_TAX_YEAR,
+    inflationRate = DEFAULT_INFLATION_RATE,
+    wagesByEarner = [],
+    agi,
+    hsaDed,
+    k401Ded,
+    shortTermGains,
+    longTermGains,
+    loan = null,
+    mortgageYear = 1,
+    propertyTax = 0,
+    otherItemized = 0,
+    localTaxRate = 0,
+    amtPreferences = 0,
+    dependents = [],
+}) {
+    const rules = getStateRules(state);
+    const { capitalGains } = rules;
+    const wages = wagesByEarner.reduce((sum, earnerWages) => sum + earnerWages, 0);
+    const stateTables = getStateTaxTables(state, filingStatus, taxYear, inflationRate);
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+
+    // State AGI: add back contributions the state does not exclude
+    let stateAgi = agi;
+    if (!rules.hsaConformity) stateAgi += hsaDed;
+    if (!rules.retirementContributionConformity) stateAgi += k401Ded;
+    const longTermExclusion = Math.min(longTermGains * capitalGains.longTermExclusionRate, capitalGains.longTermExclusionMax);
+    stateAgi -= longTermExclusion;
+
+    // Gains taxed on their own schedule come out of the ordinary base
+    const separateLongTermGains = stateTables.longTermBrackets ? longTermGains - longTermExclusion : 0;
+    const separateShortTermGains = capitalGains.shortTermRate != null ? shortTermGains : 0;
+    const ordinaryStateIncome = stateAgi - separateLongTermGains - separateShortTermGains;
+
+    // Deductions
+    const mortgageDebtLimit = rules.mortgageDebtLimit === 'federal'
+        ? federalTables.mortgageDebtLimit
+        : rules.mortgageDebtLimit;
+    const mortgageInterest = getInterestSchedule({
+        loan,
+        years: mortgageYear,
+        debtLimit: mortgageDebtLimit,
+    })[mortgageYear - 1]?.interest || 0;
+    const stateItemizedDed = rules.itemizedDeductions ? mortgageInterest + propertyTax + otherItemized : 0;
+    const stateStandardDed = stateTables.standardDeduction;
+    const stateExemption = stateTables.personalExemption;
+    const propertyTaxDeduction = rules.itemizedDeductions ? 0 : Math.min(propertyTax, rules.propertyTaxDeductionCap);
+    const stateDeductionToUse = Math.max(stateItemizedDed, stateStandardDed) + propertyTaxDeduction;
+    const ordinaryTaxableIncome = Math.max(0, ordinaryStateIncome - stateDeductionToUse - stateExemption);
+    const stateTaxableIncome = ordinaryTaxableIncome + separateLongTermGains + separateShortTermGains;
+
+    // Tax
+    const ordinaryStateTax = calculateTax(ordinaryTaxableIncome, stateTables.brackets);
+    let capitalGainsStateTax = 0;
+    if (stateTables.longTermBrackets) {
+        capitalGainsStateTax += calculateTax(separateLongTermGains, stateTables.longTermBrackets);
+    }
+    capitalGainsStateTax += separateShortTermGains * (capitalGains.shortTermRate || 0);
+    if (capitalGains.surtax && agi > capitalGains.surtax.agiThreshold) {
+        capitalGainsStateTax += Math.max(0, shortTermGains + longTermGains) * capitalGains.surtax.rate;
+    }
+    // Income surtax: all taxable income above the threshold, including gains taxed on their own schedule
+    const { incomeSurtax } = stateTables;
+    const incomeSurtaxAmount = incomeSurtax ? Math.max(0, stateTaxableIncome - incomeSurtax.threshold) * incomeSurtax.rate : 0;
+    const stateTaxBeforeCredits = ordinaryStateTax + capitalGainsStateTax + incomeSurtaxAmount;
+
+    // State AMT: the deduction taken (property tax or standard) is added back with preference items
+    let stateAmt = 0;
+    if (stateTables.amt) {
+        const disallowedDeductions = stateItemizedDed > stateStandardDed ? propertyTax : stateStandardDed;
+        const stateAmti = ordinaryTaxableIncome + separateLongTermGains + separateShortTermGains + disallowedDeductions + amtPreferences;
+        stateAmt = calculateAlternativeMinimumTax({ amti: stateAmti, regularTax: stateTaxBeforeCredits, amt: stateTables.amt });
+    }
+
+    // Credits: exemption credits (per filer and dependent) are nonrefundable; the young child credit is refundable
+    let stateExemptionCredits = 0;
+    let stateChildCredits = 0;
+    const { credits } = stateTables;
+    if (credits) {
+        const reduction = Math.ceil(Math.max(0, agi - credits.phaseoutThreshold) / credits.phaseoutStep) * credits.phaseoutAmount;
+        const exemptionCredits = credits.personalCreditCount * Math.max(0, credits.personalCredit - reduction)
+            + dependents.length * Math.max(0, credits.dependentCredit - reduction);
+        stateExemptionCredits = Math.min(exemptionCredits, stateTaxBeforeCredits);
+        const youngChild = credits.youngChildCredit;
+        if (youngChild && dependents.some(age => Number(age) <= youngChild.maxAge)) {
+            const phaseIn = (youngChild.phaseoutEnd - wages) / (youngChild.phaseoutEnd - youngChild.phaseoutStart);
+            stateChildCredits = youngChild.amount * Math.min(1, Math.max(0, phaseIn));
+        }
+    }
+    const stateTax = stateTaxBeforeCredits - stateExemptionCredits - stateChildCredits;
+
+    // Payroll contributions (SDI, paid leave): wage base and maximum apply to each earner separately
+    const payrollTaxes = rules.payrollTaxes.map(({ label, rate, wageBase, max, saltDeductible }) => {
+        const base = wageBase === 'socialSecurity' ? federalTables.socialSecurityWageBase : wageBase;
+        const amount = wagesByEarner.reduce((sum, earnerWages) => sum + Math.min(Math.min(earnerWages, base) * rate, max), 0);
+        return { label, saltDeductible, amount };
+    });
+    const sdiTax = payrollTaxes.reduce((sum, { amount }) => sum + amount, 0);
+    const saltDeductiblePayrollTax = payrollTaxes.reduce((sum, { amount, saltDeductible }) => sum + (saltDeductible ? amount : 0), 0);
+    const localTax = localTaxRate > 0 ? agi * localTaxRate : 0;
+
+    return {
+        stateAgi,
+        mortgageInterest,
+        stateItemizedDed,
+        stateStandardDed,
+        stateExemption,
+        stateDeductionToUse,
+        stateTaxableIncome,
+        stateTax,
+        stateTaxBeforeCredits,
+        stateExemptionCredits,
+        stateChildCredits,
+        capitalGainsStateTax,
+        stateAmt,
+        payrollTaxes,
+        sdiTax,
+        saltDeductiblePayrollTax,
+        localTax,
+    };
+}
+const formatCurrency = (value, digits = 0) => {
+    if (typeof value !== 'number' || isNaN(value)) return '$0';
+    return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: digits });
+};
+function calcMonthlyTakeHomeDelta({
+    itemizedDeductions,
+    agi,
+    totalIncome,
+    shortTermGains,
+    longTermGains,
+    k401Ded,
+    hsaDed,
+    medicalDed,
+    ficaTax,
+    stateTax,
+    stateAmt = 0,
+    sdiTax,
+    localTax,
+    cappedSalt = 0,
+    amtPreferences = 0,
+    filingStatus,
+    dependents = [],
+    dependentCareExpenses = 0,
+    earnedIncome = 0,
+    qualifiedBusinessIncome = 0,
+    selfEmploymentTax = 0,
+    sePlanDed = 0,
+    postTaxContributions = 0,
+    federalTables,
+}) {
+    const newItemizedLimitation = calculateItemizedLimitation(itemizedDeductions, agi, federalTables);
+    const newDeduction = Math.max(itemizedDeductions - newItemizedLimitation, federalTables.standardDeduction);
+    const newQbiDeduction = calculateQbiDeduction({
+        qualifiedBusinessIncome, taxableIncomeBeforeQbi: Math.max(0, agi - newDeduction), netCapitalGains: longTermGains, federalTables,
+    });
+    const newFedTaxableIncome = Math.max(0, agi - newDeduction - newQbiDeduction);
+    const ordinaryIncome = newFedTaxableIncome - longTermGains;
+    const newOrdinaryTax = calculateTax(ordinaryIncome, federalTables.brackets);
+
+    // LTCG tax
+    const newCapitalGainsTax = calculateLongTermGainsTax(ordinaryIncome, longTermGains, federalTables.ltcgBrackets);
+
+    // NIIT
+    const netInvestmentIncome = shortTermGains + longTermGains;
+    const niitBase = Math.max(0, Math.min(netInvestmentIncome, agi - federalTables.niitThreshold));
+    const newNiit = niitBase * NIIT_RATE;
+
+    // AMT: add back SALT when itemizing, the standard deduction otherwise
+    const disallowedDeductions = newDeduction > federalTables.standardDeduction ? cappedSalt : newDeduction;
+    const newFederalAmt = calculateAlternativeMinimumTax({
+        amti: newFedTaxableIncome + disallowedDeductions + amtPreferences,
+        regularTax: newOrdinaryTax + newCapitalGainsTax,
+        amt: federalTables.amt,
+        longTermGains,
+        ltcgBrackets: federalTables.ltcgBrackets,
+    });
+
+    const newIncomeTax = newOrdinaryTax + newCapitalGainsTax + newFederalAmt;
+    const { childTaxCredit, dependentCareCredit } = calculateFederalCredits({
+        federalTables, filingStatus, agi, earnedIncome, dependents, dependentCareExpenses, incomeTax: newIncomeTax,
+    });
+
+    const newTotalFederalTax = newIncomeTax - childTaxCredit - dependentCareCredit + newNiit;
+    // All other taxes unchanged for this purpose
+    const newTotalTaxBurden = newTotalFederalTax + ficaTax + selfEmploymentTax + stateTax + stateAmt + sdiTax + localTax;
+    const newAnnualTakeHome = totalIncome - newTotalTaxBurden - k401Ded - hsaDed - medicalDed - sePlanDed - postTaxContributions;
+    const newMonthlyTakeHome = newAnnualTakeHome / 12;
+    return newMonthlyTakeHome;
+}
+// --- Updated Function for Home Value Projection and Break-Even Analysis ---
+// Rent vs. buy as net worth. The buyer pays the down payment and closing costs up front, then the loan, PMI and
+// operating costs less the tax benefit of owning (taxBenefitForYear). The renter invests the up-front cash and
+// pays rent growing at rentGrowthRate. Each year, whoever spends less invests the difference at the investment
+// return less tax drag. The buyer's net worth counts the home as sold that year, after selling costs and the tax
+// on the gain beyond the home-sale exclusion (saleTaxForYear, zero-valued callbacks when no engine is available).
+function calculateHomeValueProjection({
+    purchasePrice,
+    loan,
+    annualAppreciationRate,
+    years,
+    closingCostsBuying,
+    closingCostsSelling,
+    propertyTaxRate,
+    insuranceAnnual,
+    maintenanceRate,
+    rent,
+    rentGrowthRate = DEFAULT_INFLATION_RATE,
+    investmentReturn = 7,
+    investmentTaxDrag = 0,
+    taxBenefitForYear = () => 0,
+    saleTaxForYear = () => 0,
+    filingStatus = 'mfj',
+    taxYear = DEFAULT_TAX_YEAR,
+    inflationRate = DEFAULT_INFLATION_RATE
+}) {
+    const projections = [];
+    const monthlyRent = Number(rent) || 0;
+    const annualRent = monthlyRent * 12;
+    const downPayment = purchasePrice - loan.amount;
+    const { years: mortgageSchedule, pointsCost } = buildMortgageSchedule(loan);
+    const netInvestmentReturn = (investmentReturn - investmentTaxDrag) / 100;
+
+    // Initial costs when buying, including discount points
+    const closingCostsBuyingAmount = purchasePrice * (closingCostsBuying / 100) + pointsCost;
+    const initialInvestment = downPayment + closingCostsBuyingAmount;
+
+    // Annual costs; everything but the fixed mortgage payment rises with inflation
+    const annualPropertyTax = purchasePrice * (propertyTaxRate / 100);
+    const annualMaintenance = purchasePrice * (maintenanceRate / 100);
+    const annualOperatingCost = annualPropertyTax + insuranceAnnual + annualMaintenance;
+
+    let homeValue = purchasePrice;
+    let totalRentPaid = 0;
+    let totalHousingCost = 0; // Don't include initial investment in housing costs
+    // Running totals of each year's outlays deflated to today's dollars, for the real-dollar view
+    let realTotalRentPaid = 0;
+    let realTotalHousingCost = 0;
+    let renterPortfolio = initialInvestment;
+    let buyerPortfolio = 0;
+    let breakEvenYear = null;
+
+    for (let year = 1; year <= years; year++) {
+        // Calculate appreciation
+        homeValue = homeValue * (1 + annualAppreciationRate / 100);
+
+        // Interest and principal (scheduled plus extra) for the year from the shared loan model
+        const loanYear = mortgageSchedule[year - 1];
+        const yearlyInterest = loanYear?.interest || 0;
+        const yearlyPrincipal = (loanYear?.principal || 0) + (loanYear?.extraPrincipal || 0);
+        const mortgageBalance = loanYear ? loanYear.balance : 0;
+
+        // Calculate equity
+        const equity = homeValue - mortgageBalance;
+
+        // This year's outlays, priced at the start of the year: owning net of its tax benefit, and rent
+        const priceLevel = indexingFactor(0, year - 1, inflationRate);
+        const taxBenefit = taxBenefitForYear(year);
+        const ownershipCost = (loanYear ? loanYear.payment + loanYear.extraPrincipal + loanYear.pmi : 0)
+            + annualOperatingCost * priceLevel;
+        const yearRent = annualRent * Math.pow(1 + rentGrowthRate / 100, year - 1);
+        totalHousingCost += ownershipCost;
+        totalRentPaid += yearRent;
+        realTotalHousingCost += ownershipCost / priceLevel;
+        realTotalRentPaid += yearRent / priceLevel;
+
+        // Whoever spends less invests the difference
+        const netOwnershipCost = ownershipCost - taxBenefit;
+        renterPortfolio = renterPortfolio * (1 + netInvestmentReturn) + Math.max(0, netOwnershipCost - yearRent);
+        buyerPortfolio = buyerPortfolio * (1 + netInvestmentReturn) + Math.max(0, yearRent - netOwnershipCost);
+
+        // Sale this year: selling costs reduce the amount realized and buying costs (other than points) add to basis;
+        // the exclusion needs two years of ownership
+        const closingCostsSellingAmount = homeValue * (closingCostsSelling / 100);
+        const homeSaleExclusion = year >= 2 ? getFederalTaxTables(filingStatus, Number(taxYear) + year - 1, inflationRate).homeSaleExclusion : 0;
+        const taxableGain = Math.max(0, homeValue - closingCostsSellingAmount - (closingCostsBuyingAmount - pointsCost) - purchasePrice - homeSaleExclusion);
+        const capitalGainsTax = taxableGain > 0 ? saleTaxForYear(year, taxableGain) : 0;
+
+        // Net proceeds from sale
+        const netProceedsFromSale = homeValue - closingCostsSellingAmount - capitalGainsTax - mortgageBalance;
+
+        const homeOwnershipNetValue = netProceedsFromSale + buyerPortfolio;
+        const rentInvestmentScenario = renterPortfolio;
+        if (homeOwnershipNetValue >= rentInvestmentScenario && breakEvenYear === null) {
+            breakEvenYear = year;
+        }
+
+        // Calculate CAGR if we were to sell now
+        let cagr = 0;
+        if (netProceedsFromSale > initialInvestment && year > 0) {
+            cagr = (Math.pow(netProceedsFromSale / initialInvestment, 1 / year) - 1) * 100;
+        }
+
+        projections.push({
+            year,
+            homeValue,
+            equity,
+            mortgageBalance,
+            yearlyInterest,
+            yearlyPrincipal,
+            taxBenefit,
+            capitalGainsTax,
+            netProceedsFromSale,
+            totalHousingCost,
+            totalRentPaid,
+            realTotalHousingCost,
+            realTotalRentPaid,
+            rentInvestmentScenario,
+            homeOwnershipNetValue,
+            breakEven: homeOwnershipNetValue - rentInvestmentScenario, // Positive when buying is ahead
+            cagr
+        });
+    }
+
+    return {
+        projections,
+        breakEvenYear: breakEvenYear || 'N/A',
+        finalCAGR: projections[projections.length - 1]?.cagr || 0
+    };
+}
+
+// --- Per-State Buy/Rent Results ---
+// Pure version of the main calculation so multi-year views can rerun it with a later
+// tax year (indexed brackets) and the matching year of the mortgage.
+function calculateStateResults(inputs) {
+    const {
+        filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k = 0, afterTax401k = 0, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs, mortgageYear = 1,
+    } = inputs;
+    const newResults = {};
+    // Equity compensation: vest/exercise income is the first earner's wages; ESPP sales add ordinary income and gains
+    const equity = summarizeEquityComp(equityComp);
+    const earnerWages = wagesByEarner.map((wages, i) => (Number(wages) || 0) + (i === 0 ? equity.supplementalWages : 0));
+    const grossIncome = earnerWages.reduce((sum, wages) => sum + wages, 0) + equity.esppOrdinaryIncome;
+    const shortTermGains = (Number(stGains) || 0) + equity.shortTermGains;
+    const longTermGains = (Number(ltGains) || 0) + equity.longTermGains;
+    const hsaDed = Number(hsa) || 0;
+    const k401Ded = Number(k401) || 0;
+    // Roth and after-tax 401(k) contributions come out of take-home pay without reducing taxable income
+    const rothDeferrals = Number(roth401k) || 0;
+    const postTaxContributions = rothDeferrals + (Number(afterTax401k) || 0);
+    const medicalDed = Number(medicalPremiums) || 0;
+    const otherItemizedVal = Number(otherItemized) || 0;
+    const amtPreferences = equity.amtPreference;
+    const seIncome = Number(selfEmploymentIncome) || 0;
+
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+    // Federal AMT for a scenario: disallowed deductions (SALT if itemizing, else the standard deduction) plus preferences
+    const federalAmtFor = (taxableIncome, disallowedDeductions, regularTax) => calculateAlternativeMinimumTax({
+        amti: taxableIncome + disallowedDeductions + amtPreferences,
+        regularTax,
+        amt: federalTables.amt,
+        longTermGains,
+        ltcgBrackets: federalTables.ltcgBrackets,
+    });
+
+    // Self-employment: SE tax, its deductible half, and the plan contribution (capped at the plan limit)
+    const { ficaTax, additionalMedicareTax, selfEmploymentTax, deductibleSeTax } = calculateFicaTax(earnerWages, federalTables, seIncome);
+    const sePlanDed = Math.min(Number(sePlanContribution) || 0, calculateSelfEmployedPlanLimit({
+        sePlan, selfEmploymentIncome: seIncome, deductibleSeTax, w2Deferrals: k401Ded + rothDeferrals, federalTables,
+    }));
+    const qualifiedBusinessIncome = Math.max(0, seIncome - deductibleSeTax - sePlanDed);
+    const earnedIncome = grossIncome + Math.max(0, seIncome - deductibleSeTax);
+
+    const totalIncome = grossIncome + seIncome + shortTermGains + longTermGains;
+    const aboveTheLineDeductions = k401Ded + hsaDed + medicalDed + deductibleSeTax + sePlanDed;
+    const agi = totalIncome - aboveTheLineDeductions;
+    const qbiDeductionFor = (deduction) => calculateQbiDeduction({
+        qualifiedBusinessIncome, taxableIncomeBeforeQbi: Math.max(0, agi - deduction), netCapitalGains: longTermGains, federalTables,
+    });
+    const { saltCap, saltCapLost } = applySaltCap(federalTables.saltCap, agi);
+
+    selectedStates.forEach(state => {
+        const currentStateInputs = stateInputs[state] || {};
+        const currentCashFlowInputs = cashFlowInputs[state] || {}; // NEW
+        const loan = getLoanTerms(currentStateInputs);
+        const propertyTaxVal = Number(currentStateInputs.propertyTax) || 0;
+        const homeInsuranceVal = Number(currentStateInputs.homeInsurance) || 0;
+        const localTaxRateVal = Number(currentStateInputs.localTaxRate) / 100 || 0;
+        const monthlyRentVal = Number(currentStateInputs.monthlyRent) || 0;
+
+        const stateEngineInputs = {
+            state, filingStatus, taxYear, inflationRate, wagesByEarner: earnerWages, agi, hsaDed, k401Ded,
+            shortTermGains, longTermGains, localTaxRate: localTaxRateVal, amtPreferences, dependents,
+        };
+        const federalCreditsFor = (incomeTax) => calculateFederalCredits({
+            federalTables, filingStatus, agi, earnedIncome, dependents, dependentCareExpenses, incomeTax,
+        });
+
+        // --- BUY SCENARIO ---
+        const federalAnnualMortgageInterest = getInterestSchedule({
+            loan,
+            years: mortgageYear,
+            debtLimit: federalTables.mortgageDebtLimit,
+        })[mortgageYear - 1]?.interest || 0;
+
+        const {
+            stateStandardDed, stateExemption, stateTaxableIncome, stateTax, stateAmt,
+            stateTaxBeforeCredits, stateExemptionCredits, stateChildCredits,
+            payrollTaxes, sdiTax, saltDeductiblePayrollTax, localTax,
+        } = calculateStateTax({
+            ...stateEngineInputs,
+            loan,
+            mortgageYear,
+            propertyTax: propertyTaxVal,
+            otherItemized: otherItemizedVal,
+        });
+
+        let totalSaltPaid = stateTax + stateAmt + propertyTaxVal + saltDeductiblePayrollTax + localTax;
+        const cappedSalt = Math.min(totalSaltPaid, saltCap);
+        const totalFederalItemizedDeductions = federalAnnualMortgageInterest + cappedSalt + otherItemizedVal;
+        const itemizedLimitation = calculateItemizedLimitation(totalFederalItemizedDeductions, agi, federalTables);
+        const isItemizing = totalFederalItemizedDeductions - itemizedLimitation > federalTables.standardDeduction;
+        const deductionToUse = Math.max(totalFederalItemizedDeductions - itemizedLimitation, federalTables.standardDeduction);
+
+        const qbiDeduction = qbiDeductionFor(deductionToUse);
+        const federalTaxableIncome = Math.max(0, agi - deductionToUse - qbiDeduction);
+        const ordinaryIncome = federalTaxableIncome - longTermGains;
+        const ordinaryTax = calculateTax(ordinaryIncome, federalTables.brackets);
+        const capitalGainsTax = calculateLongTermGainsTax(ordinaryIncome, longTermGains, federalTables.ltcgBrackets);
+
+        const netInvestmentIncome = shortTermGains + longTermGains;
+        const niitBase = Math.max(0, Math.min(netInvestmentIncome, agi - federalTables.niitThreshold));
+        const niit = niitBase * NIIT_RATE;
+
+        const federalAmt = federalAmtFor(federalTaxableIncome, isItemizing ? cappedSalt : deductionToUse, ordinaryTax + capitalGainsTax);
+
+        const federalIncomeTax = ordinaryTax + capitalGainsTax;
+        const { childTaxCredit, dependentCareCredit } = federalCreditsFor(federalIncomeTax + federalAmt);
+
+        const totalFederalTax = federalIncomeTax + federalAmt - childTaxCredit - dependentCareCredit + niit;
+
+        const totalTaxBurden = totalFederalTax + ficaTax + selfEmploymentTax + stateTax + stateAmt + sdiTax + localTax;
+        const effectiveTaxRate = totalIncome > 0 ? (totalTaxBurden / totalIncome) * 100 : 0;
+
+        const annualTakeHome = totalIncome - totalTaxBurden - k401Ded - hsaDed - medicalDed - sePlanDed - postTaxContributions;
+        const monthlyTakeHome = annualTakeHome / 12;
+        const monthlyHousingCost = calculateMonthlyHousingCost(loan, propertyTaxVal, homeInsuranceVal, mortgageYear);
+        const monthlyNetCash = monthlyTakeHome - monthlyHousingCost;
+
+        // NEW: Calculate total expenses and final net savings
+        const totalMonthlyExpenses = Object.values(currentCashFlowInputs).reduce((sum, val) => sum + (Number(val) || 0), 0);
+        const monthlyNetSavings = monthlyNetCash - totalMonthlyExpenses;
+
+        // --- RENT SCENARIO ---
+        // No mortgage interest or property tax, but the renter can still itemize SALT and other deductions
+        const {
+            stateStandardDed: rentStateStandardDed,
+            stateTaxableIncome: rentStateTaxableIncome,
+            stateTax: rentStateTax,
+            stateAmt: rentStateAmt,
+            sdiTax: rentSdiTax,
+            saltDeductiblePayrollTax: rentSaltDeductiblePayrollTax,
+            localTax: rentLocalTax,
+        } = calculateStateTax({ ...stateEngineInputs, otherItemized: otherItemizedVal });
+
+        let rentTotalSaltPaid = rentStateTax + rentStateAmt + rentSaltDeductiblePayrollTax + rentLocalTax;
+        const rentCappedSalt = Math.min(rentTotalSaltPaid, saltCap);
+        const rentFederalItemizedDeductions = rentCappedSalt + otherItemizedVal;
+        const rentItemizedLimitation = calculateItemizedLimitation(rentFederalItemizedDeductions, agi, federalTables);
+        const rentIsItemizing = rentFederalItemizedDeductions - rentItemizedLimitation > federalTables.standardDeduction;
+        const rentDeductionToUse = Math.max(rentFederalItemizedDeductions - rentItemizedLimitation, federalTables.standardDeduction);
+        const rentQbiDeduction = qbiDeductionFor(rentDeductionToUse);
+        const rentFederalTaxableIncome = Math.max(0, agi - rentDeductionToUse - rentQbiDeduction);
+        const rentOrdinaryIncome = rentFederalTaxableIncome - longTermGains;
+        const rentOrdinaryTax = calculateTax(rentOrdinaryIncome, federalTables.brackets);
+        const rentCapitalGainsTax = calculateLongTermGainsTax(rentOrdinaryIncome, longTermGains, federalTables.ltcgBrackets);
+
+        const rentNetInvestmentIncome = shortTermGains + longTermGains;
+        const rentNiitBase = Math.max(0, Math.min(rentNetInvestmentIncome, agi - federalTables.niitThreshold));
+        const rentNiit = rentNiitBase * NIIT_RATE;
+        const rentFederalAmt = federalAmtFor(rentFederalTaxableIncome, rentIsItemizing ? rentCappedSalt : rentDeductionToUse, rentOrdinaryTax + rentCapitalGainsTax);
+
+        const rentCredits = federalCreditsFor(rentOrdinaryTax + rentCapitalGainsTax + rentFederalAmt);
+
+        const rentTotalFederalTax = rentOrdinaryTax + rentCapitalGainsTax + rentFederalAmt - rentCredits.childTaxCredit - rentCredits.dependentCareCredit + rentNiit;
+        const rentTotalTaxBurden = rentTotalFederalTax + ficaTax + selfEmploymentTax + rentStateTax + rentStateAmt + rentSdiTax + rentLocalTax;
+        const rentAnnualTakeHome = totalIncome - rentTotalTaxBurden - k401Ded - hsaDed - medicalDed - sePlanDed - postTaxContributions;
+        const rentMonthlyTakeHome = rentAnnualTakeHome / 12;
+        const rentMonthlyHousingCost = monthlyRentVal;
+        const rentMonthlyNetCash = rentMonthlyTakeHome - rentMonthlyHousingCost;
+
+        newResults[state] = {
+            // Buy scenario:
+            totalTaxBurden, effectiveTaxRate, annualTakeHome, monthlyTakeHome,
+            totalFederalTax, ficaTax, additionalMedicareTax, stateTax, sdiTax, localTax, niit, federalAmt, stateAmt, agi,
+            federalIncomeTax, childTaxCredit, dependentCareCredit, stateTaxBeforeCredits, stateExemptionCredits, stateChildCredits,
+            selfEmploymentTax, deductibleSeTax, sePlanDed, postTaxContributions, qualifiedBusinessIncome, qbiDeduction, earnedIncome, totalIncome,
+            wagesByEarner: earnerWages, shortTermGains, longTermGains,
+            deductionToUse, federalTaxableIncome, stateTaxableIncome, totalSaltPaid, saltCap, saltCapLost, monthlyHousingCost, monthlyNetCash,
+            totalMonthlyExpenses, monthlyNetSavings, // NEW
+            itemized: {
+                mortgageInterest: federalAnnualMortgageInterest,
+                salt: cappedSalt,
+                other: otherItemizedVal,
+                limitation: isItemizing ? itemizedLimitation : 0,
+                stateIncomeTax: stateTax + stateAmt,
+                propertyTax: propertyTaxVal,
+                payrollTax: saltDeductiblePayrollTax,
+            },
+            stateStandardDed, stateExemption, payrollTaxes,
+            // Rent scenario:
+            rent: {
+                totalTaxBurden: rentTotalTaxBurden,
+                annualTakeHome: rentAnnualTakeHome,
+                monthlyTakeHome: rentMonthlyTakeHome,
+                monthlyHousingCost: rentMonthlyHousingCost,
+                monthlyNetCash: rentMonthlyNetCash,
+                deductionToUse: rentDeductionToUse,
+                federalTaxableIncome: rentFederalTaxableIncome,
+                stateTaxableIncome: rentStateTaxableIncome,
+                totalSaltPaid: rentTotalSaltPaid,
+                stateTax: rentStateTax,
+                sdiTax: rentSdiTax,
+                localTax: rentLocalTax,
+                niit: rentNiit,
+                federalAmt: rentFederalAmt,
+                childTaxCredit: rentCredits.childTaxCredit,
+                dependentCareCredit: rentCredits.dependentCareCredit,
+                stateAmt: rentStateAmt,
+                stateStandardDed: rentStateStandardDed
+            }
+        };
+    });
+
+    // Equity withholding vs. the income tax the equity actually adds (FICA is withheld in full, so it is left out)
+    const hasEquity = Object.values(equity).some(amount => amount !== 0);
+    const withoutEquity = hasEquity ? calculateStateResults({ ...inputs, equityComp: null }) : {};
+    const incomeTaxOf = (result) => result.totalFederalTax + result.stateTax + result.stateAmt + result.localTax;
+    Object.entries(newResults).forEach(([state, result]) => {
+        const stateWithholdingRate = getStateSupplementalWithholdingRate(state, filingStatus, taxYear, inflationRate);
+        const equityWithholding = calculateSupplementalWithholding(equity.supplementalWages) + equity.supplementalWages * stateWithholdingRate;
+        result.equity = {
+            ...equity,
+            withholding: equityWithholding,
+            withholdingShortfall: hasEquity ? incomeTaxOf(result) - incomeTaxOf(withoutEquity[state]) - equityWithholding : 0,
+        };
+    });
+    return newResults;
+}
+
+// --- Retirement Income Tax ---
+// Taxable share of Social Security benefits from provisional income (other income plus half the benefits)
+const calculateTaxableSocialSecurity = (benefits, otherIncome, filingStatus) => {
+    const [base, adjustedBase] = byFilingStatus(SOCIAL_SECURITY_TAXABLE_THRESHOLDS, filingStatus);
+    const provisionalIncome = otherIncome + benefits / 2;
+    if (provisionalIncome <= base) return 0;
+    const firstTier = Math.min(benefits / 2, (Math.min(provisionalIncome, adjustedBase) - base) / 2);
+    if (provisionalIncome <= adjustedBase) return firstTier;
+    return Math.min(benefits * 0.85, firstTier + (provisionalIncome - adjustedBase) * 0.85);
+};
+
+// Federal and state tax for one retirement year, shared by the contribution mix, Roth conversion and drawdown tools.
+// Federal: ordinary brackets on IRA distributions, pension and the taxable part of Social Security, long-term rates
+// and NIIT on realized gains. State: its retirement income rules (Social Security share taxed, per-person
+// pension/IRA exclusions by age) before the regular state calculation.
+const calculateRetirementYearTax = ({ state, filingStatus, taxYear, inflationRate, age, iraDistributions = 0, pensionIncome = 0, socialSecurity = 0, longTermGains = 0 }) => {
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+    const taxableSocialSecurity = calculateTaxableSocialSecurity(socialSecurity, iraDistributions + pensionIncome + longTermGains, filingStatus);
+    const ordinaryIncome = iraDistributions + pensionIncome + taxableSocialSecurity;
+    const agi = ordinaryIncome + longTermGains;
+    // The standard deduction offsets ordinary income first, then gains
+    const ordinaryTaxableIncome = Math.max(0, ordinaryIncome - federalTables.standardDeduction);
+    const taxableGains = Math.max(0, Math.min(longTermGains, agi - federalTables.standardDeduction));
+    const federalTax = calculateTax(ordinaryTaxableIncome, federalTables.brackets)
+        + calculateLongTermGainsTax(ordinaryTaxableIncome, taxableGains, federalTables.ltcgBrackets)
+        + Math.max(0, Math.min(longTermGains, agi - federalTables.niitThreshold)) * NIIT_RATE;
+
+    const { socialSecurityTaxableShare, exclusions } = getStateRules(state).retirementIncome;
+    const people = filingStatus === 'mfj' ? 2 : 1;
+    const exclusionFor = (covers) => people * Math.max(0, ...exclusions
+        .filter(exclusion => exclusion.covers === covers && age >= exclusion.minAge)
+        .map(({ amount }) => amount));
+    const pensionExcluded = Math.min(pensionIncome, exclusionFor('pension'));
+    const retirementExcluded = Math.min(pensionIncome - pensionExcluded + iraDistributions, exclusionFor('all'));
+    const stateOrdinaryIncome = ordinaryIncome - taxableSocialSecurity * (1 - socialSecurityTaxableShare) - pensionExcluded - retirementExcluded;
+    const { stateTax, stateAmt } = calculateStateTax({
+        state, filingStatus, taxYear, inflationRate, agi: stateOrdinaryIncome + longTermGains, hsaDed: 0, k401Ded: 0, shortTermGains: 0, longTermGains,
+    });
+    return { federalTax, stateTax: stateTax + stateAmt, taxableSocialSecurity };
+};
+
+// --- Contribution Mix Comparison ---
+const CONTRIBUTION_MIXES = [
+    { key: 'traditional', label: 'All Traditional' },
+    { key: 'roth', label: 'All Roth' },
+    { key: 'current', label: 'Your Mix' },
+];
+
+// Total federal and state income tax on a year's IRA withdrawals (or conversions) and pension income at a given age
+const calculateRetirementIncomeTax = ({ state, filingStatus, taxYear, inflationRate, age, iraDistributions = 0, pensionIncome = 0 }) => {
+    const { federalTax, stateTax } = calculateRetirementYearTax({ state, filingStatus, taxYear, inflationRate, age, iraDistributions, pensionIncome });
+    return federalTax + stateTax;
+};
+
+// After-tax retirement wealth for each traditional/Roth split of the same elective deferrals, in today's dollars.
+// Every mix costs the same out of pocket: whatever traditional deferrals save in tax today goes to a taxable
+// account. Traditional balances pay the retirement state's tax at the rate their withdrawals add on top of other
+// retirement income, after the state's retirement income exclusions; after-tax contributions are converted to Roth
+// in-plan (mega-backdoor) and grow tax-free.
+const compareContributionMixes = ({ state, mixes, afterTaxContribution, retirementInputs, filingStatus, taxYear, inflationRate }) => {
+    const { portfolioGrowthRate, currentAge, retirementAge, swr, retirementState, retirementIncome, taxableGainsTaxRate } = retirementInputs;
+    const years = Math.max(0, Number(retirementAge) - Number(currentAge));
+    const realReturn = (1 + (Number(portfolioGrowthRate) || 0) / 100) / (1 + (Number(inflationRate) || 0) / 100) - 1;
+    // Value at retirement of $1 contributed at the start of each working year
+    const growthFactor = Array.from({ length: years }, (_, k) => (1 + realReturn) ** (years - k)).reduce((sum, value) => sum + value, 0);
+    const gainsTaxRate = (Number(taxableGainsTaxRate) || 0) / 100;
+    const taxableAccountAfterTax = (annual) => {
+        const value = annual * growthFactor;
+        return value - Math.max(0, value - annual * years) * gainsTaxRate;
+    };
+
+    const taxState = retirementState || state;
+    const otherIncome = Number(retirementIncome) || 0;
+    // Withdrawals at retirement age on top of other retirement income, with the state's IRA and pension exclusions
+    const retirementTaxOn = (iraDistributions) => calculateRetirementIncomeTax({
+        state: taxState, filingStatus, taxYear, inflationRate, age: Number(retirementAge), iraDistributions, pensionIncome: otherIncome,
+    });
+    const baseRetirementTax = retirementTaxOn(0);
+    // Average rate on a year's withdrawal; with nothing to withdraw, the marginal rate on the next $1,000
+    const retirementTaxRateOn = (withdrawal) => {
+        const amount = Math.max(withdrawal, 1000);
+        return (retirementTaxOn(amount) - baseRetirementTax) / amount;
+    };
+
+    const rothTaxBurden = mixes.roth.totalTaxBurden;
+    const results = {};
+    Object.entries(mixes).forEach(([key, { traditional, roth, totalTaxBurden }]) => {
+        const taxSavings = Math.max(0, rothTaxBurden - totalTaxBurden);
+        const traditionalBalance = traditional * growthFactor;
+        const retirementTaxRate = retirementTaxRateOn(traditionalBalance * (Number(swr) || 4) / 100);
+        const traditionalAfterTax = traditionalBalance * (1 - retirementTaxRate);
+        const rothBalance = (roth + afterTaxContribution) * growthFactor;
+        const taxableAccount = taxableAccountAfterTax(taxSavings);
+        results[key] = {
+            traditional, roth, totalTaxBurden, taxSavings, traditionalBalance, retirementTaxRate, traditionalAfterTax, rothBalance, taxableAccount,
+            totalAfterTax: traditionalAfterTax + rothBalance + taxableAccount,
+        };
+    });
+    const deferrals = mixes.traditional.traditional;
+    return {
+        years,
+        taxState,
+        currentTaxRate: deferrals > 0 ? (rothTaxBurden - mixes.traditional.totalTaxBurden) / deferrals : 0,
+        mixes: results,
+        megaBackdoorAdvantage: afterTaxContribution * growthFactor - taxableAccountAfterTax(afterTaxContribution),
+    };
+};
+
+// --- Roth Conversion Planner ---
+// Year-by-year conversions from retirement to PLANNING_END_AGE, in today's dollars against today's brackets.
+// Each year converts enough to fill the target federal bracket on top of other income and any RMD, until the
+// conversion end age. Conversion tax is paid from outside the accounts. The baseline takes only RMDs; both plans
+// carry the tax still owed on the traditional balance left at the end, at that year's marginal rate.
+const planRothConversions = ({ traditionalBalance, annualContribution, currentAge, retirementAge, conversionEndAge, targetRate, otherIncome, state, filingStatus, taxYear, inflationRate, portfolioGrowthRate }) => {
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+    const realReturn = (1 + (Number(portfolioGrowthRate) || 0) / 100) / (1 + (Number(inflationRate) || 0) / 100) - 1;
+    const startAge = Number(currentAge) || 0;
+    const firstAge = Math.max(startAge, Number(retirementAge) || 0);
+    const rmdStartAge = getRmdStartAge(Number(taxYear) - startAge);
+    const bracket = federalTables.brackets.find(({ rate }) => Math.abs(rate * 100 - Number(targetRate)) < 1e-9) || federalTables.brackets[0];
+    const fillTo = bracket.max + federalTables.standardDeduction;
+    const retirementTaxOn = (age, iraDistributions) => calculateRetirementIncomeTax({
+        state, filingStatus, taxYear, inflationRate, age, iraDistributions, pensionIncome: otherIncome,
+    });
+
+    // Balance at retirement: today's balance plus traditional contributions until then
+    let balanceAtRetirement = Number(traditionalBalance) || 0;
+    for (let age = startAge; age < firstAge; age++) {
+        balanceAtRetirement = (balanceAtRetirement + (Number(annualContribution) || 0)) * (1 + realReturn);
+    }
+
+    const simulate = (convert) => {
+        let traditional = balanceAtRetirement;
+        let roth = 0;
+        const rows = [];
+        for (let age = firstAge; age <= PLANNING_END_AGE; age++) {
+            const rmd = age >= rmdStartAge ? traditional / (UNIFORM_LIFETIME_TABLE[Math.min(age, 100)]) : 0;
+            const conversion = convert && age <= Number(conversionEndAge)
+                ? Math.min(traditional - rmd, Math.max(0, fillTo - otherIncome - rmd))
+                : 0;
+            const ordinaryIncome = otherIncome + rmd + conversion;
+            traditional = (traditional - rmd - conversion) * (1 + realReturn);
+            roth = (roth + conversion) * (1 + realReturn);
+            const year = Number(taxYear) + age - startAge;
+            const accessibleAge = Math.max(age + ROTH_CONVERSION_SEASONING_YEARS, PENALTY_FREE_WITHDRAWAL_AGE);
+            rows.push({
+                year, age, rmd, conversion, ordinaryIncome,
+                tax: retirementTaxOn(age, rmd + conversion),
+                traditionalBalance: traditional,
+                rothBalance: roth,
+                accessibleYear: year + Math.ceil(accessibleAge - age),
+                accessibleAge,
+            });
+        }
+        const lifetimeTax = rows.reduce((sum, { tax }) => sum + tax, 0);
+        const lastAge = rows.at(-1)?.age ?? firstAge;
+        const lastDistributions = rows.length ? rows.at(-1).rmd + rows.at(-1).conversion : 0;
+        // Tax still owed on the ending traditional balance, at the marginal rate on the next $1,000 of withdrawals
+        const endingMarginalRate = (retirementTaxOn(lastAge, lastDistributions + 1000) - retirementTaxOn(lastAge, lastDistributions)) / 1000;
+        const deferredTax = traditional * endingMarginalRate;
+        return { rows, lifetimeTax, deferredTax, endingTraditional: traditional, endingRoth: roth };
+    };
+
+    return { balanceAtRetirement, rmdStartAge, bracket, withConversions: simulate(true), withoutConversions: simulate(false) };
+};
+
+// --- Retirement Drawdown ---
+// Year-by-year drawdown from retirement to PLANNING_END_AGE in today's dollars. Buckets grow at the real return
+// with ongoing contributions until retirement. Each year withdraws the initial portfolio times the withdrawal
+// rate, taking any RMD first and the rest in strategy order; an RMD beyond the plan is reinvested in the taxable
+// account. Taxable withdrawals realize gains in proportion to unrealized gains in the account. Spendable income is
+// withdrawals plus pension and Social Security, less federal and state tax.
+const simulateDrawdown = ({ state, strategy, retirementInputs, contributions, filingStatus, taxYear, inflationRate }) => {
+    const {
+        currentAge, retirementAge, portfolioGrowthRate, swr, retirementIncome, traditionalBalance, rothBalance, taxableBalance,
+        taxableBasisShare, socialSecurityBenefit, socialSecurityAge, conversionTargetRate,
+    } = retirementInputs;
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+    const realReturn = (1 + (Number(portfolioGrowthRate) || 0) / 100) / (1 + (Number(inflationRate) || 0) / 100) - 1;
+    const startAge = Number(currentAge) || 0;
+    const firstAge = Math.max(startAge, Number(retirementAge) || 0);
+    const rmdStartAge = getRmdStartAge(Number(taxYear) - startAge);
+    const bracket = federalTables.brackets.find(({ rate }) => Math.abs(rate * 100 - Number(conversionTargetRate)) < 1e-9) || federalTables.brackets[0];
+    const pensionIncome = Number(retirementIncome) || 0;
+    const benefits = Number(socialSecurityBenefit) || 0;
+
+    let traditional = Number(traditionalBalance) || 0;
+    let roth = Number(rothBalance) || 0;
+    let taxable = Number(taxableBalance) || 0;
+    let basis = taxable * (Number(taxableBasisShare) || 0) / 100;
+    for (let age = startAge; age < firstAge; age++) {
+        traditional = (traditional + contributions.traditional) * (1 + realReturn);
+        roth = (roth + contributions.roth) * (1 + realReturn);
+        taxable = (taxable + contributions.taxable) * (1 + realReturn);
+        basis += contributions.taxable;
+    }
+    const plannedWithdrawal = (traditional + roth + taxable) * (Number(swr) || 0) / 100;
+
+    const rows = [];
+    for (let age = firstAge; age <= PLANNING_END_AGE; age++) {
+        const socialSecurity = age >= Number(socialSecurityAge) ? benefits : 0;
+        const rmd = age >= rmdStartAge ? traditional / UNIFORM_LIFETIME_TABLE[Math.min(age, 100)] : 0;
+        const withdrawals = { traditional: rmd, taxable: 0, roth: 0 };
+        let remaining = Math.max(0, plannedWithdrawal - rmd);
+        const take = (bucket, balance, limit = Infinity) => {
+            const amount = Math.min(remaining, Math.max(0, balance - withdrawals[bucket]), limit);
+            withdrawals[bucket] += amount;
+            remaining -= amount;
+        };
+        if (strategy === 'proportional') {
+            const total = traditional + taxable + roth;
+            if (total > 0) {
+                const amount = remaining;
+                take('traditional', traditional, amount * traditional / total);
+                take('taxable', taxable, amount * taxable / total);
+                take('roth', roth, amount * roth / total);
+            }
+        } else if (strategy === 'bracketFill') {
+            // Traditional up to the top of the bracket, counting pension and the most Social Security that could be taxable
+            const room = bracket.max + federalTables.standardDeduction - pensionIncome - socialSecurity * 0.85 - withdrawals.traditional;
+            take('traditional', traditional, Math.max(0, room));
+        } else if (strategy === 'traditionalFirst') {
+            take('traditional', traditional);
+        }
+        take('taxable', taxable);
+        take('traditional', traditional);
+        take('roth', roth);
+
+        const gainShare = taxable > 0 ? Math.max(0, 1 - basis / taxable) : 0;
+        const realizedGains = withdrawals.taxable * gainShare;
+        const { federalTax, stateTax } = calculateRetirementYearTax({
+            state, filingStatus, taxYear, inflationRate, age,
+            iraDistributions: withdrawals.traditional, pensionIncome, socialSecurity, longTermGains: realizedGains,
+        });
+        const excessRmd = Math.max(0, rmd - plannedWithdrawal);
+        const totalWithdrawals = withdrawals.traditional + withdrawals.taxable + withdrawals.roth;
+
+        basis = basis - (withdrawals.taxable - realizedGains) + excessRmd;
+        traditional = (traditional - withdrawals.traditional) * (1 + realReturn);
+        taxable = (taxable - withdrawals.taxable + excessRmd) * (1 + realReturn);
+        roth = (roth - withdrawals.roth) * (1 + realReturn);
+        rows.push({
+            age,
+            year: Number(taxYear) + age - startAge,
+            rmd,
+            withdrawals,
+            socialSecurity,
+            pensionIncome,
+            federalTax,
+            stateTax,
+            spendable: totalWithdrawals - excessRmd + pensionIncome + socialSecurity - federalTax - stateTax,
+            traditionalBalance: traditional,
+            taxableBalance: taxable,
+            rothBalance: roth,
+        });
+    }
+    const depletedAt = rows.find(row => row.traditionalBalance + row.taxableBalance + row.rothBalance < 1)?.age ?? null;
+    return {
+        plannedWithdrawal,
+        rows,
+        depletedAt,
+        lifetimeTax: rows.reduce((sum, { federalTax, stateTax }) => sum + federalTax + stateTax, 0),
+        averageSpendable: rows.length ? rows.reduce((sum, { spendable }) => sum + spendable, 0) / rows.length : 0,
+    };
+};
+
+// --- Monte Carlo Projection ---
+// Small seeded PRNG (mulberry32) so every state sees the same return paths
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Simulates the accumulation path with lognormal annual returns matching the given arithmetic mean and volatility.
+// contributions[i] is added at the end of year i + 1. step(count) advances the run by about count trials' worth of work
+// (simulating, then sorting each year's balances) and returns true once finished, so callers can spread it over several
+// tasks. result() then gives the share of trials reaching targetAssets (grown with inflation) within targetYears, and
+// the 10th/50th/90th percentile balance for each year.
+const createMonteCarloProjection = ({ startingAssets, targetAssets, contributions, targetYears, meanReturn, volatility, trials, inflationRate = 0 }) => {
+    const trialCount = Math.max(1, Math.min(MAX_MONTE_CARLO_TRIALS, Math.round(Number(trials) || 0)));
+    const mean = (Number(meanReturn) || 0) / 100;
+    const sigmaSquared = Math.log(1 + ((Number(volatility) || 0) / 100) ** 2 / (1 + mean) ** 2);
+    const sigma = Math.sqrt(sigmaSquared);
+    const mu = Math.log(1 + mean) - sigmaSquared / 2;
+    const random = createRandom(MONTE_CARLO_SEED);
+    const years = contributions.length;
+    const balances = Array.from({ length: years }, () => new Float64Array(trialCount));
+    const targetPath = Array.from({ length: years }, (_, year) => targetAssets * indexingFactor(0, year + 1, inflationRate));
+
+    let completed = 0;
+    let sortedYears = 0;
+    let successes = 0;
+    const step = (count) => {
+        if (completed === trialCount) {
+            const end = Math.min(years, sortedYears + Math.max(1, Math.ceil(count * years / trialCount)));
+            for (let year = sortedYears; year < end; year++) balances[year].sort();
+            sortedYears = end;
+            return sortedYears === years;
+        }
+        const end = Math.min(trialCount, completed + count);
+        for (let trial = completed; trial < end; trial++) {
+            let assets = startingAssets;
+            let reached = assets >= targetAssets;
+            for (let year = 0; year < years; year++) {
+                // Box-Muller normal draw
+                const z = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+                assets = assets * Math.exp(mu + sigma * z) + contributions[year];
+                balances[year][trial] = assets;
+                if (year < targetYears && assets >= targetPath[year]) reached = true;
+            }
+            if (reached) successes++;
+        }
+        completed = end;
+        return false;
+    };
+
+    const percentile = (sorted, p) => sorted[Math.round(p * (sorted.length - 1))];
+    const result = () => ({
+        successProbability: successes / trialCount,
+        bands: balances.map((sorted, year) => ({ year: year + 1, p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) })),
+    });
+    return { step, result };
+};
+
+// --- Historical Backtest ---
+// Runs the plan from every historical start year with a complete sequence: contributions for accumulationYears, then
+// annualSpending withdrawn at the start of each retirement year. Everything is in today's dollars (returns are
+// deflated by that year's inflation) and the stock/bond mix is rebalanced annually. A year the portfolio can't fully
+// fund spends what is left and counts as the depletion year; yearsLasted includes the funded share of it.
+const runHistoricalBacktest = ({ startingAssets, annualContribution, accumulationYears, retirementYears, annualSpending, stockAllocation, history = HISTORICAL_RETURNS }) => {
+    const stockShare = Math.min(100, Math.max(0, Number(stockAllocation) || 0)) / 100;
+    const cycleLength = accumulationYears + retirementYears;
+    const cycles = [];
+    for (let start = 0; start + cycleLength <= history.length; start++) {
+        let assets = startingAssets;
+        let retirementBalance = assets;
+        let depletedYear = null;
+        let yearsLasted = retirementYears;
+        for (let i = 0; i < cycleLength; i++) {
+            const { year, stocks, bonds, inflation } = history[start + i];
+            const realReturn = (1 + (stockShare * stocks + (1 - stockShare) * bonds) / 100) / (1 + inflation / 100) - 1;
+            if (i < accumulationYears) {
+                assets = assets * (1 + realReturn) + annualContribution;
+                continue;
+            }
+            if (i === accumulationYears) retirementBalance = assets;
+            if (depletedYear !== null) continue;
+            if (assets < annualSpending) {
+                // Partial final year: withdraw what remains
+                depletedYear = year;
+                yearsLasted = i - accumulationYears + assets / annualSpending;
+                assets = 0;
+                continue;
+            }
+            assets = (assets - annualSpending) * (1 + realReturn);
+        }
+        if (accumulationYears === cycleLength) retirementBalance = assets;
+        cycles.push({
+            startYear: history[start].year,
+            retirementBalance,
+            endingBalance: assets,
+            depletedYear,
+            yearsLasted,
+        });
+    }
+    if (cycles.length === 0) return null;
+
+    const sortedEndings = cycles.map(({ endingBalance }) => endingBalance).sort((a, b) => a - b);
+    const percentile = (p) => sortedEndings[Math.round(p * (sortedEndings.length - 1))];
+    const worst = cycles.reduce((min, cycle) => (
+        cycle.yearsLasted < min.yearsLasted || (cycle.yearsLasted === min.yearsLasted && cycle.endingBalance < min.endingBalance) ? cycle : min
+    ));
+    return {
+        cycles,
+        successRate: cycles.filter(({ depletedYear }) => depletedYear === null).length / cycles.length,
+        worst,
+        endingBalancePercentiles: { p10: percentile(0.1), p50: percentile(0.5), p90: percentile(0.9) },
+    };
+};
+
+// --- Paycheck Schedule ---
+// Regular wages paid out per period for one state. Payroll taxes accrue year-to-date per earner with the same
+// wage bases and caps the annual engine uses, so Social Security stops once the wage base is reached. Pre-tax
+// deductions are split across earners by wages; a 401(k) deferral rate front-loads contributions until the
+// annual amount is reached. Roth and after-tax 401(k) contributions come out of net pay evenly. Income tax
+// withholding spreads the engine's annual tax on wages evenly.
+function calculatePaycheckSchedule({
+    state, filingStatus, taxYear, inflationRate, payFrequency, wagesByEarner, k401Annual, k401DeferralRate,
+    hsaAnnual, medicalAnnual, postTaxAnnual = 0, federalWithholding, stateWithholding, localWithholding,
+}) {
+    const { periods } = PAY_FREQUENCIES.find(({ key }) => key === payFrequency) || PAY_FREQUENCIES[1];
+    const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+    const { payrollTaxes } = getStateRules(state);
+    const totalWages = wagesByEarner.reduce((sum, wages) => sum + wages, 0);
+    const earners = wagesByEarner.map(wages => ({
+        wages,
+        share: totalWages > 0 ? wages / totalWages : 0,
+        ytdWages: 0,
+        ytd401k: 0,
+        ytdPayroll: payrollTaxes.map(() => 0),
+    }));
+
+    const rows = [];
+    for (let period = 1; period <= periods; period++) {
+        const row = { period, gross: 0, k401: 0, hsa: 0, medical: 0, socialSecurity: 0, medicare: 0, statePayroll: 0 };
+        earners.forEach(earner => {
+            const gross = earner.wages / periods;
+            const priorWages = earner.ytdWages;
+            earner.ytdWages += gross;
+
+            const k401Target = k401Annual * earner.share;
+            const k401Paycheck = Number(k401DeferralRate) > 0 ? gross * Number(k401DeferralRate) / 100 : k401Target / periods;
+            const k401 = Math.max(0, Math.min(k401Paycheck, k401Target - earner.ytd401k));
+            earner.ytd401k += k401;
+
+            const ssWages = Math.max(0, Math.min(earner.ytdWages, federalTables.socialSecurityWageBase) - Math.min(priorWages, federalTables.socialSecurityWageBase));
+            const additionalMedicareWages = Math.max(0, earner.ytdWages - Math.max(priorWages, ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD));
+            const statePayroll = payrollTaxes.reduce((sum, { rate, wageBase, max }, i) => {
+                const base = wageBase === 'socialSecurity' ? federalTables.socialSecurityWageBase : wageBase;
+                const accrued = Math.min(Math.min(earner.ytdWages, base) * rate, max);
+                const amount = accrued - earner.ytdPayroll[i];
+                earner.ytdPayroll[i] = accrued;
+                return sum + amount;
+            }, 0);
+
+            row.gross += gross;
+            row.k401 += k401;
+            row.hsa += hsaAnnual * earner.share / periods;
+            row.medical += medicalAnnual * earner.share / periods;
+            row.socialSecurity += ssWages * 0.062;
+            row.medicare += gross * 0.0145 + additionalMedicareWages * 0.009;
+            row.statePayroll += statePayroll;
+        });
+        row.postTax = postTaxAnnual / periods;
+        row.federalWithholding = federalWithholding / periods;
+        row.stateWithholding = stateWithholding / periods;
+        row.localWithholding = localWithholding / periods;
+        row.net = row.gross - row.k401 - row.hsa - row.medical - row.federalWithholding - row.socialSecurity
+            - row.medicare - row.statePayroll - row.stateWithholding - row.localWithholding - row.postTax;
+        rows.push(row);
+    }
+    return rows;
+}
+
+// --- Withholding Forecast ---
+// Annual federal withholding on regular wages under the Pub 15-T percentage method for a 2020+ W-4. The tables
+// amount to the W-4 status's brackets and standard deduction; the Step 2 checkbox halves both.
+const calculateW4Withholding = ({ annualWages, w4, periods, taxYear, inflationRate }) => {
+    const w4Tables = getFederalTaxTables(w4.filingStatus, taxYear, inflationRate);
+    const share = w4.multipleJobs ? 0.5 : 1;
+    const brackets = schedule(w4Tables.brackets.map(({ rate, max }) => [rate, max * share]));
+    const taxableWages = Math.max(0, annualWages + (Number(w4.otherIncome) || 0) - (Number(w4.deductions) || 0) - w4Tables.standardDeduction * share);
+    return Math.max(0, calculateTax(taxableWages, brackets) - (Number(w4.dependentsCredit) || 0)) + (Number(w4.extraWithholding) || 0) * periods;
+};
+
+// Installment due date, moved past a weekend to the next business day
+const installmentDueDate = (taxYear, { month, day, nextYear }) => {
+    const date = new Date(Date.UTC(Number(taxYear) + (nextYear ? 1 : 0), month - 1, day));
+    while (date.getUTCDay() === 0 || date.getUTCDay() === 6) date.setUTCDate(date.getUTCDate() + 1);
+    return date;
+};
+
+// Estimated tax plan for one jurisdiction. The required annual payment is the lesser of the current-year share of
+// this year's tax and the prior-year share of last year's; a blank prior-year tax means unknown (no safe harbor),
+// while 0 is a real zero-tax year. Withholding counts as paid in equal shares on the installment dates, so each estimate is
+// whatever the cumulative requirement still lacks. If no estimates are paid, each short installment accrues the
+// penalty rate until the return is due.
+const calculateEstimatedTaxPlan = ({ liability, withholding, priorYearTax, priorYearAgi, currentYearAgi, filingStatus, taxYear, rules }) => {
+    const priorYearShare = (Number(priorYearAgi) || 0) > byFilingStatus(rules.highIncomeAgi, filingStatus)
+        ? rules.highIncomePriorYearShare
+        : rules.priorYearShare;
+    const priorYearSafeHarborAllowed = priorYearTax !== '' && priorYearTax != null
+        && !(rules.priorYearSafeHarborMaxAgi && currentYearAgi >= byFilingStatus(rules.priorYearSafeHarborMaxAgi, filingStatus));
+    const currentYearRequirement = Math.max(0, liability) * rules.currentYearShare;
+    const priorYearRequirement = priorYearSafeHarborAllowed ? Number(priorYearTax) * priorYearShare : Infinity;
+    const requiredAnnualPayment = Math.min(currentYearRequirement, priorYearRequirement);
+    const safeHarbor = priorYearRequirement < currentYearRequirement
+        ? `${Math.round(priorYearShare * 100)}% of prior-year tax`
+        : `${Math.round(rules.currentYearShare * 100)}% of current-year tax`;
+
+    const estimatesNeeded = liability - withholding >= byFilingStatus(rules.minimumBalance, filingStatus);
+    let cumulativeRequired = 0;
+    let cumulativePaid = 0;
+    const payments = rules.installments.map((installment, i) => {
+        cumulativeRequired += requiredAnnualPayment * installment.share;
+        const cumulativeWithholding = withholding * (i + 1) / rules.installments.length;
+        const amount = estimatesNeeded ? Math.max(0, cumulativeRequired - cumulativeWithholding - cumulativePaid) : 0;
+        cumulativePaid += amount;
+        return { dueDate: installmentDueDate(taxYear, installment), amount };
+    });
+
+    const returnDueDate = installmentDueDate(Number(taxYear) + 1, { month: 4, day: 15 });
+    const penalty = payments.reduce((sum, { dueDate, amount }) => (
+        sum + amount * UNDERPAYMENT_PENALTY_RATE * (returnDueDate - dueDate) / (86400000 * 365)
+    ), 0);
+    return { requiredAnnualPayment, safeHarbor, payments, penalty };
+};
+
+// Projected withholding vs. liability for one state. Federal withholding follows each earner's W-4 on regular
+// wages after pre-tax deductions, plus flat-rate supplemental withholding and Additional Medicare over $200k per
+// employee. State withholding assumes the state tables withhold the tax on wages alone, plus its supplemental rate.
+const calculateWithholdingForecast = ({ state, result, wageOnlyResult, wagesByEarner, pretaxDeductions, withholdingInputs, priorYearStateTax, filingStatus, taxYear, inflationRate }) => {
+    const { periods } = PAY_FREQUENCIES.find(({ key }) => key === withholdingInputs.payFrequency) || PAY_FREQUENCIES[1];
+    const totalWages = wagesByEarner.reduce((sum, wages) => sum + wages, 0);
+    const { supplementalWages } = result.equity;
+
+    const regularWithholding = wagesByEarner.reduce((sum, wages, i) => sum + calculateW4Withholding({
+        annualWages: wages - (totalWages > 0 ? pretaxDeductions * wages / totalWages : 0),
+        w4: withholdingInputs.w4[i] || DEFAULT_W4,
+        periods, taxYear, inflationRate,
+    }), 0);
+    const additionalMedicareWithholding = result.wagesByEarner.reduce(
+        (sum, wages) => sum + Math.max(0, wages - ADDITIONAL_MEDICARE_WITHHOLDING_THRESHOLD) * 0.009, 0);
+    const federalWithholding = regularWithholding + calculateSupplementalWithholding(supplementalWages) + additionalMedicareWithholding;
+    const federalLiability = result.totalFederalTax + result.additionalMedicareTax + result.selfEmploymentTax;
+
+    const stateWithholding = wageOnlyResult.stateTax + wageOnlyResult.stateAmt + wageOnlyResult.localTax
+        + supplementalWages * getStateSupplementalWithholdingRate(state, filingStatus, taxYear, inflationRate)
+        + (Number(withholdingInputs.stateExtraWithholding) || 0) * periods;
+    const stateLiability = result.stateTax + result.stateAmt + result.localTax;
+
+    // Extra per paycheck, on top of any already entered, that brings the balance due to about zero
+    const forecast = (liability, withholding, priorYearTax, rules) => ({
+        liability,
+        withholding,
+        balanceDue: liability - withholding,
+        suggestedExtra: Math.ceil(Math.max(0, liability - withholding) / periods),
+        ...calculateEstimatedTaxPlan({
+            liability, withholding, priorYearTax, rules,
+            priorYearAgi: withholdingInputs.priorYearAgi,
+            currentYearAgi: result.agi,
+            filingStatus, taxYear,
+        }),
+    });
+
+    return {
+        federal: forecast(federalLiability, federalWithholding, withholdingInputs.priorYearTax, FEDERAL_ESTIMATED_TAX_RULES),
+        state: forecast(stateLiability, stateWithholding, priorYearStateTax, getStateRules(state).estimatedTax),
+    };
+};
+
+// iCalendar file with an all-day event for each estimated payment
+const buildEstimatedTaxCalendar = ({ state, taxYear, payments }) => {
+    const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+    const stamp = `${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+    const events = payments.flatMap(({ dueDate, federal, state: stateAmount }) => [
+        ['Federal', federal],
+        [state, stateAmount],
+    ].filter(([, amount]) => amount > 0).map(([jurisdiction, amount]) => [
+        'BEGIN:VEVENT',
+        `UID:${taxYear}-${formatDate(dueDate)}-${jurisdiction.replace(/\s/g, '')}@estimated-tax-planner`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${formatDate(dueDate)}`,
+        `SUMMARY:${jurisdiction} estimated tax payment: ${formatCurrency(amount).replace(/,/g, '\\,')}`,
+        `DESCRIPTION:${taxYear} ${jurisdiction} estimated tax installment`,
+        'END:VEVENT',
+    ].join('\r\n')));
+    return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Tax Comparator//Estimated Tax Planner//EN', ...events, 'END:VCALENDAR'].join('\r\n');
+};
+
+// --- Helper Components ---
+const InputField = React.memo(({ label, value, onChange, placeholder, type = 'number', isRate = false }) => (
+    <div className="w-full">
+        <label className="block text-sm font-medium text-gray-700 mb-1">
+            {label}
+        </label>
+        <div className="relative">
+            {!isRate && type === 'number' && <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">$</span>}
+            <input
+                type={type}
+                value={value}
+                onChange={e => onChange(e.target.value)}
+                placeholder={placeholder}
+                className={`w-full pr-4 py-2 bg-gray-50 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 transition ${!isRate && type === 'number' ? 'pl-7' : 'pl-3'}`}
+            />
+            {isRate && <span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500">%</span>}
+        </div>
+    </div>
+));
+const StateCheckbox = React.memo(({ state, isSelected, onChange }) => (
+    <label title={`${STATE_TAX_DATA[state]?.source} (${STATE_TAX_DATA[state]?.taxYear})`} className="flex items-center space-x-2 p-2 rounded-md hover:bg-gray-100 cursor-pointer">
+        <input
+            type="checkbox"
+            checked={isSelected}
+            onChange={() => onChange(state)}
+            className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+        />
+        <span className="text-sm font-medium text-gray-800">{state}</span>
+    </label>
+));
+
+const TabButton = ({ label, isActive, onClick }) => (
+    <button
+        onClick={onClick}
+        className={`px-3 sm:px-4 py-2 text-sm font-semibold rounded-t-lg border-b-2 transition-colors duration-200
+      ${isActive
+                ? 'text-indigo-600 border-indigo-600 bg-white'
+                : 'text-gray-500 border-transparent hover:text-gray-700 hover:border-gray-300'
+            }`
+        }
+    >
+        {label}
+    </button>
+);
+
+// --- AnalysisCharts Component ---
+const AnalysisCharts = ({ resultsByState, selectedStates }) => {
+    const [baseState, setBaseState] = useState(selectedStates[0] || '');
+    const [takeHomeDeltaView, setTakeHomeDeltaView] = useState('monthly');
+    const [netCashDeltaView, setNetCashDeltaView] = useState('monthly');
+
+    useEffect(() => {
+        if (!selectedStates.includes(baseState) && selectedStates.length > 0) {
+            setBaseState(selectedStates[0]);
+        }
+    }, [selectedStates, baseState]);
+
+    const takeHomeDeltaData = selectedStates.map(state => {
+        const baseValue = takeHomeDeltaView === 'monthly'
+            ? (resultsByState[baseState]?.monthlyTakeHome || 0)
+            : (resultsByState[baseState]?.annualTakeHome || 0);
+        const stateValue = takeHomeDeltaView === 'monthly'
+            ? (resultsByState[state]?.monthlyTakeHome || 0)
+            : (resultsByState[state]?.annualTakeHome || 0);
+        return { name: STATE_ABBREVIATIONS[state] || state, Delta: stateValue - baseValue };
+    });
+
+    // UPDATED: Now uses monthlyNetSavings
+    const netSavingsDeltaData = selectedStates.map(state => {
+        const baseValue = netCashDeltaView === 'monthly'
+            ? (resultsByState[baseState]?.monthlyNetSavings || 0)
+            : ((resultsByState[baseState]?.monthlyNetSavings || 0) * 12);
+        const stateValue = netCashDeltaView === 'monthly'
+            ? (resultsByState[state]?.monthlyNetSavings || 0)
+            : ((resultsByState[state]?.monthlyNetSavings || 0) * 12);
+        return { name: STATE_ABBREVIATIONS[state] || state, Delta: stateValue - baseValue };
+    });
+
+    const renderCustomBarLabel = ({ x, y, width, height, value }) => {
+        const yPos = value >= 0 ? y - 5 : y + height + 15;
+        const color = value >= 0 ? '#16a34a' : '#dc2626';
+        return (
+            <text x={x + width / 2} y={yPos} fill={color} textAnchor="middle" dy={0} fontSize={12} fontWeight="bold">
+                {formatCurrency(value)}
+            </text>
+        );
+    };
+
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Scenario Analysis</h2>
+            <div className="flex justify-center items-center gap-2 mb-6 text-sm">
+                <label htmlFor="baseStateSelect" className="text-gray-600 font-medium">Compare Against:</label>
+                <select id="baseStateSelect" value={baseState} onChange={(e) => setBaseState(e.target.value)} className="p-1 border border-gray-300 rounded-md bg-white">
+                    {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 items-end">
+                <div>
+                    <h3 className="text-lg sm:text-xl font-semibold text-center mb-2">Net Savings Delta</h3>
+                    <div className="flex justify-center items-center gap-4 mb-4 text-sm">
+                        <div className="inline-flex rounded-md shadow-sm">
+                            <button onClick={() => setNetCashDeltaView('monthly')} className={`px-3 py-1 text-xs font-medium rounded-l-lg border ${netCashDeltaView === 'monthly' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Monthly</button>
+                            <button onClick={() => setNetCashDeltaView('annual')} className={`px-3 py-1 text-xs font-medium rounded-r-lg border ${netCashDeltaView === 'annual' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Annual</button>
+                        </div>
+                    </div>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={netSavingsDeltaData} margin={{ top: 20, right: 20, left: -10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" />
+                            <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                            <Tooltip formatter={(value) => formatCurrency(value)} />
+                            <ReferenceLine y={0} stroke="#000" />
+                            <Bar dataKey="Delta" fill="#8884d8">
+                                <LabelList dataKey="Delta" content={renderCustomBarLabel} />
+                            </Bar>
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+                <div>
+                    <h3 className="text-lg sm:text-xl font-semibold text-center mb-2">Take-Home Pay Delta</h3>
+                    <div className="flex justify-center items-center gap-4 mb-4 text-sm">
+                        <div className="inline-flex rounded-md shadow-sm">
+                            <button onClick={() => setTakeHomeDeltaView('monthly')} className={`px-3 py-1 text-xs font-medium rounded-l-lg border ${takeHomeDeltaView === 'monthly' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Monthly</button>
+                            <button onClick={() => setTakeHomeDeltaView('annual')} className={`px-3 py-1 text-xs font-medium rounded-r-lg border ${takeHomeDeltaView === 'annual' ? 'bg-indigo-500 text-white' : 'bg-white text-gray-600'}`}>Annual</button>
+                        </div>
+                    </div>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={takeHomeDeltaData} margin={{ top: 20, right: 20, left: -10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="name" />
+                            <YAxis tickFormatter={(value) => formatCurrency(value)} />
+                            <Tooltip formatter={(value) => formatCurrency(value)} />
+                            <ReferenceLine y={0} stroke="#000" />
+                            <Bar dataKey="Delta" fill="#82ca9d">
+                                <LabelList dataKey="Delta" content={renderCustomBarLabel} />
+                            </Bar>
+                        </BarChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- NEW: Cash Flow Analysis Component ---
+const CashFlowAnalysis = ({ selectedStates, resultsByState, cashFlowInputs, handleCashFlowInputChange }) => {
+    const expenseCategories = ['Utilities', 'Car P&I', 'Food', 'Childcare', 'Entertainment', 'Travel', 'Other'];
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Cash Flow Analysis</h2>
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                            {selectedStates.map(state => <th key={state} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{state}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        <tr className="bg-gray-100">
+                            <td className="px-4 py-3 font-semibold text-sm">Net Cash After Housing</td>
+                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-semibold text-sm">{formatCurrency(resultsByState[state]?.monthlyNetCash)}</td>)}
+                        </tr>
+                        {expenseCategories.map(cat => (
+                            <tr key={cat}>
+                                <td className="px-4 py-3 text-sm">{cat}</td>
+                                {selectedStates.map(state => (
+                                    <td key={state} className="px-4 py-2">
+                                        <div className="relative">
+                                            <span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span>
+                                            <input
+                                                type="number"
+                                                value={cashFlowInputs[state]?.[cat] || ''}
+                                                onChange={e => handleCashFlowInputChange(state, cat, e.target.value)}
+                                                className="w-full text-right pr-2 pl-5 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm"
+                                                placeholder="0"
+                                            />
+                                        </div>
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                        <tr className="bg-gray-100">
+                            <td className="px-4 py-3 font-semibold text-sm">Total Monthly Expenses</td>
+                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-semibold text-sm text-red-600">{formatCurrency(resultsByState[state]?.totalMonthlyExpenses)}</td>)}
+                        </tr>
+                        <tr className="bg-green-100">
+                            <td className="px-4 py-3 font-bold text-sm text-green-800">Final Monthly Net Savings</td>
+                            {selectedStates.map(state => <td key={state} className="px-4 py-3 text-right font-mono font-bold text-sm text-green-800">{formatCurrency(resultsByState[state]?.monthlyNetSavings)}</td>)}
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+// --- Affordability Analysis Component ---
+// How much house each state's income supports, with a button to use the result as the state's purchase price
+const AffordabilityAnalysis = ({ selectedStates, stateInputs, cashFlowInputs, resultsForHousing, affordabilityInputs, handleAffordabilityInputChange, handleStateInputChange }) => {
+    const limits = useDeferredValue(affordabilityInputs);
+
+    const affordabilityByState = useMemo(() => {
+        const affordability = {};
+        selectedStates.forEach(state => {
+            affordability[state] = solveAffordablePrice({
+                state,
+                inputs: stateInputs[state],
+                resultsAtPrice: (housingInputs) => resultsForHousing(state, housingInputs),
+                debtPayments: AFFORDABILITY_DEBT_CATEGORIES.reduce((sum, category) => sum + (Number(cashFlowInputs[state]?.[category]) || 0), 0),
+                limits,
+            });
+        });
+        return affordability;
+    }, [selectedStates, stateInputs, cashFlowInputs, resultsForHousing, limits]);
+
+    const applyPrice = (state, { housingInputs }) => {
+        ['purchasePrice', 'propertyTax', 'homeInsurance'].forEach(field => handleStateInputChange(state, field, housingInputs[field]));
+    };
+    const percentOf = (value, base) => (base > 0 ? `${(value / base * 100).toFixed(1)}%` : '-');
+
+    const rows = [
+        { label: 'Gross Monthly Income', value: a => formatCurrency(a.grossMonthly) },
+        { label: 'Monthly Take-Home', value: a => formatCurrency(a.takeHome) },
+        { label: 'Max Purchase Price', value: a => formatCurrency(a.price), className: 'bg-green-100 font-bold text-green-800' },
+        { label: 'Mortgage', value: a => formatCurrency(getHomePurchase(a.housingInputs).mortgageAmount) },
+        { label: 'Monthly Housing Cost', value: a => formatCurrency(a.housing) },
+        { label: 'Property Tax Rate', value: (a, state) => `${getPropertyTaxRate(state, stateInputs[state]).toFixed(2)}%` },
+        { label: 'Debt Payments', value: a => formatCurrency(a.debts) },
+        { label: 'Front-End DTI', value: a => percentOf(a.housing, a.grossMonthly) },
+        { label: 'Back-End DTI', value: a => percentOf(a.housing + a.debts, a.grossMonthly) },
+        { label: 'Savings Rate', value: a => percentOf(a.netSavings, a.takeHome) },
+        { label: 'Limited By', value: a => a.limitedBy?.label || 'Search cap' },
+    ];
+
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Home Affordability</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                <InputField label="Max Front-End DTI (housing)" value={affordabilityInputs.frontEndRatio} onChange={(v) => handleAffordabilityInputChange('frontEndRatio', v)} isRate={true} />
+                <InputField label={`Max Back-End DTI (housing + ${AFFORDABILITY_DEBT_CATEGORIES.join(', ')})`} value={affordabilityInputs.backEndRatio} onChange={(v) => handleAffordabilityInputChange('backEndRatio', v)} isRate={true} />
+                <InputField label="Min Savings Rate (of take-home)" value={affordabilityInputs.savingsRateFloor} onChange={(v) => handleAffordabilityInputChange('savingsRateFloor', v)} isRate={true} />
+            </div>
+            {!AFFORDABILITY_LIMITS.some(({ key }) => Number(limits[key]) > 0) ? (
+                <p className="text-sm text-gray-500">Set at least one limit to solve for a purchase price.</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                                {selectedStates.map(state => <th key={state} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{state}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {rows.map(({ label, value, className = '' }) => (
+                                <tr key={label} className={className}>
+                                    <td className="px-4 py-3 text-sm">{label}</td>
+                                    {selectedStates.map(state => (
+                                        <td key={state} className="px-4 py-3 text-right font-mono text-sm">
+                                            {affordabilityByState[state] ? value(affordabilityByState[state], state) : '-'}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr>
+                                <td className="px-4 py-3 text-sm text-gray-500">Current Price</td>
+                                {selectedStates.map(state => {
+                                    const affordability = affordabilityByState[state];
+                                    return (
+                                        <td key={state} className="px-4 py-3 text-right text-sm">
+                                            <div className="font-mono text-gray-500">{formatCurrency(getHomePurchase(stateInputs[state]).purchasePrice)}</div>
+                                            {affordability && (
+                                                <button
+                                                    onClick={() => applyPrice(state, affordability)}
+                                                    className="mt-1 px-2 py-1 text-xs font-semibold text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+                                                >
+                                                    Use {formatCurrency(affordability.price)}
+                                                </button>
+                                            )}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <p className="mt-3 text-xs text-gray-500">
+                Each state's price is solved with its own taxes, rate, loan terms and down payment setting. Property tax uses the local rate implied
+                by the state's property tax and price, or the state's average effective rate when either is blank; insurance keeps its share of the
+                price. Only the Cash Flow tab's {AFFORDABILITY_DEBT_CATEGORIES.join(', ')} counts as debt for the back-end ratio; the savings rate is what's
+                left of take-home after housing and all Cash Flow expenses. Leave a limit blank to ignore it.
+            </p>
+        </div>
+    );
+};
+
+// --- Retirement Analysis Component ---
+// UPDATED: State is lifted up, now receives props for inputs and handlers
+// Backtests the FI plan against every historical start year, per state (each state's savings differ)
+const HistoricalBacktest = ({ selectedStates, contributionFor, retirementInputs, handleRetirementInputChange }) => {
+    const { currentAge, retirementAge, currentAssets, fiNumber, swr, stockAllocation } = retirementInputs;
+    const { setStockAllocation } = handleRetirementInputChange;
+    const [activeState, setActiveState] = useState(selectedStates[0] || '');
+
+    useEffect(() => {
+        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
+            setActiveState(selectedStates[0]);
+        }
+    }, [selectedStates, activeState]);
+
+    const accumulationYears = Math.max(0, Number(retirementAge) - Number(currentAge));
+    const retirementYears = Math.max(0, PLANNING_END_AGE - Math.max(Number(currentAge), Number(retirementAge)));
+    const annualSpending = Number(fiNumber) * (Number(swr) || 0) / 100;
+
+    const backtestsByState = useMemo(() => {
+        const backtests = {};
+        selectedStates.forEach(state => {
+            backtests[state] = runHistoricalBacktest({
+                startingAssets: Number(currentAssets),
+                annualContribution: contributionFor(state, 0),
+                accumulationYears, retirementYears, annualSpending, stockAllocation,
+            });
+        });
+        return backtests;
+    }, [selectedStates, currentAssets, contributionFor, accumulationYears, retirementYears, annualSpending, stockAllocation]);
+
+    const firstYear = HISTORICAL_RETURNS[0].year;
+    const lastYear = HISTORICAL_RETURNS.at(-1).year;
+    const activeBacktest = backtestsByState[activeState];
+
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Historical Backtest</h2>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end mb-4">
+                <InputField label="Stock Allocation (rest in bonds)" value={stockAllocation} onChange={setStockAllocation} isRate={true} />
+            </div>
+            <p className="text-sm text-gray-600 mb-6">
+                Saves for {accumulationYears} years, then spends {formatCurrency(annualSpending)} a year ({swr}% of the FI Target) for {retirementYears} years
+                to age {PLANNING_END_AGE}, starting in every year from {firstYear} that has a complete {accumulationYears + retirementYears}-year sequence
+                of {firstYear}–{lastYear} returns. Today's dollars.
+            </p>
+
+            {!activeBacktest ? (
+                <p className="text-gray-600">
+                    The plan spans {accumulationYears + retirementYears} years, longer than the {lastYear - firstYear + 1} years of history available.
+                </p>
+            ) : (
+                <>
+                    <div className="overflow-x-auto mb-6">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Annual Savings</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Success Rate</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Worst Start Year</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Ending Balance (10th / 50th / 90th)</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {selectedStates.map(state => {
+                                    const backtest = backtestsByState[state];
+                                    if (!backtest) return null;
+                                    const { worst, endingBalancePercentiles: { p10, p50, p90 } } = backtest;
+                                    return (
+                                        <tr key={state}>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(contributionFor(state, 0))}</td>
+                                            <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${backtest.successRate < 0.9 ? 'text-red-600' : 'text-green-600'}`}>
+                                                {(backtest.successRate * 100).toFixed(1)}%
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">
+                                                {worst.startYear} ({worst.depletedYear === null ? `ends with ${formatCurrency(worst.endingBalance)}` : `depleted ${worst.depletedYear}`})
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(p10)} / {formatCurrency(p50)} / {formatCurrency(p90)}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                        <h3 className="text-lg font-semibold text-gray-800">{activeState} Ending Balance by Start Year</h3>
+                        <select
+                            aria-label="Backtest state"
+                            value={activeState}
+                            onChange={(e) => setActiveState(e.target.value)}
+                            className="p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            {selectedStates.map(state => <option key={state} value={state}>{state}</option>)}
+                        </select>
+                    </div>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={activeBacktest.cycles} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="startYear" />
+                            <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                            <Tooltip
+                                formatter={(value) => formatCurrency(value, 0)}
+                                labelFormatter={(year) => {
+                                    const cycle = activeBacktest.cycles.find(({ startYear }) => startYear === year);
+                                    return cycle?.depletedYear ? `Start ${year} (depleted ${cycle.depletedYear})` : `Start ${year}`;
+                                }}
+                            />
+                            <Legend />
+                            <Bar dataKey="retirementBalance" name={`At Age ${Math.max(Number(currentAge), Number(retirementAge))}`} fill="#82ca9d" />
+                            <Bar dataKey="endingBalance" name={`At Age ${PLANNING_END_AGE}`} fill="#8884d8" />
+                        </BarChart>
+                    </ResponsiveContainer>
+                    <p className="mt-3 text-xs text-gray-500">
+                        Returns are S&amp;P 500 total returns and 10-year Treasury returns, rebalanced yearly and deflated by CPI. Savings are held at this
+                        year's amount in today's dollars. A start year fails when the portfolio can't cover a full year of spending; that partial year
+                        spends what is left and counts as the year the portfolio is depleted.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+const RetirementAnalysis = ({ resultsByState, selectedStates, retirementInputs, handleRetirementInputChange, projectResults, inflationRate, realDollars }) => {
+    const {
+        portfolioGrowthRate, currentAge, retirementAge, currentAssets, baseAnnualSavings, fiNumber, swr,
+        monteCarloEnabled, meanReturn, returnVolatility, monteCarloTrials,
+    } = retirementInputs;
+    const {
+        setPortfolioGrowthRate, setCurrentAge, setRetirementAge, setCurrentAssets, setBaseAnnualSavings, setFiNumber, setSwr,
+        setMonteCarloEnabled, setMeanReturn, setReturnVolatility, setMonteCarloTrials,
+    } = handleRetirementInputChange;
+
+    const [baseState, setBaseState] = useState(selectedStates[0] || '');
+
+    useEffect(() => {
+        if (!selectedStates.includes(baseState) && selectedStates.length > 0) {
+            setBaseState(selectedStates[0]);
+        }
+    }, [selectedStates, baseState]);
+
+    const yearsToProject = useMemo(() => Math.max(0, Number(retirementAge) - Number(currentAge)), [retirementAge, currentAge]);
+
+    // Per-year results using each future year's indexed tax tables (index 0 = current tax year). Years are computed the
+    // first time a projection reaches them and cached until the tax inputs change.
+    const yearlyResults = useMemo(() => {
+        const cache = new Map([[0, resultsByState]]);
+        return (yearIndex) => {
+            const yearOffset = Math.min(yearIndex, PROJECTION_HORIZON_YEARS - 1);
+            if (!cache.has(yearOffset)) cache.set(yearOffset, projectResults(yearOffset));
+            return cache.get(yearOffset);
+        };
+    }, [resultsByState, projectResults]);
+    const annualNetSavingsDelta = useCallback((state, yearIndex) => {
+        const yearResults = yearlyResults(yearIndex);
+        return ((yearResults[state]?.monthlyNetSavings || 0) - (yearResults[baseState]?.monthlyNetSavings || 0)) * 12;
+    }, [yearlyResults, baseState]);
+    // Contribution for a year: base savings plus that year's net-savings delta vs. the base state
+    const contributionFor = useCallback((state, yearIndex) => (
+        Number(baseAnnualSavings) + annualNetSavingsDelta(state, yearIndex)
+    ), [baseAnnualSavings, annualNetSavingsDelta]);
+    // Projections run in nominal dollars; the FI target keeps pace with inflation, and displayed values can be
+    // restated in today's dollars
+    const targetFor = useCallback((years) => Number(fiNumber) * indexingFactor(0, years, inflationRate), [fiNumber, inflationRate]);
+    const display = useCallback((value, years) => (realDollars ? value / indexingFactor(0, years, inflationRate) : value), [realDollars, inflationRate]);
+
+    const projectionData = useMemo(() => {
+        if (!baseState || !resultsByState[baseState]) return [];
+
+        return selectedStates.map(state => {
+            if (!resultsByState[state]) return null;
+
+            // UPDATED: Use monthlyNetSavings
+            const annualDifference = annualNetSavingsDelta(state, 0);
+
+            const rate = portfolioGrowthRate / 100;
+            let futureValue = 0;
+            let futureValueChartData = [];
+            for (let i = 1; i <= yearsToProject; i++) {
+                futureValue = (futureValue + annualNetSavingsDelta(state, i - 1)) * (1 + rate);
+                futureValueChartData.push({ year: Number(currentAge) + i, value: display(futureValue, i) });
+            }
+
+            return {
+                state,
+                annualDifference,
+                futureValue: display(futureValue, yearsToProject),
+                chartData: futureValueChartData,
+            };
+        }).filter(Boolean);
+    }, [resultsByState, baseState, portfolioGrowthRate, currentAge, yearsToProject, selectedStates, annualNetSavingsDelta, display]);
+
+    const backsolverCalculations = useMemo(() => {
+        if (!baseState || !resultsByState[baseState]) return { table: [], chart: [], targetPath: [] };
+
+        const rate = portfolioGrowthRate / 100;
+
+        let maxYears = 0;
+        const tableData = [];
+
+        for (const state of selectedStates) {
+            const totalAnnualContribution = contributionFor(state, 0);
+
+            // Step year by year (contributions change as brackets index), interpolating within the final year
+            let years = Number(currentAssets) >= targetFor(0) ? 0 : Infinity;
+            let assets = Number(currentAssets);
+            for (let i = 1; i <= 100 && !isFinite(years); i++) {
+                const nextAssets = assets * (1 + rate) + contributionFor(state, i - 1);
+                if (nextAssets >= targetFor(i)) {
+                    const shortfall = targetFor(i - 1) - assets;
+                    years = i - 1 + shortfall / (shortfall + nextAssets - targetFor(i));
+                }
+                assets = nextAssets;
+            }
+
+            const finalYears = years > 100 ? Infinity : years;
+            if (isFinite(finalYears)) {
+                maxYears = Math.max(maxYears, Math.ceil(finalYears));
+            }
+            tableData.push({ state, years: finalYears, totalAnnualContribution });
+        }
+
+        maxYears = Math.min(maxYears + 2, 50); // Add a buffer and cap at 50 years
+
+        const chartData = tableData.map(({ state }) => {
+            let series = [{ age: Number(currentAge), value: Number(currentAssets) }];
+            let assets = Number(currentAssets);
+            for (let i = 1; i <= maxYears; i++) {
+                assets = assets * (1 + rate) + contributionFor(state, i - 1);
+                series.push({ age: Number(currentAge) + i, value: display(assets, i) });
+                if (assets > targetFor(i)) break; // Stop charting after reaching FI
+            }
+            return { state, data: series };
+        });
+        const targetPath = Array.from({ length: maxYears + 1 }, (_, i) => ({ age: Number(currentAge) + i, value: display(targetFor(i), i) }));
+
+        return { table: tableData, chart: chartData, targetPath, maxYears };
+    }, [resultsByState, selectedStates, currentAssets, portfolioGrowthRate, baseState, currentAge, contributionFor, targetFor, display]);
+
+    // Trials run in chunks off the render path; the last finished run stays on screen until the next one completes
+    const [monteCarloRun, setMonteCarloRun] = useState({ projections: null, running: false });
+    useEffect(() => {
+        if (!monteCarloEnabled || !baseState || !resultsByState[baseState]) return undefined;
+
+        const horizon = Math.max(1, yearsToProject, backsolverCalculations.maxYears || 0);
+        const pending = selectedStates.filter(state => resultsByState[state]).map(state => [state, createMonteCarloProjection({
+            startingAssets: Number(currentAssets),
+            targetAssets: Number(fiNumber),
+            contributions: Array.from({ length: horizon }, (_, i) => contributionFor(state, i)),
+            targetYears: yearsToProject,
+            meanReturn,
+            volatility: returnVolatility,
+            trials: monteCarloTrials,
+            inflationRate,
+        })]);
+        let timer = null;
+        let index = 0;
+        const runChunk = () => {
+            if (index < pending.length) {
+                if (pending[index][1].step(MONTE_CARLO_CHUNK_TRIALS)) index++;
+                timer = setTimeout(runChunk, 0);
+                return;
+            }
+            setMonteCarloRun({ projections: Object.fromEntries(pending.map(([state, projection]) => [state, projection.result()])), running: false });
+        };
+        setMonteCarloRun(prev => ({ ...prev, running: true }));
+        timer = setTimeout(runChunk, 0);
+        return () => clearTimeout(timer);
+    }, [monteCarloEnabled, baseState, resultsByState, selectedStates, yearsToProject, backsolverCalculations.maxYears, currentAssets, fiNumber, contributionFor, meanReturn, returnVolatility, monteCarloTrials, inflationRate]);
+
+    const monteCarloResults = useMemo(() => {
+        if (!monteCarloEnabled || !monteCarloRun.projections) return null;
+        const results = {};
+        Object.entries(monteCarloRun.projections).forEach(([state, { successProbability, bands }]) => {
+            const start = { age: Number(currentAge), p10: Number(currentAssets), p50: Number(currentAssets), p90: Number(currentAssets) };
+            results[state] = {
+                successProbability,
+                chart: [start, ...bands.map(({ year, p10, p50, p90 }) => ({
+                    age: Number(currentAge) + year, p10: display(p10, year), p50: display(p50, year), p90: display(p90, year),
+                }))],
+            };
+        });
+        return results;
+    }, [monteCarloEnabled, monteCarloRun, currentAge, currentAssets, display]);
+
+    if (selectedStates.length < 1) {
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 mb-4">Retirement Projection</h2>
+                <p className="text-gray-600">Please select at least one state to run retirement calculations.</p>
+            </div>
+        );
+    }
+
+    const dollarsLabel = realDollars ? "today's dollars" : 'nominal dollars';
+    // Income at FI: the target's withdrawal in that year's dollars, or today's when restating
+    const annualRetirementIncomeAt = (years) => display(targetFor(isFinite(years) ? years : 0), isFinite(years) ? years : 0) * (swr / 100);
+
+    return (
+        <div className="space-y-8">
+            {/* Savings Projection */}
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Retirement Savings Projection</h2>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+                    <InputField label="Current Age" value={currentAge} onChange={setCurrentAge} />
+                    <InputField label="Target Retirement Age" value={retirementAge} onChange={setRetirementAge} />
+                    <InputField label="Portfolio Growth Rate" value={portfolioGrowthRate} onChange={setPortfolioGrowthRate} isRate={true} />
+                    <div className="w-full">
+                        <label htmlFor="baseStateSelectRetire" className="block text-sm font-medium text-gray-700 mb-1">Compare Against</label>
+                        <select id="baseStateSelectRetire" value={baseState} onChange={(e) => setBaseState(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                            {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {selectedStates.length > 1 && (
+                    <>
+                        <h3 className="text-lg sm:text-xl font-semibold text-center mb-4 mt-8">Projected Additional Savings Growth by Age {retirementAge} ({dollarsLabel})</h3>
+                        <ResponsiveContainer width="100%" height={400}>
+                            <LineChart margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                                <CartesianGrid strokeDasharray="3 3" />
+                                <XAxis type="number" dataKey="year" domain={[Number(currentAge), Number(retirementAge)]} tickFormatter={(tick) => `Age ${tick}`} />
+                                <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                                <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                                <Legend />
+                                <ReferenceLine y={0} stroke="#000" />
+                                {projectionData.map((data, index) => (
+                                    <Line key={data.state} type="monotone" dataKey="value" data={data.chartData} name={`${data.state} vs ${baseState}`} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+
+                        <div className="overflow-x-auto mt-6">
+                            <table className="min-w-full divide-y divide-gray-200">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Annual Savings Difference</th>
+                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Potential Value at Age {retirementAge}</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {projectionData.map(data => (
+                                        data.state !== baseState && <tr key={data.state}>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{data.state}</td>
+                                            <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${data.annualDifference > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                {formatCurrency(data.annualDifference)}
+                                            </td>
+                                            <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${data.futureValue > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                {formatCurrency(data.futureValue)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            {/* Backsolver */}
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Financial Independence Backsolver</h2>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 items-end">
+                    <InputField label="Current Assets" value={currentAssets} onChange={setCurrentAssets} />
+                    <InputField label={`Base Annual Savings (in ${baseState})`} value={baseAnnualSavings} onChange={setBaseAnnualSavings} />
+                    <InputField label="FI Target Amount" value={fiNumber} onChange={setFiNumber} />
+                    <InputField label="Safe Withdrawal Rate" value={swr} onChange={setSwr} isRate={true} />
+                </div>
+                <label className="flex items-center space-x-2 cursor-pointer mt-4">
+                    <input type="checkbox" checked={monteCarloEnabled} onChange={() => setMonteCarloEnabled(!monteCarloEnabled)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                    <span className="text-sm font-medium text-gray-700">Monte Carlo (random annual returns)</span>
+                </label>
+                {monteCarloEnabled && (
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mt-4">
+                        <InputField label="Mean Annual Return" value={meanReturn} onChange={setMeanReturn} isRate={true} />
+                        <InputField label="Return Volatility (std. dev.)" value={returnVolatility} onChange={setReturnVolatility} isRate={true} />
+                        <div className="w-full">
+                            <label htmlFor="monteCarloTrials" className="block text-sm font-medium text-gray-700 mb-1">Trials (max {MAX_MONTE_CARLO_TRIALS.toLocaleString()})</label>
+                            <input
+                                id="monteCarloTrials"
+                                type="number"
+                                min="1"
+                                max={MAX_MONTE_CARLO_TRIALS}
+                                step="500"
+                                value={monteCarloTrials}
+                                onChange={(e) => setMonteCarloTrials(e.target.value)}
+                                className="w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 transition"
+                            />
+                        </div>
+                    </div>
+                )}
+
+                <h3 className="text-lg sm:text-xl font-semibold text-center mb-4 mt-8">Path to Financial Independence ({dollarsLabel})</h3>
+                <ResponsiveContainer width="100%" height={400}>
+                    <LineChart margin={{ top: 5, right: 20, left: -10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" dataKey="age" domain={['dataMin', 'dataMax']} tickFormatter={(tick) => `Age ${tick}`} allowDecimals={false} />
+                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                        <Tooltip formatter={(value, name) => [formatCurrency(value, 0), name]} />
+                        <Legend />
+                        {realDollars ? (
+                            <ReferenceLine y={Number(fiNumber)} label={{ value: `FI Target: ${formatCurrency(fiNumber)}`, position: 'insideTopLeft' }} stroke="red" strokeDasharray="3 3" />
+                        ) : (
+                            <Line type="monotone" dataKey="value" data={backsolverCalculations.targetPath} name="FI Target (with inflation)" stroke="red" strokeDasharray="3 3" dot={false} />
+                        )}
+                        {monteCarloResults ? (
+                            <>
+                                <ReferenceLine x={Number(retirementAge)} stroke="#6b7280" strokeDasharray="3 3" />
+                                {selectedStates.filter(state => monteCarloResults[state]).flatMap((state, index) => {
+                                    const stroke = `hsl(${index * 60}, 70%, 50%)`;
+                                    const { chart } = monteCarloResults[state];
+                                    return [
+                                        <Line key={`${state}-p50`} type="monotone" dataKey="p50" data={chart} name={`${state} (median)`} stroke={stroke} strokeWidth={2} dot={false} />,
+                                        <Line key={`${state}-p10`} type="monotone" dataKey="p10" data={chart} name={`${state} (10th pct.)`} stroke={stroke} strokeWidth={1} strokeDasharray="4 4" dot={false} legendType="none" />,
+                                        <Line key={`${state}-p90`} type="monotone" dataKey="p90" data={chart} name={`${state} (90th pct.)`} stroke={stroke} strokeWidth={1} strokeDasharray="4 4" dot={false} legendType="none" />,
+                                    ];
+                                })}
+                            </>
+                        ) : backsolverCalculations.chart.map((series, index) => (
+                            <Line key={series.state} type="monotone" dataKey="value" data={series.data} name={series.state} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+
+                <div className="overflow-x-auto mt-6">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Adjusted Annual Savings</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Years to FI</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Retirement Age</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Est. Annual Income at FI</th>
+                                {monteCarloResults && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Chance of FI by {retirementAge}</th>}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {backsolverCalculations.table.map(res => (
+                                <tr key={res.state}>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{res.state}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(res.totalAnnualContribution)}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{isFinite(res.years) ? res.years.toFixed(1) : 'Never'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{isFinite(res.years) ? (Number(currentAge) + res.years).toFixed(1) : 'N/A'}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(annualRetirementIncomeAt(res.years))}</td>
+                                    {monteCarloResults && (
+                                        <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-mono">
+                                            {monteCarloResults[res.state] ? `${(monteCarloResults[res.state].successProbability * 100).toFixed(1)}%` : 'N/A'}
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="mt-3 text-xs text-gray-500">
+                        <b>Years to FI</b> is the time it takes for your current assets, plus compounded annual savings, to reach your FI Target. Assumes a {portfolioGrowthRate}% portfolio growth rate; each year's savings use that year's inflation-indexed tax brackets.
+                        The FI Target and income at FI grow {inflationRate}% a year with inflation; values are shown in {dollarsLabel}.
+                        {monteCarloResults && (
+                            <> In Monte Carlo mode the chart shows the median path with dashed 10th and 90th percentile bands across {Math.min(MAX_MONTE_CARLO_TRIALS, Number(monteCarloTrials) || 0).toLocaleString()} trials
+                            of lognormal returns ({meanReturn}% mean, {returnVolatility}% volatility); <b>Chance of FI</b> is the share of trials reaching the FI Target by age {retirementAge}.</>
+                        )}
+                        {monteCarloEnabled && monteCarloRun.running && <> Updating the Monte Carlo simulation&hellip;</>}
+                    </p>
+                </div>
+            </div>
+
+            <HistoricalBacktest
+                selectedStates={selectedStates}
+                contributionFor={contributionFor}
+                retirementInputs={retirementInputs}
+                handleRetirementInputChange={handleRetirementInputChange}
+            />
+        </div>
+    );
+};
+
+// --- NEW: Home-Ownership Break-Even Analysis Component ---
+const BreakEvenAnalysis = ({ resultsByState, selectedStates, stateInputs, filingStatus, taxYear, inflationRate, realDollars, projectStateResults, breakEvenInputs, handleBreakEvenInputChange }) => {
+    const [activeState, setActiveState] = useState(selectedStates[0] || '');
+    const [activeTimeframe, setActiveTimeframe] = useState('10');
+    const [showFullTable, setShowFullTable] = useState(false);
+
+    const {
+        annualAppreciationRate,
+        closingCostsBuying,
+        closingCostsSelling,
+        analysisYears,
+        propertyTaxRate,
+        maintenanceRate,
+        rentGrowthRate,
+        investmentReturn,
+        investmentTaxDrag,
+    } = breakEvenInputs;
+
+    const {
+        setAnnualAppreciationRate,
+        setClosingCostsBuying,
+        setClosingCostsSelling,
+        setAnalysisYears,
+        setPropertyTaxRate,
+        setMaintenanceRate,
+        setRentGrowthRate,
+        setInvestmentReturn,
+        setInvestmentTaxDrag,
+    } = handleBreakEvenInputChange;
+
+    useEffect(() => {
+        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
+            setActiveState(selectedStates[0]);
+        }
+    }, [selectedStates, activeState]);
+
+    const timeframeOptions = ['5', '10', '15', '20', '30'];
+
+    const nominalAnalysis = useMemo(() => {
+        if (!activeState || !resultsByState[activeState]) return null;
+
+        const currentStateInputs = stateInputs[activeState] || {};
+        const loan = getLoanTerms(currentStateInputs);
+        const propertyTax = Number(currentStateInputs.propertyTax) || 0;
+        const homeInsurance = Number(currentStateInputs.homeInsurance) || 0;
+        const monthlyRent = Number(currentStateInputs.monthlyRent) || 0;
+
+        const purchasePrice = loan.homeValue;
+
+        // Calculate property tax rate if not explicitly set
+        const calcPropertyTaxRate = propertyTaxRate || (purchasePrice > 0 ? (propertyTax / purchasePrice) * 100 : 1);
+
+        // Each year's tax engine run: the tax saved by owning vs. renting, and the extra tax from selling that year
+        const yearResults = Array.from({ length: Number(analysisYears) || 30 }, (_, i) => projectStateResults(activeState, i));
+        const taxBenefitForYear = (year) => {
+            const results = yearResults[year - 1];
+            return results ? results.rent.totalTaxBurden - results.totalTaxBurden : 0;
+        };
+        const saleTaxForYear = (year, taxableGain) => (
+            projectStateResults(activeState, year - 1, taxableGain).totalTaxBurden - yearResults[year - 1].totalTaxBurden
+        );
+
+        return calculateHomeValueProjection({
+            purchasePrice: purchasePrice,
+            loan,
+            annualAppreciationRate: Number(annualAppreciationRate) || 3,
+            years: Number(analysisYears) || 30,
+            closingCostsBuying: Number(closingCostsBuying) || 2,
+            closingCostsSelling: Number(closingCostsSelling) || 6,
+            propertyTaxRate: calcPropertyTaxRate,
+            insuranceAnnual: homeInsurance,
+            maintenanceRate: Number(maintenanceRate) || 1,
+            rent: monthlyRent,
+            rentGrowthRate: Number(rentGrowthRate) || 0,
+            investmentReturn: Number(investmentReturn) || 0,
+            investmentTaxDrag: Number(investmentTaxDrag) || 0,
+            taxBenefitForYear,
+            saleTaxForYear,
+            filingStatus,
+            taxYear,
+            inflationRate
+        });
+    }, [activeState, resultsByState, stateInputs, filingStatus, taxYear, inflationRate, annualAppreciationRate, closingCostsBuying,
+        closingCostsSelling, analysisYears, propertyTaxRate, maintenanceRate, rentGrowthRate, investmentReturn, investmentTaxDrag, projectStateResults]);
+
+    // Today's dollars: balances and net worth (a sale at year end) use that year-end's price level, the year's outlays
+    // use the price level they were paid at, and running totals add each year's deflated outlays. CAGR is net of
+    // inflation; break-even timing is unchanged.
+    const breakEvenAnalysis = useMemo(() => {
+        if (!nominalAnalysis || !realDollars) return nominalAnalysis;
+        const balanceFields = ['homeValue', 'equity', 'mortgageBalance', 'capitalGainsTax', 'netProceedsFromSale', 'rentInvestmentScenario', 'homeOwnershipNetValue', 'breakEven'];
+        const flowFields = ['yearlyInterest', 'yearlyPrincipal', 'taxBenefit'];
+        const toRealCagr = (cagr) => ((1 + cagr / 100) / (1 + (Number(inflationRate) || 0) / 100) - 1) * 100;
+        const projections = nominalAnalysis.projections.map(row => {
+            const yearEndPriceLevel = indexingFactor(0, row.year, inflationRate);
+            const flowPriceLevel = indexingFactor(0, row.year - 1, inflationRate);
+            const restated = {
+                ...row,
+                cagr: row.cagr === 0 ? 0 : toRealCagr(row.cagr),
+                totalHousingCost: row.realTotalHousingCost,
+                totalRentPaid: row.realTotalRentPaid,
+            };
+            balanceFields.forEach(field => { restated[field] = row[field] / yearEndPriceLevel; });
+            flowFields.forEach(field => { restated[field] = row[field] / flowPriceLevel; });
+            return restated;
+        });
+        return { ...nominalAnalysis, projections, finalCAGR: projections.at(-1)?.cagr || 0 };
+    }, [nominalAnalysis, realDollars, inflationRate]);
+
+    // Get data series for chart
+    const chartData = useMemo(() => {
+        if (!breakEvenAnalysis) return [];
+
+        const years = Number(activeTimeframe) || 10;
+
+        return breakEvenAnalysis.projections
+            .filter(row => row.year <= years)
+            .map(row => ({
+                year: row.year,
+                homeValue: row.homeValue,
+                equity: row.equity,
+                netProceedsFromSale: row.netProceedsFromSale,
+                buyScenario: row.homeOwnershipNetValue,
+                rentScenario: row.rentInvestmentScenario,
+                breakEven: row.breakEven
+            }));
+    }, [breakEvenAnalysis, activeTimeframe]);
+
+    if (selectedStates.length < 1) {
+        return (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 mb-4">Home-Ownership Break-Even Analysis</h2>
+                <p className="text-gray-600">Please select at least one state to run break-even calculations.</p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Home-Ownership Break-Even Analysis</h2>
+
+                <div className="flex flex-col lg:flex-row gap-6 mb-6">
+                    {/* Left side: inputs */}
+                    <div className="flex-1 space-y-4">
+                        <div className="flex items-center gap-4 mb-4">
+                            <div className="w-full">
+                                <label htmlFor="activeStateSelect" className="block text-sm font-medium text-gray-700 mb-1">State to Analyze</label>
+                                <select
+                                    id="activeStateSelect"
+                                    value={activeState}
+                                    onChange={(e) => setActiveState(e.target.value)}
+                                    className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                                >
+                                    {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
+                                </select>
+                            </div>
+
+                            <div className="w-full">
+                                <label className="block text-sm font-medium text-gray-700 mb-1">Chart Timeframe</label>
+                                <div className="flex rounded-md shadow-sm">
+                                    {timeframeOptions.map(option => (
+                                        <button
+                                            key={option}
+                                            onClick={() => setActiveTimeframe(option)}
+                                            className={`flex-1 px-3 py-1 text-xs font-medium border ${activeTimeframe === option
+                                                    ? 'bg-indigo-500 text-white'
+                                                    : 'bg-white text-gray-600'
+                                                } ${option === timeframeOptions[0] ? 'rounded-l-md' :
+                                                    option === timeframeOptions[timeframeOptions.length - 1] ? 'rounded-r-md' : ''
+                                                }`}
+                                        >
+                                            {option} years
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <InputField
+                                label="Annual Home Appreciation (%)"
+                                value={annualAppreciationRate}
+                                onChange={setAnnualAppreciationRate}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Maintenance Cost (% of value/year)"
+                                value={maintenanceRate}
+                                onChange={setMaintenanceRate}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Buyer's Closing Costs (%)"
+                                value={closingCostsBuying}
+                                onChange={setClosingCostsBuying}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Seller's Closing Costs (%)"
+                                value={closingCostsSelling}
+                                onChange={setClosingCostsSelling}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Analysis Period (years)"
+                                value={analysisYears}
+                                onChange={setAnalysisYears}
+                            />
+                            <InputField
+                                label="Property Tax Rate (%)"
+                                value={propertyTaxRate}
+                                onChange={setPropertyTaxRate}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Annual Rent Growth (%)"
+                                value={rentGrowthRate}
+                                onChange={setRentGrowthRate}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Investment Return (%)"
+                                value={investmentReturn}
+                                onChange={setInvestmentReturn}
+                                isRate={true}
+                            />
+                            <InputField
+                                label="Tax Drag on Investments (%/yr)"
+                                value={investmentTaxDrag}
+                                onChange={setInvestmentTaxDrag}
+                                isRate={true}
+                            />
+                        </div>
+                    </div>
+
+                    {/* Right side: summary stats */}
+                    <div className="lg:w-2/5 bg-gray-50 p-4 rounded-lg border border-gray-200">
+                        <h3 className="text-lg font-semibold text-gray-800 mb-4">Analysis Summary for {activeState}</h3>
+                        <div className="space-y-3">
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Purchase Price:</span>
+                                <span className="text-sm font-semibold">{formatCurrency(getHomePurchase(stateInputs[activeState]).purchasePrice)}</span>
+                            </div>
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Down Payment:</span>
+                                <span className="text-sm font-semibold">{formatCurrency(getHomePurchase(stateInputs[activeState]).downPayment)}</span>
+                            </div>
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Monthly Rent Equivalent:</span>
+                                <span className="text-sm font-semibold">{formatCurrency(stateInputs[activeState]?.monthlyRent || 0)}</span>
+                            </div>
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Break-Even Point:</span>
+                                <span className="text-sm font-bold text-indigo-700">
+                                    {breakEvenAnalysis?.breakEvenYear === 'N/A'
+                                        ? 'N/A'
+                                        : `${breakEvenAnalysis?.breakEvenYear} years`}
+                                </span>
+                            </div>
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Final CAGR After Costs:</span>
+                                <span className={`text-sm font-bold ${breakEvenAnalysis?.finalCAGR > 0 ? 'text-green-600' :
+                                        breakEvenAnalysis?.finalCAGR < 0 ? 'text-red-600' : 'text-gray-700'
+                                    }`}>
+                                    {breakEvenAnalysis?.finalCAGR.toFixed(2)}%
+                                </span>
+                            </div>
+                            <div className="flex justify-between items-center border-b pb-2">
+                                <span className="text-sm font-medium text-gray-600">Value After {analysisYears} Years:</span>
+                                <span className="text-sm font-semibold">
+                                    {formatCurrency(breakEvenAnalysis?.projections[breakEvenAnalysis.projections.length - 1]?.homeValue || 0)}
+                                </span>
+                            </div>
+                            <div className="flex justify-between items-center">
+                                <span className="text-sm font-medium text-gray-600">Net Proceeds After Sale:</span>
+                                <span className="text-sm font-semibold">
+                                    {formatCurrency(breakEvenAnalysis?.projections[breakEvenAnalysis.projections.length - 1]?.netProceedsFromSale || 0)}
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Chart */}
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 mt-6">
+                    Break-Even Visualization ({activeTimeframe} Years, {realDollars ? "today's dollars" : 'nominal dollars'})
+                </h3>
+                <ResponsiveContainer width="100%" height={400}>
+                    <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottomRight', offset: -5 }} />
+                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                        <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                        <Legend />
+                        <ReferenceLine y={0} stroke="#000" />
+                        <Line type="monotone" dataKey="homeValue" name="Home Value" stroke="#8884d8" strokeWidth={2} />
+                        <Line type="monotone" dataKey="equity" name="Home Equity" stroke="#82ca9d" strokeWidth={2} />
+                        <Line type="monotone" dataKey="netProceedsFromSale" name="Net Proceeds After Sale" stroke="#ff7300" strokeWidth={2} />
+                        <Line type="monotone" dataKey="buyScenario" name="Buy: Net Worth" stroke="#8b5cf6" strokeWidth={2} />
+                        <Line type="monotone" dataKey="rentScenario" name="Rent + Invest: Net Worth" stroke="#ff0000" strokeWidth={2} />
+                        <Line type="monotone" dataKey="breakEven" name="Buy vs. Rent Advantage" stroke="#00C49F" strokeDasharray="5 5" />
+                    </LineChart>
+                </ResponsiveContainer>
+
+                {/* Table */}
+                <div className="mt-8">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-lg font-semibold text-gray-800">Year-by-Year Breakdown</h3>
+                        <button
+                            onClick={() => setShowFullTable(prev => !prev)}
+                            className="text-sm text-indigo-600 hover:text-indigo-800"
+                        >
+                            {showFullTable ? 'Show Less' : 'Show Full Table'}
+                        </button>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Home Value</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Equity</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Mortgage Balance</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tax Benefit</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Capital Gains Tax</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Net After Sale</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">CAGR</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Buy Net Worth</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Rent Net Worth</th>
+                                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Buy Advantage</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {breakEvenAnalysis?.projections
+                                    .filter(row => showFullTable ? true : (row.year % 5 === 0 || row.year === 1 || row.year === breakEvenAnalysis.breakEvenYear))
+                                    .map(row => (
+                                        <tr key={row.year} className={row.year === breakEvenAnalysis.breakEvenYear ? 'bg-green-50' : ''}>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                {row.year}{row.year === breakEvenAnalysis.breakEvenYear ? ' ⭐' : ''}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.homeValue)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.equity)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.mortgageBalance)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.taxBenefit)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.capitalGainsTax)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.netProceedsFromSale)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {row.cagr.toFixed(2)}%
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.homeOwnershipNetValue)}
+                                            </td>
+                                            <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">
+                                                {formatCurrency(row.rentInvestmentScenario)}
+                                            </td>
+                                            <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${row.breakEven >= 0 ? 'text-green-600' : 'text-red-600'
+                                                }`}>
+                                                {formatCurrency(row.breakEven)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    <p className="mt-3 text-xs text-gray-500">
+                        <b>Buy Advantage</b> is the buyer's net worth (home sold that year, plus savings invested) minus the renter's (down payment and
+                        closing costs invested, plus savings). Positive values mean buying is ahead. The star (⭐) indicates the break-even year.
+                        <b> Tax Benefit</b> is the federal and state tax saved by owning rather than renting, from that year's full tax calculation; sale-year
+                        capital gains tax is the extra tax from adding the gain above the home-sale exclusion. Whoever spends less each year invests the difference
+                        at {investmentReturn}% less {investmentTaxDrag}% tax drag. Rent grows {rentGrowthRate}% a year; property tax, insurance and maintenance rise {inflationRate}% with inflation;
+                        {realDollars ? " values are shown in today's dollars and CAGR is after inflation." : ' values are shown in nominal dollars.'}
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const PaycheckAnalysis = ({ wageOnlyResults, selectedStates, wagesByEarner, k401, postTaxContributions, hsa, medicalPremiums, filingStatus, taxYear, inflationRate }) => {
+    const [activeState, setActiveState] = useState(selectedStates[0] || '');
+    const [payFrequency, setPayFrequency] = useState('biweekly');
+    const [k401DeferralRate, setK401DeferralRate] = useState('');
+
+    useEffect(() => {
+        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
+            setActiveState(selectedStates[0]);
+        }
+    }, [selectedStates, activeState]);
+
+    const schedulesByState = useMemo(() => {
+        const schedules = {};
+        selectedStates.forEach(state => {
+            const results = wageOnlyResults[state];
+            if (!results) return;
+            schedules[state] = calculatePaycheckSchedule({
+                state, filingStatus, taxYear, inflationRate, payFrequency, wagesByEarner, k401DeferralRate,
+                k401Annual: Number(k401) || 0,
+                hsaAnnual: Number(hsa) || 0,
+                medicalAnnual: Number(medicalPremiums) || 0,
+                postTaxAnnual: postTaxContributions,
+                federalWithholding: results.totalFederalTax,
+                stateWithholding: results.stateTax + results.stateAmt,
+                localWithholding: results.localTax,
+            });
+        });
+        return schedules;
+    }, [selectedStates, wageOnlyResults, filingStatus, taxYear, inflationRate, payFrequency, wagesByEarner, k401DeferralRate, k401, postTaxContributions, hsa, medicalPremiums]);
+
+    const chartData = useMemo(() => {
+        const periods = schedulesByState[selectedStates[0]]?.length || 0;
+        return Array.from({ length: periods }, (_, i) => {
+            const point = { period: i + 1 };
+            selectedStates.forEach(state => {
+                if (schedulesByState[state]) point[state] = schedulesByState[state][i].net;
+            });
+            return point;
+        });
+    }, [schedulesByState, selectedStates]);
+
+    const activeSchedule = schedulesByState[activeState] || [];
+    const columns = [
+        { key: 'gross', label: 'Gross' },
+        { key: 'k401', label: 'Trad. 401(k)' },
+        { key: 'hsa', label: 'HSA' },
+        { key: 'medical', label: 'Medical' },
+        { key: 'federalWithholding', label: 'Federal' },
+        { key: 'socialSecurity', label: 'Social Security' },
+        { key: 'medicare', label: 'Medicare' },
+        { key: 'statePayroll', label: 'State Payroll' },
+        { key: 'stateWithholding', label: 'State' },
+        { key: 'localWithholding', label: 'Local' },
+        { key: 'postTax', label: 'Roth / After-Tax' },
+        { key: 'net', label: 'Net Pay' },
+    ];
+    const totals = columns.reduce((acc, { key }) => {
+        acc[key] = activeSchedule.reduce((sum, row) => sum + row[key], 0);
+        return acc;
+    }, {});
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Paycheck Simulator</h2>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                    <div>
+                        <label htmlFor="paycheckStateSelect" className="block text-sm font-medium text-gray-700 mb-1">State to Analyze</label>
+                        <select
+                            id="paycheckStateSelect"
+                            value={activeState}
+                            onChange={(e) => setActiveState(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        <label htmlFor="payFrequencySelect" className="block text-sm font-medium text-gray-700 mb-1">Pay Frequency</label>
+                        <select
+                            id="payFrequencySelect"
+                            value={payFrequency}
+                            onChange={(e) => setPayFrequency(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            {PAY_FREQUENCIES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                    <InputField
+                        label="401(k) Deferral (% of pay, blank = even)"
+                        value={k401DeferralRate}
+                        onChange={setK401DeferralRate}
+                        isRate={true}
+                    />
+                </div>
+
+                <h3 className="text-lg font-semibold text-gray-800 mb-4">Net Pay per Paycheck</h3>
+                <ResponsiveContainer width="100%" height={350}>
+                    <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="period" label={{ value: 'Paycheck', position: 'insideBottomRight', offset: -5 }} />
+                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                        <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                        <Legend />
+                        {selectedStates.map((state, index) => (
+                            <Line key={state} type="stepAfter" dataKey={state} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
+                        ))}
+                    </LineChart>
+                </ResponsiveContainer>
+
+                <h3 className="text-lg font-semibold text-gray-800 mb-4 mt-6">{activeState} Paycheck Schedule</h3>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-3 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                                {columns.map(({ key, label }) => (
+                                    <th key={key} className="px-3 py-3 text-right text-xs font-medium text-gray-500 uppercase">{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {activeSchedule.map(row => (
+                                <tr key={row.period}>
+                                    <td className="px-3 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{row.period}</td>
+                                    {columns.map(({ key }) => (
+                                        <td key={key} className={`px-3 py-2 whitespace-nowrap text-sm text-right font-mono ${key === 'net' ? 'font-semibold text-green-700' : ''}`}>
+                                            {formatCurrency(row[key])}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr className="bg-gray-50 font-semibold">
+                                <td className="px-3 py-2 whitespace-nowrap text-sm text-gray-900">Year</td>
+                                {columns.map(({ key }) => (
+                                    <td key={key} className="px-3 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(totals[key])}</td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                    Regular wages only: capital gains, self-employment income and equity vests are left out of each paycheck.
+                    Income tax withholding is the annual tax on these wages spread evenly across the year. Social Security and
+                    capped state payroll taxes drop off once year-to-date wages reach their wage base.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+const WithholdingAnalysis = ({ resultsByState, wageOnlyResults, selectedStates, stateInputs, wagesByEarner, pretaxDeductions, filingStatus, taxYear, inflationRate, withholdingInputs, handleWithholdingInputChange, handleW4Change }) => {
+    const forecastsByState = useMemo(() => {
+        const forecasts = {};
+        selectedStates.forEach(state => {
+            if (!resultsByState[state] || !wageOnlyResults[state]) return;
+            forecasts[state] = calculateWithholdingForecast({
+                state, result: resultsByState[state], wageOnlyResult: wageOnlyResults[state], wagesByEarner, pretaxDeductions,
+                withholdingInputs, priorYearStateTax: stateInputs[state]?.priorYearStateTax, filingStatus, taxYear, inflationRate,
+            });
+        });
+        return forecasts;
+    }, [selectedStates, resultsByState, wageOnlyResults, stateInputs, wagesByEarner, pretaxDeductions, withholdingInputs, filingStatus, taxYear, inflationRate]);
+
+    const balanceClass = (balanceDue) => (balanceDue > 0 ? 'text-red-600' : 'text-green-600');
+    const balanceLabel = (balanceDue) => (balanceDue > 0 ? `Owe ${formatCurrency(balanceDue)}` : `Refund ${formatCurrency(-balanceDue)}`);
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Withholding & Refund Forecast</h2>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                    <div>
+                        <label htmlFor="withholdingPayFrequency" className="block text-sm font-medium text-gray-700 mb-1">Pay Frequency</label>
+                        <select
+                            id="withholdingPayFrequency"
+                            value={withholdingInputs.payFrequency}
+                            onChange={(e) => handleWithholdingInputChange('payFrequency', e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            {PAY_FREQUENCIES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                    <InputField label="Prior-Year Federal Tax" value={withholdingInputs.priorYearTax} placeholder="Unknown" onChange={(v) => handleWithholdingInputChange('priorYearTax', v)} />
+                    <InputField label="Prior-Year AGI" value={withholdingInputs.priorYearAgi} onChange={(v) => handleWithholdingInputChange('priorYearAgi', v)} />
+                    <InputField label="Extra State Withholding / Paycheck" value={withholdingInputs.stateExtraWithholding} onChange={(v) => handleWithholdingInputChange('stateExtraWithholding', v)} />
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                    {wagesByEarner.map((wages, i) => {
+                        const w4 = withholdingInputs.w4[i] || DEFAULT_W4;
+                        return (
+                            <div key={i} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                                <h3 className="font-semibold text-gray-700">{i === 0 ? 'Your' : 'Spouse'} W-4 <span className="text-sm font-normal text-gray-500">({formatCurrency(wages)} wages)</span></h3>
+                                <div>
+                                    <label htmlFor={`w4FilingStatus${i}`} className="block text-sm font-medium text-gray-700 mb-1">Step 1(c) Filing Status</label>
+                                    <select
+                                        id={`w4FilingStatus${i}`}
+                                        value={w4.filingStatus}
+                                        onChange={(e) => handleW4Change(i, 'filingStatus', e.target.value)}
+                                        className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                                    >
+                                        {W4_FILING_STATUSES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </div>
+                                <label className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={w4.multipleJobs}
+                                        onChange={(e) => handleW4Change(i, 'multipleJobs', e.target.checked)}
+                                        className="h-4 w-4 rounded border-gray-300 text-indigo-600"
+                                    />
+                                    Step 2(c): Multiple jobs or spouse works
+                                </label>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <InputField label="Step 3: Dependents" value={w4.dependentsCredit} onChange={(v) => handleW4Change(i, 'dependentsCredit', v)} />
+                                    <InputField label="Step 4(a): Other Income" value={w4.otherIncome} onChange={(v) => handleW4Change(i, 'otherIncome', v)} />
+                                    <InputField label="Step 4(b): Deductions" value={w4.deductions} onChange={(v) => handleW4Change(i, 'deductions', v)} />
+                                    <InputField label="Step 4(c): Extra / Paycheck" value={w4.extraWithholding} onChange={(v) => handleW4Change(i, 'extraWithholding', v)} />
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Liability</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Withheld</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Forecast</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Est. Penalty</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Add Federal / Paycheck</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Liability</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Withheld</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Forecast</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Est. Penalty</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Add State / Paycheck</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {selectedStates.filter(state => forecastsByState[state]).map(state => {
+                                const { federal, state: stateForecast } = forecastsByState[state];
+                                return (
+                                    <tr key={state}>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(federal.liability)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(federal.withholding)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${balanceClass(federal.balanceDue)}`}>{balanceLabel(federal.balanceDue)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${federal.penalty > 0 ? 'text-red-600' : ''}`}>{formatCurrency(federal.penalty)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(federal.suggestedExtra)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(stateForecast.liability)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(stateForecast.withholding)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${balanceClass(stateForecast.balanceDue)}`}>{balanceLabel(stateForecast.balanceDue)}</td>
+                                        <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${stateForecast.penalty > 0 ? 'text-red-600' : ''}`}>{formatCurrency(stateForecast.penalty)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(stateForecast.suggestedExtra)}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                    Federal withholding follows each W-4 under the IRS percentage method, with equity vests withheld at the flat
+                    supplemental rate ({FEDERAL_SUPPLEMENTAL_WITHHOLDING.rate * 100}%). Liability includes self-employment tax and Additional
+                    Medicare Tax. The penalty estimate applies when the balance due is at least {formatCurrency(byFilingStatus(FEDERAL_ESTIMATED_TAX_RULES.minimumBalance, filingStatus))} and
+                    withholding falls short of the safe harbor: 90% of this year's tax or 100% of last year's (110% above
+                    {' '}{formatCurrency(byFilingStatus(FEDERAL_ESTIMATED_TAX_RULES.highIncomeAgi, filingStatus))} prior-year AGI).
+                    State penalties use each state's own safe harbor with the prior-year state tax from the Estimated Taxes tab.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+const EstimatedTaxAnalysis = ({ resultsByState, wageOnlyResults, selectedStates, stateInputs, handleStateInputChange, wagesByEarner, pretaxDeductions, filingStatus, taxYear, inflationRate, withholdingInputs, handleWithholdingInputChange }) => {
+    const [activeState, setActiveState] = useState(selectedStates[0] || '');
+
+    useEffect(() => {
+        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
+            setActiveState(selectedStates[0]);
+        }
+    }, [selectedStates, activeState]);
+
+    const forecastsByState = useMemo(() => {
+        const forecasts = {};
+        selectedStates.forEach(state => {
+            if (!resultsByState[state] || !wageOnlyResults[state]) return;
+            forecasts[state] = calculateWithholdingForecast({
+                state, result: resultsByState[state], wageOnlyResult: wageOnlyResults[state], wagesByEarner, pretaxDeductions,
+                withholdingInputs, priorYearStateTax: stateInputs[state]?.priorYearStateTax, filingStatus, taxYear, inflationRate,
+            });
+        });
+        return forecasts;
+    }, [selectedStates, resultsByState, wageOnlyResults, stateInputs, wagesByEarner, pretaxDeductions, withholdingInputs, filingStatus, taxYear, inflationRate]);
+
+    // Federal and state installments share due dates, so they line up by index
+    const activeForecast = forecastsByState[activeState];
+    const calendar = activeForecast ? activeForecast.federal.payments.map(({ dueDate, amount }, i) => ({
+        dueDate,
+        federal: amount,
+        state: activeForecast.state.payments[i]?.amount || 0,
+    })) : [];
+    const formatDueDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+
+    const handleExportCalendar = () => {
+        const blob = new Blob([buildEstimatedTaxCalendar({ state: activeState, taxYear, payments: calendar })], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `estimated-taxes-${taxYear}-${STATE_ABBREVIATIONS[activeState] || 'state'}.ics`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Quarterly Estimated Tax Planner</h2>
+
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                    <InputField label="Prior-Year Federal Tax" value={withholdingInputs.priorYearTax} placeholder="Unknown" onChange={(v) => handleWithholdingInputChange('priorYearTax', v)} />
+                    <InputField label="Prior-Year AGI" value={withholdingInputs.priorYearAgi} onChange={(v) => handleWithholdingInputChange('priorYearAgi', v)} />
+                    {selectedStates.map(state => (
+                        <InputField
+                            key={state}
+                            label={`Prior-Year ${STATE_ABBREVIATIONS[state] || state} Tax`}
+                            value={stateInputs[state]?.priorYearStateTax ?? ''}
+                            placeholder="Unknown"
+                            onChange={(v) => handleStateInputChange(state, 'priorYearStateTax', v)}
+                        />
+                    ))}
+                </div>
+
+                <div className="overflow-x-auto mb-8">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Required</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Federal Safe Harbor</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Estimates</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Required</th>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State Safe Harbor</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Estimates</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {selectedStates.filter(state => forecastsByState[state]).map(state => {
+                                const { federal, state: stateForecast } = forecastsByState[state];
+                                const totalOf = (payments) => payments.reduce((sum, { amount }) => sum + amount, 0);
+                                return (
+                                    <tr key={state}>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(federal.requiredAnnualPayment)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{federal.safeHarbor}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(totalOf(federal.payments))}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(stateForecast.requiredAnnualPayment)}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{stateForecast.liability > 0 ? stateForecast.safeHarbor : 'No state income tax'}</td>
+                                        <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(totalOf(stateForecast.payments))}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div className="flex flex-col sm:flex-row sm:items-end gap-4 mb-4">
+                    <div className="sm:w-64">
+                        <label htmlFor="estimatedTaxStateSelect" className="block text-sm font-medium text-gray-700 mb-1">Payment Calendar for</label>
+                        <select
+                            id="estimatedTaxStateSelect"
+                            value={activeState}
+                            onChange={(e) => setActiveState(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            {selectedStates.map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                    </div>
+                    <button
+                        onClick={handleExportCalendar}
+                        disabled={!calendar.some(({ federal, state }) => federal > 0 || state > 0)}
+                        className="px-4 py-2 bg-indigo-600 text-white text-sm font-medium rounded-md hover:bg-indigo-700 disabled:bg-gray-300"
+                    >
+                        Download Calendar (.ics)
+                    </button>
+                </div>
+
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Due Date</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{activeState}</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {calendar.map(({ dueDate, federal, state }) => (
+                                <tr key={dueDate.toISOString()}>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{formatDueDate(dueDate)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(federal)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(state)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(federal + state)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                    Estimates cover the safe-harbor payment not already met by projected withholding (see the Withholding tab), which
+                    counts as paid evenly across the four due dates. The federal safe harbor is the lesser of 90% of this year's tax or
+                    100% of last year's (110% above {formatCurrency(byFilingStatus(FEDERAL_ESTIMATED_TAX_RULES.highIncomeAgi, filingStatus))} prior-year AGI).
+                    States apply their own rules; California front-loads 30% / 40% / 0% / 30% and denies the prior-year safe harbor
+                    at $1M+ AGI. Leave a prior-year tax blank if unknown or you did not file there last year; 0 means you owed no tax.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+const ContributionMixAnalysis = ({ resultsByState, selectedStates, k401, roth401k, afterTax401k, resultsForContributions, retirementInputs, handleRetirementInputChange, filingStatus, taxYear, inflationRate }) => {
+    const { retirementState, retirementIncome, taxableGainsTaxRate, portfolioGrowthRate, currentAge, retirementAge, swr } = retirementInputs;
+    const { setRetirementState, setRetirementIncome, setTaxableGainsTaxRate } = handleRetirementInputChange;
+
+    const traditional = Number(k401) || 0;
+    const roth = Number(roth401k) || 0;
+    const afterTaxContribution = Number(afterTax401k) || 0;
+    const deferrals = traditional + roth;
+
+    // The same deferrals all traditional and all Roth; the current split is the main results
+    const allTraditionalResults = useMemo(() => resultsForContributions(deferrals, 0), [resultsForContributions, deferrals]);
+    const allRothResults = useMemo(() => resultsForContributions(0, deferrals), [resultsForContributions, deferrals]);
+
+    const comparisonsByState = useMemo(() => {
+        const comparisons = {};
+        selectedStates.forEach(state => {
+            if (!resultsByState[state] || !allTraditionalResults[state] || !allRothResults[state]) return;
+            comparisons[state] = compareContributionMixes({
+                state,
+                mixes: {
+                    traditional: { traditional: deferrals, roth: 0, totalTaxBurden: allTraditionalResults[state].totalTaxBurden },
+                    roth: { traditional: 0, roth: deferrals, totalTaxBurden: allRothResults[state].totalTaxBurden },
+                    current: { traditional, roth, totalTaxBurden: resultsByState[state].totalTaxBurden },
+                },
+                afterTaxContribution, retirementInputs, filingStatus, taxYear, inflationRate,
+            });
+        });
+        return comparisons;
+    }, [selectedStates, resultsByState, allTraditionalResults, allRothResults, deferrals, traditional, roth, afterTaxContribution, retirementInputs, filingStatus, taxYear, inflationRate]);
+
+    const chartData = selectedStates.filter(state => comparisonsByState[state]).map(state => ({
+        name: STATE_ABBREVIATIONS[state] || state,
+        ...Object.fromEntries(CONTRIBUTION_MIXES.map(({ key }) => [key, comparisonsByState[state].mixes[key].totalAfterTax])),
+    }));
+    const mixColors = { traditional: '#8884d8', roth: '#82ca9d', current: '#ff7300' };
+    const rows = [
+        { key: 'totalTaxBurden', label: 'Current-Year Tax' },
+        { key: 'taxSavings', label: 'Tax Saved, Invested in Taxable' },
+        { key: 'traditionalBalance', label: 'Traditional Balance' },
+        { key: 'retirementTaxRate', label: 'Tax Rate on Withdrawals', isRate: true },
+        { key: 'traditionalAfterTax', label: 'Traditional After Tax' },
+        { key: 'rothBalance', label: 'Roth Balance (incl. After-Tax)' },
+        { key: 'taxableAccount', label: 'Taxable Account After Tax' },
+        { key: 'totalAfterTax', label: 'Total After-Tax Wealth' },
+    ];
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Roth vs. Traditional 401(k)</h2>
+
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                    <div>
+                        <label htmlFor="retirementStateSelect" className="block text-sm font-medium text-gray-700 mb-1">Retirement State</label>
+                        <select
+                            id="retirementStateSelect"
+                            value={retirementState}
+                            onChange={(e) => setRetirementState(e.target.value)}
+                            className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                        >
+                            <option value="">Same as current state</option>
+                            {Object.keys(STATE_TAX_DATA).map(s => <option key={s} value={s}>{s}</option>)}
+                        </select>
+                    </div>
+                    <InputField label="Other Taxable Retirement Income" value={retirementIncome} onChange={setRetirementIncome} placeholder="e.g., 40000" />
+                    <InputField label="Tax on Taxable Account Gains (%)" value={taxableGainsTaxRate} onChange={setTaxableGainsTaxRate} isRate={true} />
+                </div>
+                <p className="text-sm text-gray-600 mb-6">
+                    {formatCurrency(deferrals)} of elective deferrals and {formatCurrency(afterTaxContribution)} after-tax each year from age {currentAge} to {retirementAge},
+                    growing at {portfolioGrowthRate}% ({inflationRate}% inflation) and withdrawn at {swr}% a year. Values are in today's dollars;
+                    growth, ages and withdrawal rate come from the Retirement Analysis tab.
+                </p>
+
+                <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="name" />
+                        <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                        <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                        <Legend />
+                        {CONTRIBUTION_MIXES.map(({ key, label }) => <Bar key={key} dataKey={key} name={label} fill={mixColors[key]} />)}
+                    </BarChart>
+                </ResponsiveContainer>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
+                    {selectedStates.filter(state => comparisonsByState[state]).map(state => {
+                        const comparison = comparisonsByState[state];
+                        const bestKey = CONTRIBUTION_MIXES.reduce((best, { key }) => (
+                            comparison.mixes[key].totalAfterTax > comparison.mixes[best].totalAfterTax ? key : best
+                        ), CONTRIBUTION_MIXES[0].key);
+                        return (
+                            <div key={state} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                                <h3 className="font-semibold text-gray-800">{state} → {comparison.taxState}</h3>
+                                <p className="text-xs text-gray-500 mb-3">
+                                    Deferring saves {(comparison.currentTaxRate * 100).toFixed(1)}% today; withdrawals are taxed at
+                                    {' '}{(comparison.mixes.traditional.retirementTaxRate * 100).toFixed(1)}% when all traditional.
+                                </p>
+                                <table className="min-w-full text-sm">
+                                    <thead>
+                                        <tr>
+                                            <th className="py-1 text-left font-medium text-gray-500"></th>
+                                            {CONTRIBUTION_MIXES.map(({ key, label }) => (
+                                                <th key={key} className={`py-1 text-right font-medium ${key === bestKey ? 'text-green-700' : 'text-gray-500'}`}>{label}</th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {rows.map(({ key, label, isRate }) => (
+                                            <tr key={key} className={key === 'totalAfterTax' ? 'border-t font-semibold' : ''}>
+                                                <td className="py-1 text-gray-600">{label}</td>
+                                                {CONTRIBUTION_MIXES.map(({ key: mixKey }) => (
+                                                    <td key={mixKey} className="py-1 text-right font-mono">
+                                                        {isRate ? `${(comparison.mixes[mixKey][key] * 100).toFixed(1)}%` : formatCurrency(comparison.mixes[mixKey][key])}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                                {afterTaxContribution > 0 && (
+                                    <p className="text-xs text-gray-500 mt-3">
+                                        Mega-backdoor Roth is worth {formatCurrency(comparison.megaBackdoorAdvantage)} more than investing the same after-tax dollars in a taxable account.
+                                    </p>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const DrawdownAnalysis = ({ selectedStates, k401, roth401k, afterTax401k, retirementInputs, handleRetirementInputChange, filingStatus, taxYear, inflationRate }) => {
+    const {
+        currentAge, retirementAge, baseAnnualSavings, swr, retirementIncome, traditionalBalance, rothBalance, taxableBalance,
+        taxableBasisShare, socialSecurityBenefit, socialSecurityAge, withdrawalStrategy,
+    } = retirementInputs;
+    const {
+        setTraditionalBalance, setRothBalance, setTaxableBalance, setTaxableBasisShare, setSocialSecurityBenefit, setSocialSecurityAge,
+        setWithdrawalStrategy, setRetirementIncome,
+    } = handleRetirementInputChange;
+    const [activeState, setActiveState] = useState(selectedStates[0] || '');
+
+    useEffect(() => {
+        if (!selectedStates.includes(activeState) && selectedStates.length > 0) {
+            setActiveState(selectedStates[0]);
+        }
+    }, [selectedStates, activeState]);
+
+    const drawdownsByState = useMemo(() => {
+        const contributions = {
+            traditional: Number(k401) || 0,
+            roth: (Number(roth401k) || 0) + (Number(afterTax401k) || 0),
+            taxable: Number(baseAnnualSavings) || 0,
+        };
+        const drawdowns = {};
+        selectedStates.forEach(state => {
+            drawdowns[state] = simulateDrawdown({ state, strategy: withdrawalStrategy, retirementInputs, contributions, filingStatus, taxYear, inflationRate });
+        });
+        return drawdowns;
+    }, [selectedStates, withdrawalStrategy, retirementInputs, k401, roth401k, afterTax401k, baseAnnualSavings, filingStatus, taxYear, inflationRate]);
+
+    const chartData = useMemo(() => {
+        const rows = drawdownsByState[selectedStates[0]]?.rows || [];
+        return rows.map((row, i) => {
+            const point = { age: row.age };
+            selectedStates.forEach(state => {
+                if (drawdownsByState[state]) point[state] = drawdownsByState[state].rows[i].spendable;
+            });
+            return point;
+        });
+    }, [drawdownsByState, selectedStates]);
+
+    const activeDrawdown = drawdownsByState[activeState];
+    const firstAge = Math.max(Number(currentAge) || 0, Number(retirementAge) || 0);
+
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Retirement Drawdown</h2>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+                <InputField label="Traditional Balance Today" value={traditionalBalance} onChange={setTraditionalBalance} placeholder="e.g., 500000" />
+                <InputField label="Roth Balance Today" value={rothBalance} onChange={setRothBalance} placeholder="e.g., 100000" />
+                <InputField label="Taxable Balance Today" value={taxableBalance} onChange={setTaxableBalance} placeholder="e.g., 300000" />
+                <InputField label="Taxable Cost Basis" value={taxableBasisShare} onChange={setTaxableBasisShare} isRate={true} />
+                <InputField label="Social Security (annual, today's $)" value={socialSecurityBenefit} onChange={setSocialSecurityBenefit} placeholder="e.g., 30000" />
+                <InputField label="Social Security Start Age" value={socialSecurityAge} onChange={setSocialSecurityAge} placeholder="e.g., 67" />
+                <InputField label="Pension / Other Taxable Income" value={retirementIncome} onChange={setRetirementIncome} placeholder="e.g., 40000" />
+                <div>
+                    <label htmlFor="withdrawalStrategySelect" className="block text-sm font-medium text-gray-700 mb-1">Withdrawal Order</label>
+                    <select
+                        id="withdrawalStrategySelect"
+                        value={withdrawalStrategy}
+                        onChange={(e) => setWithdrawalStrategy(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                    >
+                        {WITHDRAWAL_STRATEGIES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+            </div>
+            <p className="text-sm text-gray-600 mb-6">
+                Withdraws {swr}% of the portfolio at age {firstAge} each year (today's dollars), with required minimum distributions taken first.
+                Current 401(k) contributions go to the traditional and Roth buckets and annual savings to the taxable account until retirement.
+                {withdrawalStrategy === 'bracketFill' && ` Traditional withdrawals fill the ${retirementInputs.conversionTargetRate}% federal bracket chosen in the Roth conversion planner.`}
+            </p>
+
+            <div className="overflow-x-auto mb-6">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Planned Withdrawal</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">First-Year Spendable</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Average Spendable</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Lifetime Tax</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">At {PLANNING_END_AGE}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {selectedStates.map(state => {
+                            const drawdown = drawdownsByState[state];
+                            if (!drawdown) return null;
+                            const last = drawdown.rows.at(-1);
+                            return (
+                                <tr key={state}>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(drawdown.plannedWithdrawal)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(drawdown.rows[0]?.spendable || 0)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(drawdown.averageSpendable)}</td>
+                                    <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(drawdown.lifetimeTax)}</td>
+                                    <td className={`px-4 py-2 whitespace-nowrap text-sm text-right font-mono ${drawdown.depletedAt ? 'text-red-600' : ''}`}>
+                                        {drawdown.depletedAt
+                                            ? `Depleted at ${drawdown.depletedAt}`
+                                            : formatCurrency(last ? last.traditionalBalance + last.taxableBalance + last.rothBalance : 0)}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">After-Tax Spendable Income</h3>
+            <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="age" label={{ value: 'Age', position: 'insideBottomRight', offset: -5 }} />
+                    <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                    <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                    <Legend />
+                    {selectedStates.map((state, index) => (
+                        <Line key={state} type="monotone" dataKey={state} stroke={`hsl(${index * 60}, 70%, 50%)`} strokeWidth={2} dot={false} />
+                    ))}
+                </LineChart>
+            </ResponsiveContainer>
+
+            <div className="flex flex-wrap items-center justify-between gap-4 mb-4 mt-6">
+                <h3 className="text-lg font-semibold text-gray-800">{activeState} Year by Year</h3>
+                <select
+                    aria-label="Drawdown state"
+                    value={activeState}
+                    onChange={(e) => setActiveState(e.target.value)}
+                    className="p-2 border border-gray-300 rounded-md bg-white"
+                >
+                    {selectedStates.map(state => <option key={state} value={state}>{state}</option>)}
+                </select>
+            </div>
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Age</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">RMD</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Traditional</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Taxable</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Roth</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Social Security</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Federal Tax</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">State Tax</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Spendable</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Portfolio</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {(activeDrawdown?.rows || []).map(row => (
+                            <tr key={row.age}>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{row.age}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono text-gray-500">{formatCurrency(row.rmd)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.withdrawals.traditional)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.withdrawals.taxable)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.withdrawals.roth)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.socialSecurity)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.federalTax)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.stateTax)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono font-semibold">{formatCurrency(row.spendable)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.traditionalBalance + row.taxableBalance + row.rothBalance)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+                State tax applies each state's treatment of retirement income: the share of Social Security it taxes and its pension and IRA
+                exclusions by age (per spouse when filing jointly). Taxable withdrawals realize gains in proportion to unrealized gains in the account;
+                RMDs above the planned withdrawal are reinvested in the taxable account.
+            </p>
+        </div>
+    );
+};
+
+const RothConversionPlanner = ({ selectedStates, k401, retirementInputs, handleRetirementInputChange, filingStatus, taxYear, inflationRate }) => {
+    const { currentAge, retirementAge, portfolioGrowthRate, retirementState, retirementIncome, traditionalBalance, conversionTargetRate, conversionEndAge } = retirementInputs;
+    const { setRetirementState, setRetirementIncome, setTraditionalBalance, setConversionTargetRate, setConversionEndAge } = handleRetirementInputChange;
+    const planState = retirementState || selectedStates[0] || '';
+
+    const federalRates = useMemo(() => (
+        getFederalTaxTables(filingStatus, taxYear, inflationRate).brackets.filter(({ max }) => max < Infinity).map(({ rate }) => Math.round(rate * 100))
+    ), [filingStatus, taxYear, inflationRate]);
+
+    const plan = useMemo(() => (planState ? planRothConversions({
+        traditionalBalance,
+        annualContribution: Number(k401) || 0,
+        currentAge, retirementAge, conversionEndAge,
+        targetRate: conversionTargetRate,
+        otherIncome: Number(retirementIncome) || 0,
+        state: planState,
+        filingStatus, taxYear, inflationRate, portfolioGrowthRate,
+    }) : null), [planState, traditionalBalance, k401, currentAge, retirementAge, conversionEndAge, conversionTargetRate, retirementIncome, filingStatus, taxYear, inflationRate, portfolioGrowthRate]);
+
+    if (!plan) return null;
+    const { withConversions, withoutConversions } = plan;
+    const totalWith = withConversions.lifetimeTax + withConversions.deferredTax;
+    const totalWithout = withoutConversions.lifetimeTax + withoutConversions.deferredTax;
+    const chartData = withConversions.rows.map((row, i) => ({
+        age: row.age,
+        withConversions: row.tax,
+        withoutConversions: withoutConversions.rows[i].tax,
+    }));
+
+    return (
+        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+            <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">Roth Conversion Planner</h2>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4 mb-4">
+                <InputField label="Traditional Balance Today" value={traditionalBalance} onChange={setTraditionalBalance} placeholder="e.g., 500000" />
+                <div>
+                    <label htmlFor="conversionRateSelect" className="block text-sm font-medium text-gray-700 mb-1">Fill Federal Bracket</label>
+                    <select
+                        id="conversionRateSelect"
+                        value={conversionTargetRate}
+                        onChange={(e) => setConversionTargetRate(Number(e.target.value))}
+                        className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                    >
+                        {federalRates.map(rate => <option key={rate} value={rate}>{rate}%</option>)}
+                    </select>
+                </div>
+                <InputField label="Convert Through Age" value={conversionEndAge} onChange={setConversionEndAge} placeholder="e.g., 74" />
+                <div>
+                    <label htmlFor="conversionStateSelect" className="block text-sm font-medium text-gray-700 mb-1">Retirement State</label>
+                    <select
+                        id="conversionStateSelect"
+                        value={retirementState}
+                        onChange={(e) => setRetirementState(e.target.value)}
+                        className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                    >
+                        <option value="">{selectedStates[0] ? `Same as current (${selectedStates[0]})` : 'Same as current state'}</option>
+                        {Object.keys(STATE_TAX_DATA).map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </div>
+                <InputField label="Other Taxable Retirement Income" value={retirementIncome} onChange={setRetirementIncome} placeholder="e.g., 40000" />
+            </div>
+            <p className="text-sm text-gray-600 mb-6">
+                {formatCurrency(plan.balanceAtRetirement)} traditional at age {Math.max(Number(currentAge) || 0, Number(retirementAge) || 0)} (today's balance plus
+                {' '}{formatCurrency(Number(k401) || 0)} a year of traditional contributions). Each year converts up to the top of the {conversionTargetRate}% bracket
+                ({formatCurrency(plan.bracket.max)} of taxable income); RMDs start at {plan.rmdStartAge}. Today's dollars, {planState} tax.
+            </p>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-6">
+                {[
+                    { label: 'No Conversions', lifetimeTax: withoutConversions.lifetimeTax, deferredTax: withoutConversions.deferredTax, total: totalWithout },
+                    { label: 'With Conversions', lifetimeTax: withConversions.lifetimeTax, deferredTax: withConversions.deferredTax, total: totalWith },
+                ].map(({ label, lifetimeTax, deferredTax, total }) => (
+                    <div key={label} className="p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm space-y-1">
+                        <h3 className="font-semibold text-gray-700">{label}</h3>
+                        <div className="flex justify-between"><span>Tax paid to age {PLANNING_END_AGE}</span><span className="font-mono">{formatCurrency(lifetimeTax)}</span></div>
+                        <div className="flex justify-between"><span>Tax left in traditional</span><span className="font-mono">{formatCurrency(deferredTax)}</span></div>
+                        <div className="flex justify-between font-semibold border-t pt-1"><span>Lifetime tax</span><span className="font-mono">{formatCurrency(total)}</span></div>
+                    </div>
+                ))}
+                <div className={`p-4 rounded-lg border text-sm ${totalWith <= totalWithout ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                    <h3 className="font-semibold text-gray-700">Conversions {totalWith <= totalWithout ? 'Save' : 'Cost'}</h3>
+                    <p className="text-2xl font-bold font-mono">{formatCurrency(Math.abs(totalWithout - totalWith))}</p>
+                    <p className="text-xs text-gray-500 mt-1">Ending Roth balance {formatCurrency(withConversions.endingRoth)}</p>
+                </div>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">Tax Paid per Year</h3>
+            <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={chartData} margin={{ top: 10, right: 30, left: 10, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="age" label={{ value: 'Age', position: 'insideBottomRight', offset: -5 }} />
+                    <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                    <Tooltip formatter={(value) => formatCurrency(value, 0)} />
+                    <Legend />
+                    <Bar dataKey="withConversions" name="With Conversions" fill="#8884d8" />
+                    <Bar dataKey="withoutConversions" name="No Conversions" fill="#82ca9d" />
+                </BarChart>
+            </ResponsiveContainer>
+
+            <h3 className="text-lg font-semibold text-gray-800 mb-4 mt-6">Conversion Ladder</h3>
+            <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Age</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Conversion</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">RMD</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tax</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Tax Without</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Traditional</th>
+                            <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Roth</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Penalty-Free From</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {withConversions.rows.map((row, i) => (
+                            <tr key={row.year}>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">{row.year}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm">{row.age}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.conversion)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.rmd)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.tax)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono text-gray-500">{formatCurrency(withoutConversions.rows[i].tax)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.traditionalBalance)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm text-right font-mono">{formatCurrency(row.rothBalance)}</td>
+                                <td className="px-4 py-2 whitespace-nowrap text-sm">
+                                    {row.conversion > 0 ? `${row.accessibleYear} (age ${row.age + row.accessibleYear - row.year})` : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <p className="mt-3 text-xs text-gray-500">
+                Each conversion can be withdrawn without the 10% penalty after {ROTH_CONVERSION_SEASONING_YEARS} tax years or at age 59½, whichever comes first.
+                Conversion tax is assumed paid from taxable savings; state tax applies the state's retirement income exclusions by age, as in
+                the drawdown. <b>Tax left in traditional</b> is the tax still owed on the balance remaining
+                at {PLANNING_END_AGE}, at that year's marginal rate.
+            </p>
+        </div>
+    );
+};
+
+export default function TaxCalculator() {
+    const [activeView, setActiveView] = useState('comparison');
+    const [showRentScenario, setShowRentScenario] = useState(true);
+
+    const [filingStatus, setFilingStatus] = useState('mfj');
+    const [taxYear, setTaxYear] = useState(DEFAULT_TAX_YEAR);
+    const [inflationRate, setInflationRate] = useState(DEFAULT_INFLATION_RATE);
+    const [realDollars, setRealDollars] = useState(false); // restate retirement and break-even projections in today's dollars
+    const [income, setIncome] = useState(250000);
+    const [twoEarners, setTwoEarners] = useState(false);
+    const [spouseIncome, setSpouseIncome] = useState(0);
+    const [stGains, setStGains] = useState(5000);
+    const [ltGains, setLtGains] = useState(10000);
+    const [selfEmploymentIncome, setSelfEmploymentIncome] = useState(0);
+    const [sePlan, setSePlan] = useState('none');
+    const [sePlanContribution, setSePlanContribution] = useState(0);
+    const [equityComp, setEquityComp] = useState(DEFAULT_EQUITY_COMP);
+    const [dependents, setDependents] = useState([]); // ages at the end of the tax year
+    const [dependentCareExpenses, setDependentCareExpenses] = useState(0);
+    const [hsa, setHsa] = useState(8300);
+    const [k401, setK401] = useState(46000);
+    const [roth401k, setRoth401k] = useState(0);
+    const [afterTax401k, setAfterTax401k] = useState(0);
+    const [medicalPremiums, setMedicalPremiums] = useState(6000);
+    const [otherItemized, setOtherItemized] = useState(5000);
+    const [selectedStates, setSelectedStates] = useState(['California', 'Ohio', 'Texas']);
+    const [stateInputs, setStateInputs] = useState({
+        'California': { purchasePrice: 1250000, downPayment: 20, mortgageRate: 5.5, propertyTax: 12000, homeInsurance: 1500, monthlyRent: 4000 },
+        'Texas': { purchasePrice: 562500, downPayment: 20, mortgageRate: 5.8, propertyTax: 9500, homeInsurance: 2000, monthlyRent: 2500 },
+        'Colorado': { purchasePrice: 750000, downPayment: 20, mortgageRate: 5.6, propertyTax: 6000, homeInsurance: 1200, monthlyRent: 2200 },
+        'Ohio': { purchasePrice: 375000, downPayment: 20, mortgageRate: 5.9, propertyTax: 5500, localTaxRate: 2.5, homeInsurance: 1000, monthlyRent: 1800 },
+        'North Carolina': { purchasePrice: 500000, downPayment: 20, mortgageRate: 5.7, propertyTax: 4000, homeInsurance: 1100, monthlyRent: 2000 },
+    });
+
+    // NEW: State for cash flow inputs
+    const [cashFlowInputs, setCashFlowInputs] = useState({});
+
+    // NEW: State for retirement inputs is lifted up
+    const [retirementInputs, setRetirementInputs] = useState({
+        portfolioGrowthRate: 7, currentAge: 37, retirementAge: 50,
+        currentAssets: 100000, baseAnnualSavings: 25000,
+        fiNumber: 2000000, swr: 4,
+        retirementState: '', retirementIncome: 40000, taxableGainsTaxRate: 15,
+        monteCarloEnabled: false, meanReturn: 7, returnVolatility: 15, monteCarloTrials: 2000, stockAllocation: 80,
+        traditionalBalance: 500000, conversionTargetRate: 22, conversionEndAge: 74,
+        rothBalance: 100000, taxableBalance: 300000, taxableBasisShare: 50,
+        socialSecurityBenefit: 30000, socialSecurityAge: 67, withdrawalStrategy: 'conventional',
+    });
+
+    // NEW: State for break-even analysis inputs
+    const [breakEvenInputs, setBreakEvenInputs] = useState({
+        annualAppreciationRate: 3,
+        closingCostsBuying: 2,
+        closingCostsSelling: 6,
+        analysisYears: 30,
+        propertyTaxRate: 1,
+        maintenanceRate: 1,
+        rentGrowthRate: 3,
+        investmentReturn: 7,
+        investmentTaxDrag: 0.5,
+    });
+
+    const [withholdingInputs, setWithholdingInputs] = useState({
+        payFrequency: 'biweekly', priorYearTax: '', priorYearAgi: 0, stateExtraWithholding: 0,
+        w4: [DEFAULT_W4, DEFAULT_W4],
+    });
+    const [affordabilityInputs, setAffordabilityInputs] = useState({ frontEndRatio: 28, backEndRatio: 36, savingsRateFloor: 10 });
+
+    const [scenarioName, setScenarioName] = useState("");
+    const [selectedScenario, setSelectedScenario] = useState("");
+    const [savedScenarios, setSavedScenarios] = useState({});
+    const [expandedRows, setExpandedRows] = useState({});
+    const [expandedSchedules, setExpandedSchedules] = useState({});
+    const [expandedLoanOptions, setExpandedLoanOptions] = useState({});
+    const [expandedRefinance, setExpandedRefinance] = useState({});
+
+    // UPDATED: New local storage key for new data structure
+    const LOCAL_STORAGE_KEY = "taxScenariosV2";
+
+    const getStoredScenarios = () => {
+        try {
+            return JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || '{}');
+        } catch {
+            return {};
+        }
+    };
+    const saveScenarios = (scenarios) => {
+        localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(scenarios));
+    };
+
+    useEffect(() => {
+        setSavedScenarios(getStoredScenarios());
+    }, []);
+
+    const handleSaveScenario = useCallback(() => {
+        if (!scenarioName) { alert("Please enter a scenario name."); return; }
+        // UPDATED: Save all inputs including cash flow, retirement, and break-even
+        const scenarioData = {
+            filingStatus, taxYear, inflationRate, realDollars, income, spouseIncome, twoEarners, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+            selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs, withholdingInputs, affordabilityInputs
+        };
+        const updatedScenarios = { ...getStoredScenarios(), [scenarioName]: scenarioData };
+        saveScenarios(updatedScenarios);
+        setSavedScenarios(updatedScenarios);
+        alert(`Scenario "${scenarioName}" saved!`);
+        setScenarioName("");
+    }, [scenarioName, filingStatus, taxYear, inflationRate, realDollars, income, spouseIncome, twoEarners, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs, withholdingInputs, affordabilityInputs]);
+
+    const handleLoadScenario = useCallback((name) => {
+        const scenario = savedScenarios[name];
+        if (scenario) {
+            setFilingStatus(scenario.filingStatus ?? 'mfj');
+            setTaxYear(scenario.taxYear ?? DEFAULT_TAX_YEAR);
+            setInflationRate(scenario.inflationRate ?? DEFAULT_INFLATION_RATE);
+            setRealDollars(scenario.realDollars ?? false);
+            setIncome(scenario.income ?? 250000);
+            setTwoEarners(scenario.twoEarners ?? false);
+            setSpouseIncome(scenario.spouseIncome ?? 0);
+            setStGains(scenario.stGains ?? 5000);
+            setLtGains(scenario.ltGains ?? 10000);
+            setSelfEmploymentIncome(scenario.selfEmploymentIncome ?? 0);
+            setSePlan(scenario.sePlan ?? 'none');
+            setSePlanContribution(scenario.sePlanContribution ?? 0);
+            setEquityComp({ ...DEFAULT_EQUITY_COMP, isoSpread: scenario.isoBargainElement ?? 0, ...scenario.equityComp });
+            setDependents(scenario.dependents ?? []);
+            setDependentCareExpenses(scenario.dependentCareExpenses ?? 0);
+            setHsa(scenario.hsa ?? 8300);
+            setK401(scenario.k401 ?? 46000);
+            setRoth401k(scenario.roth401k ?? 0);
+            setAfterTax401k(scenario.afterTax401k ?? 0);
+            setMedicalPremiums(scenario.medicalPremiums ?? 6000);
+            setOtherItemized(scenario.otherItemized ?? 5000);
+            setSelectedStates(scenario.selectedStates ?? ['California', 'Texas']);
+            setStateInputs(scenario.stateInputs ?? {});
+            // UPDATED: Load cash flow, retirement, and break-even inputs
+            setCashFlowInputs(scenario.cashFlowInputs ?? {});
+            setRetirementInputs(prev => ({ ...prev, ...(scenario.retirementInputs || {}) }));
+            setBreakEvenInputs(prev => ({ ...prev, ...(scenario.breakEvenInputs || {}) }));
+            setWithholdingInputs(prev => ({ ...prev, ...(scenario.withholdingInputs || {}) }));
+            setAffordabilityInputs(prev => ({ ...prev, ...(scenario.affordabilityInputs || {}) }));
+            setSelectedScenario(name);
+        }
+    }, [savedScenarios]);
+
+    const handleDeleteScenario = useCallback(() => {
+        if (!selectedScenario || !window.confirm(`Are you sure you want to delete the scenario "${selectedScenario}"?`)) return;
+        const updatedScenarios = { ...getStoredScenarios() };
+        delete updatedScenarios[selectedScenario];
+        saveScenarios(updatedScenarios);
+        setSavedScenarios(updatedScenarios);
+        alert(`Scenario "${selectedScenario}" deleted.`);
+        setSelectedScenario("");
+    }, [selectedScenario]);
+
+    const handleUpdateScenario = useCallback(() => {
+        if (!selectedScenario) {
+            alert("Please select a scenario to update.");
+            return;
+        }
+        // UPDATED: Update with all inputs including break-even
+        const scenarioData = {
+            filingStatus, taxYear, inflationRate, realDollars, income, spouseIncome, twoEarners, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+            selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs, withholdingInputs, affordabilityInputs
+        };
+        const updatedScenarios = { ...getStoredScenarios(), [selectedScenario]: scenarioData };
+        saveScenarios(updatedScenarios);
+        setSavedScenarios(updatedScenarios);
+        alert(`Scenario "${selectedScenario}" updated!`);
+    }, [selectedScenario, filingStatus, taxYear, inflationRate, realDollars, income, spouseIncome, twoEarners, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs, retirementInputs, breakEvenInputs, withholdingInputs, affordabilityInputs]);
+
+    const handleStateInputChange = useCallback((state, field, value) => {
+        setStateInputs(prev => ({ ...prev, [state]: { ...(prev[state] || {}), [field]: value } }));
+    }, []);
+
+    const handleEquityCompChange = useCallback((field, value) => {
+        setEquityComp(prev => ({ ...prev, [field]: value }));
+    }, []);
+
+    // Resizing keeps existing ages; new dependents start as young children
+    const handleDependentCountChange = useCallback((count) => {
+        setDependents(prev => Array.from({ length: Number(count) }, (_, i) => prev[i] ?? 5));
+    }, []);
+    const handleDependentAgeChange = useCallback((index, age) => {
+        setDependents(prev => prev.map((prevAge, i) => (i === index ? age : prevAge)));
+    }, []);
+
+    const handleWithholdingInputChange = useCallback((field, value) => {
+        setWithholdingInputs(prev => ({ ...prev, [field]: value }));
+    }, []);
+    const handleAffordabilityInputChange = useCallback((field, value) => {
+        setAffordabilityInputs(prev => ({ ...prev, [field]: value }));
+    }, []);
+    const handleW4Change = useCallback((index, field, value) => {
+        setWithholdingInputs(prev => ({ ...prev, w4: prev.w4.map((w4, i) => (i === index ? { ...w4, [field]: value } : w4)) }));
+    }, []);
+
+    // NEW: Handler for cash flow inputs
+    const handleCashFlowInputChange = useCallback((state, field, value) => {
+        setCashFlowInputs(prev => ({ ...prev, [state]: { ...(prev[state] || {}), [field]: value } }));
+    }, []);
+
+    // NEW: Handlers for lifted retirement state
+    const handleRetirementInputChange = useMemo(() => ({
+        setPortfolioGrowthRate: (val) => setRetirementInputs(p => ({ ...p, portfolioGrowthRate: val })),
+        setCurrentAge: (val) => setRetirementInputs(p => ({ ...p, currentAge: val })),
+        setRetirementAge: (val) => setRetirementInputs(p => ({ ...p, retirementAge: val })),
+        setCurrentAssets: (val) => setRetirementInputs(p => ({ ...p, currentAssets: val })),
+        setBaseAnnualSavings: (val) => setRetirementInputs(p => ({ ...p, baseAnnualSavings: val })),
+        setFiNumber: (val) => setRetirementInputs(p => ({ ...p, fiNumber: val })),
+        setSwr: (val) => setRetirementInputs(p => ({ ...p, swr: val })),
+        setMonteCarloEnabled: (val) => setRetirementInputs(p => ({ ...p, monteCarloEnabled: val })),
+        setMeanReturn: (val) => setRetirementInputs(p => ({ ...p, meanReturn: val })),
+        setReturnVolatility: (val) => setRetirementInputs(p => ({ ...p, returnVolatility: val })),
+        setMonteCarloTrials: (val) => setRetirementInputs(p => ({ ...p, monteCarloTrials: val })),
+        setStockAllocation: (val) => setRetirementInputs(p => ({ ...p, stockAllocation: val })),
+        setRetirementState: (val) => setRetirementInputs(p => ({ ...p, retirementState: val })),
+        setRetirementIncome: (val) => setRetirementInputs(p => ({ ...p, retirementIncome: val })),
+        setTaxableGainsTaxRate: (val) => setRetirementInputs(p => ({ ...p, taxableGainsTaxRate: val })),
+        setTraditionalBalance: (val) => setRetirementInputs(p => ({ ...p, traditionalBalance: val })),
+        setConversionTargetRate: (val) => setRetirementInputs(p => ({ ...p, conversionTargetRate: val })),
+        setConversionEndAge: (val) => setRetirementInputs(p => ({ ...p, conversionEndAge: val })),
+        setRothBalance: (val) => setRetirementInputs(p => ({ ...p, rothBalance: val })),
+        setTaxableBalance: (val) => setRetirementInputs(p => ({ ...p, taxableBalance: val })),
+        setTaxableBasisShare: (val) => setRetirementInputs(p => ({ ...p, taxableBasisShare: val })),
+        setSocialSecurityBenefit: (val) => setRetirementInputs(p => ({ ...p, socialSecurityBenefit: val })),
+        setSocialSecurityAge: (val) => setRetirementInputs(p => ({ ...p, socialSecurityAge: val })),
+        setWithdrawalStrategy: (val) => setRetirementInputs(p => ({ ...p, withdrawalStrategy: val })),
+    }), []);
+
+    // NEW: Handlers for break-even analysis inputs
+    const handleBreakEvenInputChange = useMemo(() => ({
+        setAnnualAppreciationRate: (val) => setBreakEvenInputs(p => ({ ...p, annualAppreciationRate: val })),
+        setClosingCostsBuying: (val) => setBreakEvenInputs(p => ({ ...p, closingCostsBuying: val })),
+        setClosingCostsSelling: (val) => setBreakEvenInputs(p => ({ ...p, closingCostsSelling: val })),
+        setAnalysisYears: (val) => setBreakEvenInputs(p => ({ ...p, analysisYears: val })),
+        setPropertyTaxRate: (val) => setBreakEvenInputs(p => ({ ...p, propertyTaxRate: val })),
+        setMaintenanceRate: (val) => setBreakEvenInputs(p => ({ ...p, maintenanceRate: val })),
+        setRentGrowthRate: (val) => setBreakEvenInputs(p => ({ ...p, rentGrowthRate: val })),
+        setInvestmentReturn: (val) => setBreakEvenInputs(p => ({ ...p, investmentReturn: val })),
+        setInvestmentTaxDrag: (val) => setBreakEvenInputs(p => ({ ...p, investmentTaxDrag: val })),
+    }), []);
+
+    const handleStateSelection = useCallback((state) => {
+        setSelectedStates(prevSelectedStates => {
+            const newSelectedStates = prevSelectedStates.includes(state)
+                ? prevSelectedStates.filter(s => s !== state)
+                : [...prevSelectedStates, state];
+
+            if (!stateInputs[state]) {
+                setStateInputs(prev => ({
+                    ...prev,
+                    [state]: { purchasePrice: 625000, downPayment: 20, mortgageRate: 6.0, propertyTax: 7000, homeInsurance: 1200, localTaxRate: 0, monthlyRent: 2000 }
+                }));
+            }
+
+            return newSelectedStates;
+        });
+    }, [stateInputs]);
+
+    // --- CALCULATION LOGIC ---
+    // Wages per earner; a second entry only for married-filing-jointly households with two earners
+    const wagesByEarner = useMemo(() => (
+        filingStatus === 'mfj' && twoEarners
+            ? [Number(income) || 0, Number(spouseIncome) || 0]
+            : [Number(income) || 0]
+    ), [filingStatus, twoEarners, income, spouseIncome]);
+
+    // Ordinary vs. capital-gain split of the equity inputs, shown under the section
+    const equitySummary = useMemo(() => {
+        const summary = summarizeEquityComp(equityComp);
+        return Object.values(summary).some(amount => amount !== 0) ? summary : null;
+    }, [equityComp]);
+
+    // Plan limit for the selected self-employed plan, shown next to the contribution input
+    const retirementPlanLimits = useMemo(
+        () => getFederalTaxTables(filingStatus, taxYear, inflationRate).retirementPlanLimits,
+        [filingStatus, taxYear, inflationRate]);
+
+    const sePlanLimit = useMemo(() => {
+        const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+        const seIncome = Number(selfEmploymentIncome) || 0;
+        const { deductibleSeTax } = calculateFicaTax(wagesByEarner, federalTables, seIncome);
+        return calculateSelfEmployedPlanLimit({ sePlan, selfEmploymentIncome: seIncome, deductibleSeTax, w2Deferrals: (Number(k401) || 0) + (Number(roth401k) || 0), federalTables });
+    }, [filingStatus, taxYear, inflationRate, selfEmploymentIncome, wagesByEarner, sePlan, k401, roth401k]);
+
+    const resultsByState = useMemo(() => calculateStateResults({
+        filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs,
+    }), [filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs]);
+
+    // Wages alone, for paycheck withholding
+    const wageOnlyResults = useMemo(() => calculateStateResults({
+        filingStatus, taxYear, inflationRate, wagesByEarner, stGains: 0, ltGains: 0, selfEmploymentIncome: 0, sePlan: 'none', sePlanContribution: 0, equityComp: null, dependents, dependentCareExpenses, hsa, k401, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs,
+    }), [filingStatus, taxYear, inflationRate, wagesByEarner, dependents, dependentCareExpenses, hsa, k401, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs]);
+
+    // Same calculation for a later year: that year's indexed brackets and year of the mortgage
+    const projectResults = useCallback((yearOffset) => calculateStateResults({
+        filingStatus, taxYear: Number(taxYear) + yearOffset, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp,
+        dependents: dependents.map(age => Number(age) + yearOffset), dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates, stateInputs, cashFlowInputs, mortgageYear: 1 + yearOffset,
+    }), [filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs]);
+
+    // One state in a later year, optionally with extra long-term gains (a home sale)
+    const projectStateResults = useCallback((state, yearOffset, extraLongTermGains = 0) => calculateStateResults({
+        filingStatus, taxYear: Number(taxYear) + yearOffset, inflationRate, wagesByEarner, stGains, ltGains: (Number(ltGains) || 0) + extraLongTermGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp,
+        dependents: dependents.map(age => Number(age) + yearOffset), dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates: [state], stateInputs, cashFlowInputs, mortgageYear: 1 + yearOffset,
+    })[state], [filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized, stateInputs, cashFlowInputs]);
+
+    // One state with different housing inputs, for the affordability solver
+    const resultsForHousing = useCallback((state, housingInputs) => calculateStateResults({
+        filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized,
+        selectedStates: [state], stateInputs: { ...stateInputs, [state]: housingInputs }, cashFlowInputs,
+    })[state], [filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, k401, roth401k, afterTax401k, medicalPremiums, otherItemized, stateInputs, cashFlowInputs]);
+
+    // Same calculation with a different traditional/Roth split of 401(k) deferrals
+    const resultsForContributions = useCallback((traditional, roth) => calculateStateResults({
+        filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa,
+        k401: traditional, roth401k: roth, afterTax401k, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs,
+    }), [filingStatus, taxYear, inflationRate, wagesByEarner, stGains, ltGains, selfEmploymentIncome, sePlan, sePlanContribution, equityComp, dependents, dependentCareExpenses, hsa, afterTax401k, medicalPremiums, otherItemized, selectedStates, stateInputs, cashFlowInputs]);
+
+    // PATCH: Add per-year interest and take-home impact data for state cards, including state tax impact, and collapsible UI
+    const perStateInterestSchedules = useMemo(() => {
+        const schedules = {};
+        const federalTables = getFederalTaxTables(filingStatus, taxYear, inflationRate);
+        selectedStates.forEach(state => {
+            const currentStateInputs = stateInputs[state] || {};
+            const loan = getLoanTerms(currentStateInputs);
+            const propertyTaxVal = Number(currentStateInputs.propertyTax) || 0;
+            const agi = resultsByState[state]?.agi || 0;
+            const otherItemizedVal = Number(otherItemized) || 0;
+            const cappedSalt = resultsByState[state]?.itemized?.salt || 0;
+            const k401Ded = Number(k401) || 0;
+            const hsaDed = Number(hsa) || 0;
+            const medicalDed = Number(medicalPremiums) || 0;
+            const ficaTax = resultsByState[state]?.ficaTax || 0;
+            const stateTax = resultsByState[state]?.stateTax || 0;
+            const stateAmt = resultsByState[state]?.stateAmt || 0;
+            const amtPreferences = resultsByState[state]?.equity?.amtPreference || 0;
+            const sdiTax = resultsByState[state]?.sdiTax || 0;
+            const localTax = resultsByState[state]?.localTax || 0;
+            const shortTermGains = resultsByState[state]?.shortTermGains || 0;
+            const longTermGains = resultsByState[state]?.longTermGains || 0;
+            const totalIncome = resultsByState[state]?.totalIncome || 0;
+            const origMonthlyTakeHome = resultsByState[state]?.monthlyTakeHome || 0;
+            const localTaxRateVal = Number(currentStateInputs.localTaxRate) / 100 || 0;
+            const stateEngineInputs = {
+                state, filingStatus, taxYear, inflationRate, wagesByEarner: resultsByState[state]?.wagesByEarner || [], agi, hsaDed, k401Ded,
+                shortTermGains, longTermGains, localTaxRate: localTaxRateVal, amtPreferences, dependents,
+                loan,
+                propertyTax: propertyTaxVal, otherItemized: otherItemizedVal,
+            };
+            // Deduction limit
+            const schedule = getInterestSchedule({ loan, years: 10, debtLimit: federalTables.mortgageDebtLimit });
+            const refinance = getRefinanceTerms(currentStateInputs);
+            const refinanceLoan = refinance && buildRefinanceLoan(loan, refinance);
+            const refinanceSchedule = refinanceLoan ? getInterestSchedule({ loan: refinanceLoan, years: 10, debtLimit: federalTables.mortgageDebtLimit }) : [];
+            // Change in avg. monthly take-home vs. year 1 given a year's deductible interest and state engine result
+            const takeHomeImpact = (thisYearInterest, yearState) => {
+                // New deduction: interest from this year + cappedSalt + otherItemized
+                const newDeduction = thisYearInterest + cappedSalt + otherItemizedVal;
+                // Get the new monthly take-home with this deduction and compute $ impact
+                const newMonthlyTakeHome = calcMonthlyTakeHomeDelta({
+                    itemizedDeductions: newDeduction,
+                    agi,
+                    totalIncome,
+                    shortTermGains,
+                    longTermGains,
+                    k401Ded,
+                    hsaDed,
+                    medicalDed,
+                    ficaTax,
+                    stateTax,
+                    stateAmt,
+                    sdiTax,
+                    localTax,
+                    cappedSalt,
+                    amtPreferences,
+                    filingStatus,
+                    dependents,
+                    dependentCareExpenses,
+                    earnedIncome: resultsByState[state]?.earnedIncome || 0,
+                    qualifiedBusinessIncome: resultsByState[state]?.qualifiedBusinessIncome || 0,
+                    selfEmploymentTax: resultsByState[state]?.selfEmploymentTax || 0,
+                    sePlanDed: resultsByState[state]?.sePlanDed || 0,
+                    postTaxContributions: resultsByState[state]?.postTaxContributions || 0,
+                    federalTables,
+                });
+                const stateTaxDelta = (stateTax + stateAmt - yearState.stateTax - yearState.stateAmt) / 12;
+                // The net dollar impact is both federal and state
+                return newMonthlyTakeHome - origMonthlyTakeHome + stateTaxDelta;
+            };
+            // For years 2-10 only
+            const yearRows = [];
+            for (let y = 2; y <= 10; ++y) {
+                const thisYearInterest = schedule[y - 1]?.interest || 0;
+                // State impact: rerun the state engine with this year's interest (itemizing may drop below the standard deduction)
+                const yearRow = {
+                    year: y,
+                    interest: thisYearInterest,
+                    impact: takeHomeImpact(thisYearInterest, calculateStateTax({ ...stateEngineInputs, mortgageYear: y })),
+                };
+                // Same year with the refinanced loan instead
+                if (refinanceLoan && y >= refinance.year) {
+                    yearRow.refinanceInterest = refinanceSchedule[y - refinance.year]?.interest || 0;
+                    yearRow.refinanceImpact = takeHomeImpact(yearRow.refinanceInterest,
+                        calculateStateTax({ ...stateEngineInputs, loan: refinanceLoan, mortgageYear: y - refinance.year + 1 }));
+                }
+                yearRows.push(yearRow);
+            }
+            schedules[state] = yearRows;
+        });
+        return schedules;
+    }, [filingStatus, taxYear, inflationRate, selectedStates, stateInputs, resultsByState, otherItemized, k401, hsa, medicalPremiums, dependents, dependentCareExpenses]);
+
+    const toggleRow = (key) => {
+        setExpandedRows(prev => ({ ...prev, [key]: !prev[key] }));
+    };
+
+    // For your original summary/metric table
+    const metrics = [
+        { key: 'annualTakeHome', label: 'Annual Take-Home' },
+        { key: 'monthlyTakeHome', label: 'Avg. Monthly Take-Home' },
+        { key: 'monthlyHousingCost', label: 'Est. Monthly Housing (PITI)' },
+        { key: 'monthlyNetCash', label: 'Monthly Net After Housing' },
+        { key: 'monthlyNetSavings', label: 'Final Monthly Net Savings' }, // NEW
+        { key: 'totalTaxBurden', label: 'Total Tax Burden', expandable: true },
+        { key: 'agi', label: 'Adjusted Gross Income' },
+        { key: 'federalTaxableIncome', label: 'Federal Taxable Income' },
+        { key: 'stateTaxableIncome', label: 'State Taxable Income' },
+        { key: 'deductionToUse', label: 'Total Fed Deduction', expandable: true },
+        { key: 'totalSaltPaid', label: 'Total SALT Paid (Uncapped)', expandable: true },
+        ...(equitySummary ? [{ key: 'equity.withholdingShortfall', label: 'Equity Withholding Shortfall' }] : []),
+    ];
+
+    return (
+        <div className="bg-gray-50 min-h-screen font-sans p-2 sm:p-6 lg:p-8">
+            <div className="max-w-screen-2xl mx-auto">
+                <header className="mb-8 text-center">
+                    <h1 className="text-3xl sm:text-4xl font-bold text-gray-800">{taxYear} Tax & Retirement Comparator</h1>
+                </header>
+                <div className="grid grid-cols-1 lg:grid-cols-12 gap-8">
+                    {/* Left Input Pane */}
+                    <div className="lg:col-span-4 xl:col-span-3 bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                        <div className="space-y-5">
+                            <div className="p-4 border border-indigo-200 bg-indigo-50 rounded-lg">
+                                <h3 className="text-xl font-semibold text-indigo-800 mb-3">Scenario Management</h3>
+                                <div className="space-y-3">
+                                    <InputField label="New Scenario Name" type="text" value={scenarioName} onChange={setScenarioName} placeholder="e.g., High Income CA" />
+                                    <button onClick={handleSaveScenario} className="w-full bg-indigo-600 text-white font-bold py-2 px-4 rounded-md hover:bg-indigo-700 transition">Save Scenario</button>
+                                    <button
+                                        onClick={handleUpdateScenario}
+                                        disabled={!selectedScenario}
+                                        className="w-full bg-yellow-400 text-white font-bold py-2 px-4 rounded-md hover:bg-yellow-500 disabled:bg-yellow-200 transition mt-2"
+                                    >
+                                        Update Selected Scenario
+                                    </button>
+                                    <div className="flex items-center space-x-2">
+                                        <select value={selectedScenario} onChange={(e) => handleLoadScenario(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                            <option value="" disabled>Load a Scenario...</option>
+                                            {Object.keys(savedScenarios).map(name => <option key={name} value={name}>{name}</option>)}
+                                        </select>
+                                        <button onClick={handleDeleteScenario} disabled={!selectedScenario} className="p-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-red-300 transition">
+                                            <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" fill="currentColor" viewBox="0 0 16 16"><path d="M5.5 5.5A.5.5 0 0 1 6 6v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm2.5 0a.5.5 0 0 1 .5.5v6a.5.5 0 0 1-1 0V6a.5.5 0 0 1 .5-.5zm3 .5a.5.5 0 0 0-1 0v6a.5.5 0 0 0 1 0V6z" /><path fillRule="evenodd" d="M14.5 3a1 1 0 0 1-1 1H13v9a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V4h-.5a1 1 0 0 1-1-1V2a1 1 0 0 1 1-1H6a1 1 0 0 1 1-1h2a1 1 0 0 1 1 1h3.5a1 1 0 0 1 1 1v1zM4.118 4 4 4.059V13a1 1 0 0 0 1 1h6a1 1 0 0 0 1-1V4.059L11.882 4H4.118zM2.5 3V2h11v1h-11z" /></svg>
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                            <h2 className="text-2xl font-semibold text-gray-800 border-b pb-3 pt-4">Your Financial Inputs</h2>
+                            <div className="w-full">
+                                <label htmlFor="filingStatusSelect" className="block text-sm font-medium text-gray-700 mb-1">Filing Status</label>
+                                <select id="filingStatusSelect" value={filingStatus} onChange={(e) => setFilingStatus(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                    {FILING_STATUSES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </div>
+                            <div className="grid grid-cols-2 gap-4 items-end">
+                                <div className="w-full">
+                                    <label htmlFor="taxYearSelect" className="block text-sm font-medium text-gray-700 mb-1">Tax Year</label>
+                                    <select id="taxYearSelect" value={taxYear} onChange={(e) => setTaxYear(Number(e.target.value))} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                        {TAX_YEAR_OPTIONS.map(year => <option key={year} value={year}>{year}{year > LATEST_FEDERAL_TAX_YEAR ? ' (projected)' : ''}</option>)}
+                                    </select>
+                                </div>
+                                <InputField label="Inflation" value={inflationRate} onChange={setInflationRate} isRate={true} />
+                            </div>
+                            <div className="w-full">
+                                <label htmlFor="dollarBasisSelect" className="block text-sm font-medium text-gray-700 mb-1">Show Projections In</label>
+                                <select
+                                    id="dollarBasisSelect"
+                                    value={realDollars ? 'real' : 'nominal'}
+                                    onChange={(e) => setRealDollars(e.target.value === 'real')}
+                                    className="w-full p-2 border border-gray-300 rounded-md bg-white"
+                                >
+                                    <option value="nominal">Nominal dollars</option>
+                                    <option value="real">Today's dollars (inflation-adjusted)</option>
+                                </select>
+                            </div>
+                            {filingStatus === 'mfj' && (
+                                <label className="flex items-center space-x-2 cursor-pointer">
+                                    <input type="checkbox" checked={twoEarners} onChange={() => setTwoEarners(prev => !prev)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                                    <span className="text-sm font-medium text-gray-700">Two earners (enter wages per spouse)</span>
+                                </label>
+                            )}
+                            {filingStatus === 'mfj' && twoEarners ? (
+                                <>
+                                    <InputField label="Your Wages" value={income} onChange={setIncome} placeholder="e.g., 150000" />
+                                    <InputField label="Spouse Wages" value={spouseIncome} onChange={setSpouseIncome} placeholder="e.g., 100000" />
+                                </>
+                            ) : (
+                                <InputField label={filingStatus === 'mfj' ? 'Combined Annual Income' : 'Annual Income'} value={income} onChange={setIncome} placeholder="e.g., 250000" />
+                            )}
+                            <InputField label="Short-Term Capital Gains" value={stGains} onChange={setStGains} placeholder="e.g., 5000" />
+                            <InputField label="Long-Term Capital Gains" value={ltGains} onChange={setLtGains} placeholder="e.g., 10000" />
+                            <InputField label="Self-Employment (1099) Net Profit" value={selfEmploymentIncome} onChange={setSelfEmploymentIncome} placeholder="e.g., 40000" />
+                            {Number(selfEmploymentIncome) > 0 && (
+                                <div className="grid grid-cols-2 gap-4 items-end">
+                                    <div className="w-full">
+                                        <label htmlFor="sePlanSelect" className="block text-sm font-medium text-gray-700 mb-1">Self-Employed Plan</label>
+                                        <select id="sePlanSelect" value={sePlan} onChange={(e) => setSePlan(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                            {SE_PLAN_OPTIONS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                                        </select>
+                                    </div>
+                                    {sePlan !== 'none' && (
+                                        <InputField label={`Contribution (max ${formatCurrency(sePlanLimit)})`} value={sePlanContribution} onChange={setSePlanContribution} placeholder="e.g., 10000" />
+                                    )}
+                                </div>
+                            )}
+                            <h3 className="text-xl font-semibold text-gray-700 pt-4 border-t mt-4">Equity Compensation</h3>
+                            <div className="grid grid-cols-2 gap-4">
+                                <InputField label="RSU Vest Income" value={equityComp.rsuVestIncome} onChange={(val) => handleEquityCompChange('rsuVestIncome', val)} placeholder="e.g., 80000" />
+                                <InputField label="NSO Exercise Spread" value={equityComp.nsoSpread} onChange={(val) => handleEquityCompChange('nsoSpread', val)} placeholder="e.g., 20000" />
+                            </div>
+                            <InputField label="ISO Exercise Spread (Held, AMT Only)" value={equityComp.isoSpread} onChange={(val) => handleEquityCompChange('isoSpread', val)} placeholder="e.g., 50000" />
+                            <div className="grid grid-cols-2 gap-4 items-end">
+                                <InputField label="ESPP Purchase Cost" value={equityComp.esppPurchaseCost} onChange={(val) => handleEquityCompChange('esppPurchaseCost', val)} placeholder="e.g., 8500" />
+                                <InputField label="ESPP Sale Proceeds" value={equityComp.esppSaleProceeds} onChange={(val) => handleEquityCompChange('esppSaleProceeds', val)} placeholder="e.g., 12000" />
+                                <InputField label="FMV at Offering Date" value={equityComp.esppOfferingFmv} onChange={(val) => handleEquityCompChange('esppOfferingFmv', val)} placeholder="e.g., 10000" />
+                                <InputField label="FMV at Purchase Date" value={equityComp.esppPurchaseFmv} onChange={(val) => handleEquityCompChange('esppPurchaseFmv', val)} placeholder="e.g., 11000" />
+                                <InputField label="ESPP Discount" value={equityComp.esppDiscountRate} onChange={(val) => handleEquityCompChange('esppDiscountRate', val)} isRate={true} />
+                                <div className="w-full">
+                                    <label htmlFor="esppDispositionSelect" className="block text-sm font-medium text-gray-700 mb-1">ESPP Sale</label>
+                                    <select id="esppDispositionSelect" value={equityComp.esppDisposition} onChange={(e) => handleEquityCompChange('esppDisposition', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                        {ESPP_DISPOSITIONS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                                    </select>
+                                </div>
+                            </div>
+                            {equitySummary && (
+                                <p className="text-xs text-gray-500">
+                                    Ordinary: {formatCurrency(equitySummary.supplementalWages + equitySummary.esppOrdinaryIncome)} · Short-term: {formatCurrency(equitySummary.shortTermGains)} · Long-term: {formatCurrency(equitySummary.longTermGains)} · AMT preference: {formatCurrency(equitySummary.amtPreference)}
+                                </p>
+                            )}
+                            <h3 className="text-xl font-semibold text-gray-700 pt-4 border-t mt-4">Dependents & Credits</h3>
+                            <div className="w-full">
+                                <label htmlFor="dependentCountSelect" className="block text-sm font-medium text-gray-700 mb-1">Number of Dependents</label>
+                                <select id="dependentCountSelect" value={dependents.length} onChange={(e) => handleDependentCountChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md bg-white">
+                                    {[0, 1, 2, 3, 4, 5, 6].map(count => <option key={count} value={count}>{count}</option>)}
+                                </select>
+                            </div>
+                            {dependents.length > 0 && (
+                                <div className="grid grid-cols-3 gap-2">
+                                    {dependents.map((age, i) => (
+                                        <div key={i}>
+                                            <label className="block text-xs font-medium text-gray-600 mb-1">Age #{i + 1}</label>
+                                            <input type="number" value={age} onChange={(e) => handleDependentAgeChange(i, e.target.value)} className="w-full px-2 py-1 text-sm bg-gray-50 border border-gray-300 rounded-md shadow-sm" />
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <InputField label="Annual Child Care Expenses" value={dependentCareExpenses} onChange={setDependentCareExpenses} placeholder="e.g., 6000" />
+                            <h3 className="text-xl font-semibold text-gray-700 pt-4 border-t mt-4">Pre-Tax Deductions</h3>
+                            <InputField label="Traditional 401(k) Contributions" value={k401} onChange={setK401} placeholder="e.g., 46000" />
+                            <InputField label="Roth 401(k) Contributions (after-tax)" value={roth401k} onChange={setRoth401k} placeholder="e.g., 0" />
+                            <InputField label="After-Tax 401(k) (Mega-Backdoor)" value={afterTax401k} onChange={setAfterTax401k} placeholder="e.g., 0" />
+                            <p className="text-xs text-gray-500">
+                                Traditional and Roth share the {formatCurrency(retirementPlanLimits.electiveDeferral)} elective deferral limit per earner;
+                                after-tax contributions fill the rest of the {formatCurrency(retirementPlanLimits.annualAdditions)} annual additions limit.
+                            </p>
+                            <InputField label="HSA Contributions" value={hsa} onChange={setHsa} placeholder="e.g., 8300" />
+                            <InputField label="Annual Medical Premiums" value={medicalPremiums} onChange={setMedicalPremiums} placeholder="e.g., 6000" />
+                            <InputField label="Other Itemized (Charity, etc.)" value={otherItemized} onChange={setOtherItemized} placeholder="e.g., 5000" />
+                            <div className="w-full pt-4 border-t mt-4">
+                                <label className="block text-sm font-medium text-gray-700 mb-2">Compare States of Residence</label>
+                                <div className="grid grid-cols-2 gap-2 max-h-80 overflow-y-auto">
+                                    {Object.keys(STATE_TAX_DATA).map(s => <StateCheckbox key={s} state={s} isSelected={selectedStates.includes(s)} onChange={handleStateSelection} />)}
+                                </div>
+                                <div className="mt-4">
+                                    <label className="flex items-center space-x-2 p-2 rounded-md hover:bg-gray-100 cursor-pointer">
+                                        <input type="checkbox" checked={showRentScenario} onChange={() => setShowRentScenario(prev => !prev)} className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500" />
+                                        <span className="text-sm font-medium text-gray-800">Show Rent Scenario</span>
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    {/* Main Section */}
+                    <div className="lg:col-span-8 xl:col-span-9 space-y-8">
+                        <div className="border-b border-gray-200">
+                            <nav className="-mb-px flex space-x-2 sm:space-x-6">
+                                <TabButton label="State Comparison" isActive={activeView === 'comparison'} onClick={() => setActiveView('comparison')} />
+                                <TabButton label="Cash Flow" isActive={activeView === 'cashflow'} onClick={() => setActiveView('cashflow')} />
+                                <TabButton label="Affordability" isActive={activeView === 'affordability'} onClick={() => setActiveView('affordability')} />
+                                <TabButton label="Paychecks" isActive={activeView === 'paychecks'} onClick={() => setActiveView('paychecks')} />
+                                <TabButton label="Withholding" isActive={activeView === 'withholding'} onClick={() => setActiveView('withholding')} />
+                                <TabButton label="Estimated Taxes" isActive={activeView === 'estimated'} onClick={() => setActiveView('estimated')} />
+                                <TabButton label="Retirement Analysis" isActive={activeView === 'retirement'} onClick={() => setActiveView('retirement')} />
+                                <TabButton label="Roth vs. Traditional" isActive={activeView === 'contributions'} onClick={() => setActiveView('contributions')} />
+                                <TabButton label="Break-Even Analysis" isActive={activeView === 'breakeven'} onClick={() => setActiveView('breakeven')} />
+                            </nav>
+                        </div>
+
+                        {activeView === 'comparison' && (
+                            <>
+                                {/* --- Original Main Comparison Table --- */}
+                                <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                                    <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">State Comparison Summary (Buy Scenario)</h2>
+                                    <div className="overflow-x-auto">
+                                        <table className="min-w-full divide-y divide-gray-200">
+                                            <thead className="bg-gray-50">
+                                                <tr>
+                                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Metric</th>
+                                                    {selectedStates.map(state => <th key={state} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{state}</th>)}
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {metrics.map((metric) => (
+                                                    <React.Fragment key={metric.key}>
+                                                        <tr className={expandedRows[metric.key] ? 'bg-indigo-50' : (metrics.indexOf(metric) % 2 === 0 ? 'bg-white' : 'bg-gray-50')}>
+                                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                                                                {metric.expandable && (
+                                                                    <button onClick={() => toggleRow(metric.key)} className="mr-2 text-indigo-600">
+                                                                        {expandedRows[metric.key] ? '[-]' : '[+]'}
+                                                                    </button>
+                                                                )}
+                                                                {metric.label}
+                                                            </td>
+                                                            {selectedStates.map(state => (
+                                                                <td key={state} className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">
+                                                                    {metric.key === 'delta'
+                                                                        ? formatCurrency((resultsByState[state]?.monthlyNetCash ?? 0) - (resultsByState[state]?.rent?.monthlyNetCash ?? 0))
+                                                                        : metric.key.includes('.')
+                                                                            ? formatCurrency(metric.key.split('.').reduce((a, b) => a?.[b], resultsByState[state]))
+                                                                            : formatCurrency(resultsByState[state]?.[metric.key])}
+                                                                </td>
+                                                            ))}
+                                                        </tr>
+                                                        {metric.expandable && expandedRows[metric.key] && (
+                                                            <>
+                                                                {metric.key === 'totalTaxBurden' && (
+                                                                    <>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Federal Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.federalIncomeTax)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Federal AMT</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.federalAmt)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Child Tax Credit</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(-(resultsByState[s]?.childTaxCredit || 0))}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Child & Dependent Care Credit</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(-(resultsByState[s]?.dependentCareCredit || 0))}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">NIIT</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.niit)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">FICA</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.ficaTax)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Self-Employment Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.selfEmploymentTax)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.stateTaxBeforeCredits)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State AMT</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.stateAmt)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State Exemption Credits</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(-(resultsByState[s]?.stateExemptionCredits || 0))}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State Child Credits</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(-(resultsByState[s]?.stateChildCredits || 0))}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Local Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.localTax)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">State SDI / Paid Leave</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.sdiTax)}</td>)}</tr>
+                                                                    </>
+                                                                )}
+                                                                {metric.key === 'deductionToUse' && (
+                                                                    <>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">Itemized Total</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.itemized.mortgageInterest + resultsByState[s]?.itemized.salt + resultsByState[s]?.itemized.other)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">Mortgage Interest</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.mortgageInterest)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">
+                                                                            <button onClick={() => toggleRow('saltDetail')} className="mr-2 text-indigo-600 text-xs">{expandedRows['saltDetail'] ? '[-]' : '[+]'}</button>
+                                                                            SALT (Capped)
+                                                                        </td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.salt)}</td>)}</tr>
+                                                                        {expandedRows['saltDetail'] && (
+                                                                            <>
+                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">State Income Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.itemized.stateIncomeTax)}</td>)}</tr>
+                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">Property Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.itemized.propertyTax)}</td>)}</tr>
+                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">Local Tax</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.localTax)}</td>)}</tr>
+                                                                                <tr className="bg-gray-200"><td className="pl-20 pr-4 py-1 text-xs text-gray-500">State SDI / Paid Leave</td>{selectedStates.map(s => <td key={s} className="px-4 py-1 text-right font-mono text-xs">{formatCurrency(resultsByState[s]?.itemized.payrollTax)}</td>)}</tr>
+                                                                            </>
+                                                                        )}
+                                                                        <tr className="bg-gray-100"><td className="pl-16 pr-4 py-2 text-sm text-gray-500">Other</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.itemized.other)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">Itemized Limitation (37% Bracket)</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(-(resultsByState[s]?.itemized.limitation || 0))}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">QBI Deduction (Below the Line)</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.qbiDeduction)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">State Standard</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.stateStandardDed)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600 font-semibold">State Personal Exemption</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm font-semibold">{formatCurrency(resultsByState[s]?.stateExemption)}</td>)}</tr>
+                                                                    </>
+                                                                )}
+                                                                {metric.key === 'totalSaltPaid' && (
+                                                                    <>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Federal SALT Cap (After Phase-Down)</td>{selectedStates.map(s => <td key={s} className="px-4 py-2 text-right font-mono text-sm">{formatCurrency(resultsByState[s]?.saltCap)}</td>)}</tr>
+                                                                        <tr className="bg-gray-100"><td className="pl-12 pr-4 py-2 text-sm text-gray-600">Cap Lost to MAGI Phase-Down</td>{selectedStates.map(s => <td key={s} className={`px-4 py-2 text-right font-mono text-sm ${resultsByState[s]?.saltCapLost > 0 ? 'text-red-700' : ''}`}>{formatCurrency(resultsByState[s]?.saltCapLost)}</td>)}</tr>
+                                                                    </>
+                                                                )}
+                                                            </>
+                                                        )}
+                                                    </React.Fragment>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                    {selectedStates.length === 0 && (<div className="text-center py-10 text-gray-500"><p>Please select one or more states to see a comparison.</p></div>)}
+                                </div>
+
+                                {/* --- State-specific Details Panel --- */}
+                                <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
+                                    <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">State-Specific Housing & Local Inputs</h2>
+                                    <div className="flex overflow-x-auto space-x-4 pb-4 -mx-4 sm:-mx-6 px-4 sm:px-6">
+                                        {selectedStates.map(state => {
+                                            const isExpanded = expandedSchedules[state] || false;
+                                            const showLoanOptions = expandedLoanOptions[state] || false;
+                                            const showRefinance = expandedRefinance[state] || false;
+                                            const purchase = getHomePurchase(stateInputs[state]);
+                                            const loan = getLoanTerms(stateInputs[state]);
+                                            const displaySchedule = getInterestSchedule({ loan, years: 10 });
+                                            const refinance = showRefinance ? getRefinanceTerms(stateInputs[state]) : null;
+                                            const refinanceAnalysis = refinance && analyzeRefinance(loan, refinance);
+                                            // Take-home effect of the refinance through the interest deduction, years refinanced through 10
+                                            const refinanceRows = (perStateInterestSchedules[state] || []).filter(row => row.refinanceImpact != null);
+                                            return (
+                                                <div key={state} className="p-4 border border-gray-200 rounded-lg flex-shrink-0 w-64 sm:w-72 bg-gray-50 shadow-sm">
+                                                    <h4 className="text-lg font-semibold text-indigo-700 text-center">{state}</h4>
+                                                    <p className="text-xs text-gray-500 mb-4 text-center">{STATE_TAX_DATA[state]?.taxYear} tax data · {STATE_TAX_DATA[state]?.source}</p>
+                                                    <div className="space-y-3">
+                                                        <div>
+                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Purchase Price</label>
+                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.purchasePrice ?? (purchase.purchasePrice || '')} onChange={(e) => handleStateInputChange(state, 'purchasePrice', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                        </div>
+                                                        <div>
+                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Down Payment</label>
+                                                            <div className="flex gap-2">
+                                                                <input type="number" value={stateInputs[state]?.downPayment ?? DEFAULT_DOWN_PAYMENT_PERCENT} onChange={(e) => handleStateInputChange(state, 'downPayment', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" />
+                                                                <select aria-label="Down payment unit" value={stateInputs[state]?.downPaymentType || 'percent'} onChange={(e) => {
+                                                                    // Keep the same down payment when switching between $ and %
+                                                                    const type = e.target.value;
+                                                                    handleStateInputChange(state, 'downPaymentType', type);
+                                                                    handleStateInputChange(state, 'downPayment', type === 'amount'
+                                                                        ? Math.round(purchase.downPayment)
+                                                                        : purchase.purchasePrice > 0 ? Number((purchase.downPayment / purchase.purchasePrice * 100).toFixed(2)) : DEFAULT_DOWN_PAYMENT_PERCENT);
+                                                                }} className="px-1 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm">
+                                                                    <option value="percent">%</option>
+                                                                    <option value="amount">$</option>
+                                                                </select>
+                                                            </div>
+                                                            <p className="mt-1 text-xs text-gray-500">
+                                                                {formatCurrency(purchase.downPayment)} down · {formatCurrency(purchase.mortgageAmount)} mortgage
+                                                            </p>
+                                                        </div>
+                                                        <div>
+                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Mortgage Interest Rate</label>
+                                                            <div className="relative"><input type="number" value={stateInputs[state]?.mortgageRate || ''} onChange={(e) => handleStateInputChange(state, 'mortgageRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                        </div>
+                                                        <div className="grid grid-cols-2 gap-2">
+                                                            <div>
+                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Loan Term</label>
+                                                                <select value={loan.termYears} onChange={(e) => handleStateInputChange(state, 'loanTermYears', Number(e.target.value))} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm">
+                                                                    {LOAN_TERM_OPTIONS.map(years => <option key={years} value={years}>{years} years</option>)}
+                                                                </select>
+                                                            </div>
+                                                            <div>
+                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Rate Type</label>
+                                                                <select value={loan.arm?.fixedYears || 0} onChange={(e) => handleStateInputChange(state, 'armFixedYears', Number(e.target.value))} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm">
+                                                                    {ARM_FIXED_PERIOD_OPTIONS.map(years => <option key={years} value={years}>{years === 0 ? 'Fixed' : `${years}/1 ARM`}</option>)}
+                                                                </select>
+                                                            </div>
+                                                        </div>
+                                                        <button
+                                                            className="text-xs font-semibold text-indigo-700 hover:underline"
+                                                            onClick={() => setExpandedLoanOptions(prev => ({ ...prev, [state]: !showLoanOptions }))}
+                                                        >
+                                                            {showLoanOptions ? '[-]' : '[+]'} {loan.arm ? 'ARM Caps, ' : ''}Points, PMI & Extra Payments
+                                                        </button>
+                                                        {showLoanOptions && (
+                                                            <div className="grid grid-cols-2 gap-2">
+                                                                {loan.arm && (
+                                                                    <>
+                                                                        <div className="col-span-2">
+                                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Expected Rate After Reset</label>
+                                                                            <div className="relative"><input type="number" value={stateInputs[state]?.armAdjustedRate ?? ''} placeholder={String(loan.rate)} onChange={(e) => handleStateInputChange(state, 'armAdjustedRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                                        </div>
+                                                                        {[['armInitialCap', 'Initial Cap', DEFAULT_ARM_CAPS.initialCap], ['armPeriodicCap', 'Annual Cap', DEFAULT_ARM_CAPS.periodicCap], ['armLifetimeCap', 'Lifetime Cap', DEFAULT_ARM_CAPS.lifetimeCap]].map(([field, label, fallback]) => (
+                                                                            <div key={field}>
+                                                                                <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                                                                                <div className="relative"><input type="number" value={stateInputs[state]?.[field] ?? fallback} onChange={(e) => handleStateInputChange(state, field, e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                                            </div>
+                                                                        ))}
+                                                                    </>
+                                                                )}
+                                                                <div>
+                                                                    <label className="block text-xs font-medium text-gray-600 mb-1">Discount Points</label>
+                                                                    <div className="relative"><input type="number" value={stateInputs[state]?.discountPoints || ''} onChange={(e) => handleStateInputChange(state, 'discountPoints', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                                </div>
+                                                                <div>
+                                                                    <label className="block text-xs font-medium text-gray-600 mb-1">PMI (annual)</label>
+                                                                    <div className="relative"><input type="number" value={stateInputs[state]?.pmiRate || ''} onChange={(e) => handleStateInputChange(state, 'pmiRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                                </div>
+                                                                <div className="col-span-2">
+                                                                    <label className="block text-xs font-medium text-gray-600 mb-1">Extra Principal per Month</label>
+                                                                    <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.extraMonthlyPayment || ''} onChange={(e) => handleStateInputChange(state, 'extraMonthlyPayment', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                                </div>
+                                                                <div>
+                                                                    <label className="block text-xs font-medium text-gray-600 mb-1">Lump Sum</label>
+                                                                    <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.extraLumpSum || ''} onChange={(e) => handleStateInputChange(state, 'extraLumpSum', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                                </div>
+                                                                <div>
+                                                                    <label className="block text-xs font-medium text-gray-600 mb-1">In Loan Year</label>
+                                                                    <input type="number" min="1" value={stateInputs[state]?.extraLumpSumYear || ''} placeholder="1" onChange={(e) => handleStateInputChange(state, 'extraLumpSumYear', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" />
+                                                                </div>
+                                                                <p className="col-span-2 text-xs text-gray-500">
+                                                                    Points are paid at closing and deducted in year 1. PMI applies until the balance reaches {PMI_CANCEL_LOAN_TO_VALUE * 100}% of
+                                                                    the purchase price.
+                                                                </p>
+                                                            </div>
+                                                        )}
+                                                        <div>
+                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Annual Property Tax</label>
+                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.propertyTax || ''} onChange={(e) => handleStateInputChange(state, 'propertyTax', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                        </div>
+                                                        <div>
+                                                            <label className="block text-xs font-medium text-gray-600 mb-1">Annual Home Insurance</label>
+                                                            <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.homeInsurance || ''} onChange={(e) => handleStateInputChange(state, 'homeInsurance', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                        </div>
+                                                        {showRentScenario && (
+                                                            <div>
+                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Estimated Monthly Rent</label>
+                                                                <div className="relative">
+                                                                    <span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span>
+                                                                    <input type="number" value={stateInputs[state]?.monthlyRent || ''} onChange={(e) => handleStateInputChange(state, 'monthlyRent', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" />
+                                                                </div>
+                                                            </div>
+                                                        )}
+                                                        {STATES_WITH_LOCAL_TAX.includes(state) && (
+                                                            <div>
+                                                                <label className="block text-xs font-medium text-gray-600 mb-1">Est. Local Income Tax Rate</label>
+                                                                <div className="relative"><input type="number" value={stateInputs[state]?.localTaxRate || ''} onChange={(e) => handleStateInputChange(state, 'localTaxRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                    <div className="mt-4 pt-4 border-t border-gray-200">
+                                                        <p className="text-sm font-medium text-gray-600">Est. Monthly Housing Cost (PITI{loan.pmiRate > 0 ? ' + PMI' : ''})</p>
+                                                        <p className="text-xl sm:text-2xl font-bold text-gray-800">
+                                                            {formatCurrency(calculateMonthlyHousingCost(
+                                                                loan,
+                                                                stateInputs[state]?.propertyTax,
+                                                                stateInputs[state]?.homeInsurance
+                                                            ))}
+                                                        </p>
+                                                    </div>
+                                                    {/* --- Interest Schedule Table: Years 2-10 --- */}
+                                                    <div className="mt-4 border-t pt-4">
+                                                        <button
+                                                            className="flex items-center text-xs font-semibold text-indigo-700 mb-2 hover:underline"
+                                                            onClick={() =>
+                                                                setExpandedSchedules(prev => ({ ...prev, [state]: !isExpanded }))
+                                                            }
+                                                        >
+                                                            {isExpanded ? '[-]' : '[+]'} First 10 Years: Deduction Phaseout Impact
+                                                        </button>
+                                                        {isExpanded && (
+                                                            <>
+                                                                <table className="min-w-full text-xs border">
+                                                                    <thead>
+                                                                        <tr>
+                                                                            <th className="px-2 py-1 border-b text-left">Year</th>
+                                                                            <th className="px-2 py-1 border-b text-right">Interest</th>
+                                                                            <th className="px-2 py-1 border-b text-right">$ Impact</th>
+                                                                        </tr>
+                                                                    </thead>
+                                                                    <tbody>
+                                                                        {displaySchedule.slice(1, 10).map((row, idx) => {
+                                                                            // Match up with perStateInterestSchedules[state][idx] (years 2-10 are indices 0-8)
+                                                                            const impact = perStateInterestSchedules[state]?.[idx]?.impact;
+                                                                            return (
+                                                                                <tr key={row.year}>
+                                                                                    <td className="px-2 py-1">{row.year}</td>
+                                                                                    <td className="px-2 py-1 text-right">{formatCurrency(row.interest)}</td>
+                                                                                    <td className={`px-2 py-1 text-right ${impact < 0 ? 'text-red-700' : impact > 0 ? 'text-green-700' : ''
+                                                                                        }`}>
+                                                                                        {impact === 0 || impact == null ? '-' : formatCurrency(impact)}
+                                                                                    </td>
+                                                                                </tr>
+                                                                            );
+                                                                        })}
+                                                                    </tbody>
+                                                                </table>
+                                                                <p className="mt-1 text-xxs text-gray-500">
+                                                                    "$ Impact" is the change in avg. monthly take-home pay vs. Year 1.
+                                                                </p>
+                                                            </>
+                                                        )}
+                                                    </div>
+                                                    {/* --- Refinance Analyzer --- */}
+                                                    <div className="mt-4 border-t pt-4">
+                                                        <button
+                                                            className="flex items-center text-xs font-semibold text-indigo-700 mb-2 hover:underline"
+                                                            onClick={() => setExpandedRefinance(prev => ({ ...prev, [state]: !showRefinance }))}
+                                                        >
+                                                            {showRefinance ? '[-]' : '[+]'} Refinance Analysis
+                                                        </button>
+                                                        {showRefinance && (
+                                                            <div className="space-y-3">
+                                                                <div className="grid grid-cols-2 gap-2">
+                                                                    <div>
+                                                                        <label className="block text-xs font-medium text-gray-600 mb-1">In Loan Year</label>
+                                                                        <input type="number" min="2" value={stateInputs[state]?.refinanceYear || ''} placeholder="2" onChange={(e) => handleStateInputChange(state, 'refinanceYear', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" />
+                                                                    </div>
+                                                                    <div>
+                                                                        <label className="block text-xs font-medium text-gray-600 mb-1">New Rate</label>
+                                                                        <div className="relative"><input type="number" value={stateInputs[state]?.refinanceRate ?? ''} onChange={(e) => handleStateInputChange(state, 'refinanceRate', e.target.value)} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /><span className="absolute inset-y-0 right-0 pr-3 flex items-center text-gray-500 text-sm">%</span></div>
+                                                                    </div>
+                                                                    <div>
+                                                                        <label className="block text-xs font-medium text-gray-600 mb-1">New Term</label>
+                                                                        <select value={stateInputs[state]?.refinanceTermYears || DEFAULT_LOAN_TERM_YEARS} onChange={(e) => handleStateInputChange(state, 'refinanceTermYears', Number(e.target.value))} className="w-full px-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm">
+                                                                            {LOAN_TERM_OPTIONS.map(years => <option key={years} value={years}>{years} years</option>)}
+                                                                        </select>
+                                                                    </div>
+                                                                    <div>
+                                                                        <label className="block text-xs font-medium text-gray-600 mb-1">Closing Costs</label>
+                                                                        <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.refinanceClosingCosts || ''} onChange={(e) => handleStateInputChange(state, 'refinanceClosingCosts', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                                    </div>
+                                                                    <div className="col-span-2">
+                                                                        <label className="block text-xs font-medium text-gray-600 mb-1">Cash Out</label>
+                                                                        <div className="relative"><span className="absolute inset-y-0 left-0 pl-2 flex items-center text-gray-500 text-sm">$</span><input type="number" value={stateInputs[state]?.refinanceCashOut || ''} onChange={(e) => handleStateInputChange(state, 'refinanceCashOut', e.target.value)} className="w-full pl-5 pr-2 py-1 text-sm bg-white border border-gray-300 rounded-md shadow-sm" /></div>
+                                                                    </div>
+                                                                </div>
+                                                                {!refinance && <p className="text-xs text-gray-500">Enter a new rate to compare the offer.</p>}
+                                                                {refinance && !refinanceAnalysis && <p className="text-xs text-gray-500">The loan is paid off by year {refinance.year}.</p>}
+                                                                {refinanceAnalysis && (
+                                                                    <div className="text-xs space-y-1">
+                                                                        <div className="flex justify-between"><span className="text-gray-600">Balance Refinanced</span><span className="font-mono">{formatCurrency(refinanceAnalysis.balance)}</span></div>
+                                                                        {refinance.cashOut > 0 && (
+                                                                            <div className="flex justify-between"><span className="text-gray-600">New Loan (with cash out)</span><span className="font-mono">{formatCurrency(refinanceAnalysis.amount)}</span></div>
+                                                                        )}
+                                                                        <div className="flex justify-between"><span className="text-gray-600">Monthly P&I</span><span className="font-mono">{formatCurrency(refinanceAnalysis.currentPayment)} → {formatCurrency(refinanceAnalysis.newPayment)}</span></div>
+                                                                        <div className="flex justify-between">
+                                                                            <span className="text-gray-600">Payment Change</span>
+                                                                            <span className={`font-mono ${refinanceAnalysis.paymentChange > 0 ? 'text-red-700' : 'text-green-700'}`}>{formatCurrency(refinanceAnalysis.paymentChange)}/mo</span>
+                                                                        </div>
+                                                                        {refinance.cashOut > 0 && (
+                                                                            <div className="flex justify-between"><span className="text-gray-600">Of Which Cash Out</span><span className="font-mono">{formatCurrency(refinanceAnalysis.cashOutPayment)}/mo</span></div>
+                                                                        )}
+                                                                        <div className="flex justify-between">
+                                                                            <span className="text-gray-600">Break-Even</span>
+                                                                            <span className="font-mono">
+                                                                                {refinanceAnalysis.breakEvenMonth == null ? 'No monthly savings' : refinanceAnalysis.breakEvenMonth === 0 ? 'Immediately' : `Month ${refinanceAnalysis.breakEvenMonth}`}
+                                                                            </span>
+                                                                        </div>
+                                                                        <div className="flex justify-between">
+                                                                            <span className="text-gray-600">Lifetime Interest Saved</span>
+                                                                            <span className={`font-mono ${refinanceAnalysis.interestSaved < 0 ? 'text-red-700' : 'text-green-700'}`}>{formatCurrency(refinanceAnalysis.interestSaved)}</span>
+                                                                        </div>
+                                                                        <div className="flex justify-between"><span className="text-gray-600">Less Closing Costs</span><span className="font-mono">{formatCurrency(-refinanceAnalysis.closingCosts)}</span></div>
+                                                                        <div className="flex justify-between">
+                                                                            <span className="text-gray-600">Net Lifetime Savings</span>
+                                                                            <span className={`font-mono ${refinanceAnalysis.netSavings < 0 ? 'text-red-700' : 'text-green-700'}`}>{formatCurrency(refinanceAnalysis.netSavings)}</span>
+                                                                        </div>
+                                                                        {refinance.cashOut > 0 && (
+                                                                            <div className="flex justify-between"><span className="text-gray-600">Interest on Cash Out</span><span className="font-mono">{formatCurrency(refinanceAnalysis.cashOutInterest)}</span></div>
+                                                                        )}
+                                                                        {refinanceRows.length > 0 && (
+                                                                            <table className="min-w-full text-xs border mt-2">
+                                                                                <thead>
+                                                                                    <tr>
+                                                                                        <th className="px-2 py-1 border-b text-left">Year</th>
+                                                                                        <th className="px-2 py-1 border-b text-right">Interest</th>
+                                                                                        <th className="px-2 py-1 border-b text-right">Tax Effect</th>
+                                                                                    </tr>
+                                                                                </thead>
+                                                                                <tbody>
+                                                                                    {refinanceRows.map(row => {
+                                                                                        const taxEffect = row.refinanceImpact - row.impact;
+                                                                                        return (
+                                                                                            <tr key={row.year}>
+                                                                                                <td className="px-2 py-1">{row.year}</td>
+                                                                                                <td className="px-2 py-1 text-right">{formatCurrency(row.refinanceInterest)}</td>
+                                                                                                <td className={`px-2 py-1 text-right ${taxEffect < 0 ? 'text-red-700' : taxEffect > 0 ? 'text-green-700' : ''}`}>
+                                                                                                    {Math.abs(taxEffect) < 0.5 ? '-' : formatCurrency(taxEffect)}
+                                                                                                </td>
+                                                                                            </tr>
+                                                                                        );
+                                                                                    })}
+                                                                                </tbody>
+                                                                            </table>
+                                                                        )}
+                                                                        <p className="text-xxs text-gray-500">
+                                                                            Break-even is closing costs over the monthly savings on the balance refinanced. "Interest" is the deductible
+                                                                            interest on the new loan (cash out isn't acquisition debt); "Tax Effect" is the change in avg. monthly
+                                                                            take-home vs. keeping the current loan, federal and state.
+                                                                        </p>
+                                                                    </div>
+                                                                )}
+                                                            </div>
+                                                        )}
+                                                    </div>
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                </div>
+                                {/* --- AnalysisCharts and Rent vs Buy Table unchanged... */}
+                                {selectedStates.length > 0 && <AnalysisCharts resultsByState={resultsByState} selectedStates={selectedStates} />}
+                                {selectedStates.length > 0 && showRentScenario && (
+                                    <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200 mt-8">
+                                        <h2 className="text-xl sm:text-2xl font-semibold text-gray-800 border-b pb-3 mb-6">
+                                            Rent vs. Buy: Net Mortgage Cost After Tax Savings
+                                        </h2>
+                                        <div className="overflow-x-auto">
+                                            <table className="min-w-full divide-y divide-gray-200">
+                                                <thead className="bg-gray-50">
+                                                    <tr>
+                                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">State</th>
+                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly PITI</th>
+                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Tax Savings</th>
+                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Net Cost</th>
+                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Rent</th>
+                                                        <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Delta</th>
+                                                    </tr>
+                                                </thead>
+                                                <tbody>
+                                                    {selectedStates.map((state) => {
+                                                        const piti = resultsByState[state]?.monthlyHousingCost ?? 0;
+                                                        const taxSavings =
+                                                            (resultsByState[state]?.monthlyTakeHome ?? 0) -
+                                                            (resultsByState[state]?.rent?.monthlyTakeHome ?? 0);
+                                                        const netMortgageCost = piti - taxSavings;
+                                            
+                                                        const rent = resultsByState[state]?.rent?.monthlyHousingCost ?? Number(stateInputs[state]?.monthlyRent ?? 0);
+                                                        const cashDelta = netMortgageCost - rent;
+                                                        return (
+                                                            <tr key={state} className={cashDelta > 0 ? 'bg-red-50' : cashDelta < 0 ? 'bg-green-50' : ''}>
+                                                                <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{state}</td>
+                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(piti)}</td>
+                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(taxSavings)}</td>
+                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(netMortgageCost)}</td>
+                                                                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 text-right font-mono">{formatCurrency(rent)}</td>
+                                                                <td className={`px-4 py-4 whitespace-nowrap text-sm text-right font-mono ${cashDelta > 0 ? 'text-red-700' : cashDelta < 0 ? 'text-green-700' : ''}`}>
+                                                                    {formatCurrency(cashDelta)}
+                                                                </td>
+                                                            </tr>
+                                                        );
+                                                    })}
+                                                </tbody>
+                                            </table>
+                                        </div>
+                                        <p className="mt-3 text-xs text-gray-500">
+                                            <b>Cash Delta</b> = Net Mortgage Cost minus Rent. Positive means buying is more expensive monthly.
+                                        </p>
+                                    </div>
+                                )}
+                            </>
+                        )}
+
+                        {activeView === 'cashflow' && (
+                            <CashFlowAnalysis
+                                selectedStates={selectedStates}
+                                resultsByState={resultsByState}
+                                cashFlowInputs={cashFlowInputs}
+                                handleCashFlowInputChange={handleCashFlowInputChange}
+                            />
+                        )}
+
+                        {activeView === 'affordability' && (
+                            <AffordabilityAnalysis
+                                selectedStates={selectedStates}
+                                stateInputs={stateInputs}
+                                cashFlowInputs={cashFlowInputs}
+                                resultsForHousing={resultsForHousing}
+                                affordabilityInputs={affordabilityInputs}
+                                handleAffordabilityInputChange={handleAffordabilityInputChange}
+                                handleStateInputChange={handleStateInputChange}
+                            />
+                        )}
+
+                        {activeView === 'paychecks' && (
+                            <PaycheckAnalysis
+                                wageOnlyResults={wageOnlyResults}
+                                selectedStates={selectedStates}
+                                wagesByEarner={wagesByEarner}
+                                k401={k401}
+                                postTaxContributions={(Number(roth401k) || 0) + (Number(afterTax401k) || 0)}
+                                hsa={hsa}
+                                medicalPremiums={medicalPremiums}
+                                filingStatus={filingStatus}
+                                taxYear={taxYear}
+                                inflationRate={inflationRate}
+                            />
+                        )}
+
+                        {activeView === 'withholding' && (
+                            <WithholdingAnalysis
+                                resultsByState={resultsByState}
+                                wageOnlyResults={wageOnlyResults}
+                                selectedStates={selectedStates}
+                                stateInputs={stateInputs}
+                                wagesByEarner={wagesByEarner}
+                                pretaxDeductions={(Number(k401) || 0) + (Number(hsa) || 0) + (Number(medicalPremiums) || 0)}
+                                filingStatus={filingStatus}
+                                taxYear={taxYear}
+                                inflationRate={inflationRate}
+                                withholdingInputs={withholdingInputs}
+                                handleWithholdingInputChange={handleWithholdingInputChange}
+                                handleW4Change={handleW4Change}
+                            />
+                        )}
+
+                        {activeView === 'estimated' && (
+                            <EstimatedTaxAnalysis
+                                resultsByState={resultsByState}
+                                wageOnlyResults={wageOnlyResults}
+                                selectedStates={selectedStates}
+                                stateInputs={stateInputs}
+                                handleStateInputChange={handleStateInputChange}
+                                wagesByEarner={wagesByEarner}
+                                pretaxDeductions={(Number(k401) || 0) + (Number(hsa) || 0) + (Number(medicalPremiums) || 0)}
+                                filingStatus={filingStatus}
+                                taxYear={taxYear}
+                                inflationRate={inflationRate}
+                                withholdingInputs={withholdingInputs}
+                                handleWithholdingInputChange={handleWithholdingInputChange}
+                            />
+                        )}
+
+                        {activeView === 'retirement' && (
+                            <div className="space-y-8">
+                                <RetirementAnalysis
+                                    resultsByState={resultsByState}
+                                    selectedStates={selectedStates}
+                                    retirementInputs={retirementInputs}
+                                    handleRetirementInputChange={handleRetirementInputChange}
+                                    projectResults={projectResults}
+                                    inflationRate={inflationRate}
+                                    realDollars={realDollars}
+                                />
+                                <DrawdownAnalysis
+                                    selectedStates={selectedStates}
+                                    k401={k401}
+                                    roth401k={roth401k}
+                                    afterTax401k={afterTax401k}
+                                    retirementInputs={retirementInputs}
+                                    handleRetirementInputChange={handleRetirementInputChange}
+                                    filingStatus={filingStatus}
+                                    taxYear={taxYear}
+                                    inflationRate={inflationRate}
+                                />
+                                <RothConversionPlanner
+                                    selectedStates={selectedStates}
+                                    k401={k401}
+                                    retirementInputs={retirementInputs}
+                                    handleRetirementInputChange={handleRetirementInputChange}
+                                    filingStatus={filingStatus}
+                                    taxYear={taxYear}
+                                    inflationRate={inflationRate}
+                                />
+                            </div>
+                        )}
+
+                        {activeView === 'contributions' && (
+                            <ContributionMixAnalysis
+                                resultsByState={resultsByState}
+                                selectedStates={selectedStates}
+                                k401={k401}
+                                roth401k={roth401k}
+                                afterTax401k={afterTax401k}
+                                resultsForContributions={resultsForContributions}
+                                retirementInputs={retirementInputs}
+                                handleRetirementInputChange={handleRetirementInputChange}
+                                filingStatus={filingStatus}
+                                taxYear={taxYear}
+                                inflationRate={inflationRate}
+                            />
+                        )}
+
+                        {activeView === 'breakeven' && (
+                            <BreakEvenAnalysis
+                                resultsByState={resultsByState}
+                                selectedStates={selectedStates}
+                                stateInputs={stateInputs}
+                                filingStatus={filingStatus}
+                                taxYear={taxYear}
+                                inflationRate={inflationRate}
+                                realDollars={realDollars}
+                                projectStateResults={projectStateResults}
+                                breakEvenInputs={breakEvenInputs}
+                                handleBreakEvenInputChange={handleBreakEvenInputChange}
+                            />
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
 }
\ No newline at end of file
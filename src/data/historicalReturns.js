@@ -0,0 +1,106 @@
+// --- Historical Annual Returns (1928-2024) ---
+// Nominal total returns in percent: S&P 500 with dividends reinvested and 10-year U.S. Treasury bonds
+// (Damodaran, NYU Stern "Historical Returns on Stocks, Bonds and Bills"), and December-to-December CPI-U
+// inflation (Bureau of Labor Statistics).
+// Rows are [year, stocks, bonds, inflation].
+const ANNUAL_RETURNS = [
+    [1928, 43.81, 0.84, -1.0],
+    [1929, -8.30, 4.20, 0.2],
+    [1930, -25.12, 4.54, -6.0],
+    [1931, -43.84, -2.56, -9.5],
+    [1932, -8.64, 8.79, -10.3],
+    [1933, 49.98, 1.86, 0.8],
+    [1934, -1.19, 7.96, 1.5],
+    [1935, 46.74, 4.47, 3.0],
+    [1936, 31.94, 5.02, 1.4],
+    [1937, -35.34, 1.38, 2.9],
+    [1938, 29.28, 4.21, -2.8],
+    [1939, -1.10, 4.41, 0.0],
+    [1940, -10.67, 5.40, 0.7],
+    [1941, -12.77, -2.02, 9.9],
+    [1942, 19.17, 2.29, 9.0],
+    [1943, 25.06, 2.49, 3.0],
+    [1944, 19.03, 2.58, 2.3],
+    [1945, 35.82, 3.80, 2.2],
+    [1946, -8.43, 3.13, 18.1],
+    [1947, 5.20, 0.92, 8.8],
+    [1948, 5.70, 1.95, 3.0],
+    [1949, 18.30, 4.66, -2.1],
+    [1950, 30.81, 0.43, 5.9],
+    [1951, 23.68, -0.30, 6.0],
+    [1952, 18.15, 2.27, 0.8],
+    [1953, -1.21, 4.14, 0.7],
+    [1954, 52.56, 3.29, -0.7],
+    [1955, 32.60, -1.34, 0.4],
+    [1956, 7.44, -2.26, 3.0],
+    [1957, -10.46, 6.80, 2.9],
+    [1958, 43.72, -2.10, 1.8],
+    [1959, 12.06, -2.65, 1.7],
+    [1960, 0.34, 11.64, 1.4],
+    [1961, 26.64, 2.06, 0.7],
+    [1962, -8.81, 5.69, 1.3],
+    [1963, 22.61, 1.68, 1.6],
+    [1964, 16.42, 3.73, 1.0],
+    [1965, 12.40, 0.72, 1.9],
+    [1966, -9.97, 2.91, 3.5],
+    [1967, 23.80, -1.58, 3.0],
+    [1968, 10.81, 3.27, 4.7],
+    [1969, -8.24, -5.01, 6.2],
+    [1970, 3.56, 16.75, 5.6],
+    [1971, 14.22, 9.79, 3.3],
+    [1972, 18.76, 2.82, 3.4],
+    [1973, -14.31, 3.66, 8.7],
+    [1974, -25.90, 1.99, 12.3],
+    [1975, 37.00, 3.61, 6.9],
+    [1976, 23.83, 15.98, 4.9],
+    [1977, -6.98, 1.29, 6.7],
+    [1978, 6.51, -0.78, 9.0],
+    [1979, 18.52, 0.67, 13.3],
+    [1980, 31.74, -2.99, 12.5],
+    [1981, -4.70, 8.20, 8.9],
+    [1982, 20.42, 32.81, 3.8],
+    [1983, 22.34, 3.20, 3.8],
+    [1984, 6.15, 13.73, 3.9],
+    [1985, 31.24, 25.71, 3.8],
+    [1986, 18.49, 24.28, 1.1],
+    [1987, 5.81, -4.96, 4.4],
+    [1988, 16.54, 8.22, 4.4],
+    [1989, 31.48, 17.69, 4.6],
+    [1990, -3.06, 6.24, 6.1],
+    [1991, 30.23, 15.00, 3.1],
+    [1992, 7.49, 9.36, 2.9],
+    [1993, 9.97, 14.21, 2.7],
+    [1994, 1.33, -8.04, 2.7],
+    [1995, 37.20, 23.48, 2.5],
+    [1996, 22.68, 1.43, 3.3],
+    [1997, 33.10, 9.94, 1.7],
+    [1998, 28.34, 14.92, 1.6],
+    [1999, 20.89, -8.25, 2.7],
+    [2000, -9.03, 16.66, 3.4],
+    [2001, -11.85, 5.57, 1.6],
+    [2002, -21.97, 15.12, 2.4],
+    [2003, 28.36, 0.38, 1.9],
+    [2004, 10.74, 4.49, 3.3],
+    [2005, 4.83, 2.87, 3.4],
+    [2006, 15.61, 1.96, 2.5],
+    [2007, 5.48, 10.21, 4.1],
+    [2008, -36.55, 20.10, 0.1],
+    [2009, 25.94, -11.12, 2.7],
+    [2010, 14.82, 8.46, 1.5],
+    [2011, 2.10, 16.04, 3.0],
+    [2012, 15.89, 2.97, 1.7],
+    [2013, 32.15, -9.10, 1.5],
+    [2014, 13.52, 10.75, 0.8],
+    [2015, 1.38, 1.28, 0.7],
+    [2016, 11.77, 0.69, 2.1],
+    [2017, 21.61, 2.80, 2.1],
+    [2018, -4.23, -0.02, 1.9],
+    [2019, 31.21, 9.64, 2.3],
+    [2020, 18.02, 11.33, 1.4],
+    [2021, 28.47, -4.42, 7.0],
+    [2022, -18.04, -17.83, 6.5],
+    [2023, 26.06, 3.88, 3.4],
+    [2024, 24.88, -1.64, 2.9],
+];
+
+export const HISTORICAL_RETURNS = ANNUAL_RETURNS.map(([year, stocks, bonds, inflation]) => ({ year, stocks, bonds, inflation }));
@@ -0,0 +1,568 @@
+// --- State Income Tax Data (50 states + DC) ---
+// Brackets and deductions are keyed by filing status ('single', 'mfj', 'mfs', 'hoh').
+// A missing 'mfs' or 'hoh' schedule falls back to 'single' in the calculator.
+// standardDeduction: 'federal' means the state starts from federal taxable income
+// (or adopts the federal standard deduction), so the federal amount applies.
+// rules: per-state departures from DEFAULT_STATE_RULES, applied by calculateStateTax.
+// versions: enacted changes for later tax years, merged over the base entry from that year on.
+
+// Builds the { rate, min, max } bracket shape used by calculateTax from [rate, upperBound] rows.
+const schedule = (rows) => rows.map(([rate, max], i) => ({ rate, min: i === 0 ? 0 : rows[i - 1][1] + 1, max }));
+const sameForAll = (rows) => {
+    const brackets = schedule(rows);
+    return { single: brackets, mfj: brackets };
+};
+const flat = (rate) => sameForAll([[rate, Infinity]]);
+const noIncomeTax = { single: [], mfj: [] };
+// Exemption amount per person; joint filers claim two.
+const perPerson = (amount) => ({ single: amount, mfj: amount * 2, mfs: amount, hoh: amount });
+// Employee-side payroll contribution (SDI, paid family leave, etc.).
+// wageBase: 'socialSecurity' tracks the federal Social Security wage base.
+const payrollTax = (label, rate, { wageBase = Infinity, max = Infinity, saltDeductible = true } = {}) => ({ label, rate, wageBase, max, saltDeductible });
+// Per-person retirement income exclusion from age minAge, covering pensions only ('pension') or pensions and
+// IRA/401(k) distributions ('all').
+const retirementExclusion = (amount, minAge = 0, covers = 'all') => ({ amount, minAge, covers });
+// Estimated tax installments on the federal due dates, with the share of the required annual payment due at each.
+// Months are 1-based; the last installment falls in the following year.
+export const estimatedTaxInstallments = (shares) => [[4, 15], [6, 15], [9, 15], [1, 15]].map(([month, day], i) => ({ month, day, share: shares[i], nextYear: i === 3 }));
+
+export const DEFAULT_STATE_RULES = {
+    indexedForInflation: true,                // brackets/deductions are projected forward with inflation
+    hsaConformity: true,                      // HSA contributions excluded from state income
+    retirementContributionConformity: true,   // 401(k) deferrals excluded from state income
+    mortgageDebtLimit: 'federal',             // acquisition debt limit for the interest deduction
+    itemizedDeductions: true,                 // state allows itemizing (mortgage interest, property tax, other)
+    propertyTaxDeductionCap: 0,               // property tax deductible even without itemizing, up to this amount
+    capitalGains: {
+        longTermExclusionRate: 0,             // share of long-term gains excluded from state income
+        longTermExclusionMax: Infinity,
+        longTermBrackets: null,               // long-term gains taxed on their own schedule instead of as ordinary income
+        shortTermRate: null,                  // short-term gains taxed at a separate flat rate
+        surtax: null,                         // { rate, agiThreshold } applied to all net gains
+    },
+    incomeSurtax: null,                       // { rate, threshold } on total taxable income (ordinary plus all gains) above the threshold
+    payrollTaxes: [],
+    amt: null,                                // { brackets, exemption, phaseoutThreshold, phaseoutRate } for a state AMT
+    credits: null,                            // exemption credits per filer/dependent and a young child credit (see California)
+    supplementalWithholdingRate: null,        // flat withholding on bonuses/RSUs; null uses the top bracket rate
+    retirementIncome: {
+        socialSecurityTaxableShare: 0,        // share of the federally taxable Social Security benefit the state taxes
+        exclusions: [],                       // retirementExclusion entries; the largest applicable one of each kind is used
+    },
+    estimatedTax: {                           // underpayment safe harbor, following the federal rules unless overridden
+        installments: estimatedTaxInstallments([0.25, 0.25, 0.25, 0.25]),
+        currentYearShare: 0.9,
+        priorYearShare: 1,
+        highIncomePriorYearShare: 1.1,
+        highIncomeAgi: { single: 150000, mfj: 150000, mfs: 75000, hoh: 150000 },
+        priorYearSafeHarborMaxAgi: null,      // current-year AGI at or above which the prior-year safe harbor is unavailable
+        minimumBalance: { single: 500, mfj: 500, mfs: 500, hoh: 500 },
+    },
+};
+
+export const STATE_TAX_DATA = {
+    'Alabama': {
+        abbreviation: 'AL', taxYear: 2025, source: 'Alabama Department of Revenue',
+        brackets: {
+            single: schedule([[0.02, 500], [0.04, 3000], [0.05, Infinity]]),
+            mfj: schedule([[0.02, 1000], [0.04, 6000], [0.05, Infinity]]),
+        },
+        standardDeduction: { single: 3000, mfj: 8500, mfs: 4250, hoh: 5200 },
+        personalExemption: { single: 1500, mfj: 3000, mfs: 1500, hoh: 3000 },
+        hasLocalIncomeTax: true,
+        rules: {
+            indexedForInflation: false,
+            retirementIncome: { exclusions: [retirementExclusion(Infinity, 0, 'pension'), retirementExclusion(6000, 65)] },
+        },
+    },
+    'Alaska': {
+        abbreviation: 'AK', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'Arizona': {
+        abbreviation: 'AZ', taxYear: 2025, source: 'Arizona Department of Revenue',
+        brackets: flat(0.025),
+        standardDeduction: 'federal',
+    },
+    'Arkansas': {
+        abbreviation: 'AR', taxYear: 2025, source: 'Arkansas Department of Finance and Administration',
+        brackets: sameForAll([[0.00, 5499], [0.02, 10899], [0.03, 15599], [0.034, 25699], [0.039, Infinity]]),
+        standardDeduction: { single: 2410, mfj: 4820, mfs: 2410, hoh: 2410 },
+        rules: { capitalGains: { longTermExclusionRate: 0.5 }, retirementIncome: { exclusions: [retirementExclusion(6000, 59.5)] } },
+    },
+    'California': {
+        abbreviation: 'CA', taxYear: 2025, source: 'California Franchise Tax Board',
+        brackets: {
+            single: schedule([[0.01, 11054], [0.02, 26210], [0.04, 41367], [0.06, 57451], [0.08, 72597], [0.093, 371284], [0.103, 445540], [0.113, 742566], [0.123, Infinity]]),
+            mfj: schedule([[0.01, 22108], [0.02, 52420], [0.04, 82734], [0.06, 114902], [0.08, 145194], [0.093, 742568], [0.103, 891080], [0.113, 1485132], [0.123, Infinity]]),
+            hoh: schedule([[0.01, 22129], [0.02, 52429], [0.04, 67589], [0.06, 83645], [0.08, 98803], [0.093, 504234], [0.103, 605089], [0.113, 1008482], [0.123, Infinity]]),
+        },
+        standardDeduction: { single: 5202, mfj: 10404, mfs: 5202, hoh: 10404 },
+        rules: {
+            hsaConformity: false,
+            mortgageDebtLimit: 1000000,
+            payrollTaxes: [payrollTax('CA SDI', 0.013)],
+            supplementalWithholdingRate: 0.1023,
+            estimatedTax: {
+                installments: estimatedTaxInstallments([0.3, 0.4, 0, 0.3]),
+                currentYearShare: 0.9,
+                priorYearShare: 1,
+                highIncomePriorYearShare: 1.1,
+                highIncomeAgi: { single: 150000, mfj: 150000, mfs: 75000, hoh: 150000 },
+                priorYearSafeHarborMaxAgi: { single: 1000000, mfj: 1000000, mfs: 500000, hoh: 1000000 },
+                minimumBalance: { single: 500, mfj: 500, mfs: 250, hoh: 500 },
+            },
+            amt: {
+                brackets: flat(0.07),
+                exemption: { single: 92749, mfj: 123667, mfs: 61830, hoh: 92749 },
+                phaseoutThreshold: { single: 347775, mfj: 463700, mfs: 231848, hoh: 347775 },
+                phaseoutRate: 0.25,
+            },
+            credits: {
+                personalCredit: 153,
+                personalCreditCount: { single: 1, mfj: 2, mfs: 1, hoh: 1 },
+                dependentCredit: 475,
+                // Each credit shrinks $6 per $2,500 ($1,250 MFS) of AGI over the threshold
+                phaseoutThreshold: { single: 252203, mfj: 504411, mfs: 252203, hoh: 378310 },
+                phaseoutStep: { single: 2500, mfj: 2500, mfs: 1250, hoh: 2500 },
+                phaseoutAmount: 6,
+                // Young Child Tax Credit: refundable, per return with a child under 6, phased out by earned income
+                youngChildCredit: { amount: 1189, maxAge: 5, phaseoutStart: 27425, phaseoutEnd: 32900 },
+            },
+        },
+    },
+    'Colorado': {
+        abbreviation: 'CO', taxYear: 2025, source: 'Colorado Department of Revenue',
+        brackets: flat(0.044),
+        standardDeduction: 'federal',
+        rules: {
+            payrollTaxes: [payrollTax('CO FAMLI', 0.0045, { wageBase: 'socialSecurity' })],
+            retirementIncome: { exclusions: [retirementExclusion(20000, 55), retirementExclusion(24000, 65)] },
+        },
+    },
+    'Connecticut': {
+        abbreviation: 'CT', taxYear: 2025, source: 'Connecticut Department of Revenue Services',
+        brackets: {
+            single: schedule([[0.02, 10000], [0.045, 50000], [0.055, 100000], [0.06, 200000], [0.065, 250000], [0.069, 500000], [0.0699, Infinity]]),
+            mfj: schedule([[0.02, 20000], [0.045, 100000], [0.055, 200000], [0.06, 400000], [0.065, 500000], [0.069, 1000000], [0.0699, Infinity]]),
+            hoh: schedule([[0.02, 16000], [0.045, 80000], [0.055, 160000], [0.06, 320000], [0.065, 400000], [0.069, 800000], [0.0699, Infinity]]),
+        },
+        personalExemption: { single: 15000, mfj: 24000, mfs: 12000, hoh: 19000 },
+        rules: {
+            indexedForInflation: false,
+            itemizedDeductions: false,
+            payrollTaxes: [payrollTax('CT Paid Leave', 0.005, { wageBase: 'socialSecurity' })],
+            // Social Security is fully exempt below $75,000 AGI ($100,000 joint) and 75% exempt above
+            retirementIncome: { socialSecurityTaxableShare: 0.25 },
+        },
+    },
+    'Delaware': {
+        abbreviation: 'DE', taxYear: 2025, source: 'Delaware Division of Revenue',
+        brackets: sameForAll([[0.00, 2000], [0.022, 5000], [0.039, 10000], [0.048, 20000], [0.052, 25000], [0.0555, 60000], [0.066, Infinity]]),
+        standardDeduction: { single: 3250, mfj: 6500, mfs: 3250, hoh: 3250 },
+        hasLocalIncomeTax: true,
+        rules: { indexedForInflation: false, retirementIncome: { exclusions: [retirementExclusion(12500, 60)] } },
+    },
+    'District of Columbia': {
+        abbreviation: 'DC', taxYear: 2025, source: 'DC Office of Tax and Revenue',
+        brackets: sameForAll([[0.04, 10000], [0.06, 40000], [0.065, 60000], [0.085, 250000], [0.0925, 500000], [0.0975, 1000000], [0.1075, Infinity]]),
+        standardDeduction: 'federal',
+    },
+    'Florida': {
+        abbreviation: 'FL', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'Georgia': {
+        abbreviation: 'GA', taxYear: 2025, source: 'Georgia Department of Revenue',
+        brackets: flat(0.0519),
+        standardDeduction: { single: 12000, mfj: 24000, mfs: 12000, hoh: 12000 },
+        rules: { indexedForInflation: false, retirementIncome: { exclusions: [retirementExclusion(35000, 62), retirementExclusion(65000, 65)] } },
+        versions: { 2026: { brackets: flat(0.0509) } },
+    },
+    'Hawaii': {
+        abbreviation: 'HI', taxYear: 2025, source: 'Hawaii Department of Taxation',
+        brackets: {
+            single: schedule([[0.014, 9600], [0.032, 14400], [0.055, 19200], [0.064, 24000], [0.068, 36000], [0.072, 48000], [0.076, 125000], [0.079, 175000], [0.0825, 225000], [0.09, 275000], [0.10, 325000], [0.11, Infinity]]),
+            mfj: schedule([[0.014, 19200], [0.032, 28800], [0.055, 38400], [0.064, 48000], [0.068, 72000], [0.072, 96000], [0.076, 250000], [0.079, 350000], [0.0825, 450000], [0.09, 550000], [0.10, 650000], [0.11, Infinity]]),
+            hoh: schedule([[0.014, 14400], [0.032, 21600], [0.055, 28800], [0.064, 36000], [0.068, 54000], [0.072, 72000], [0.076, 187500], [0.079, 262500], [0.0825, 337500], [0.09, 412500], [0.10, 487500], [0.11, Infinity]]),
+        },
+        standardDeduction: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6424 },
+        personalExemption: perPerson(1144),
+        rules: {
+            indexedForInflation: false,
+            payrollTaxes: [payrollTax('HI TDI', 0.005, { max: 372 })],
+            retirementIncome: { exclusions: [retirementExclusion(Infinity, 0, 'pension')] },
+        },
+    },
+    'Idaho': {
+        abbreviation: 'ID', taxYear: 2025, source: 'Idaho State Tax Commission',
+        brackets: {
+            single: schedule([[0.00, 4673], [0.053, Infinity]]),
+            mfj: schedule([[0.00, 9346], [0.053, Infinity]]),
+        },
+        standardDeduction: 'federal',
+    },
+    'Illinois': {
+        abbreviation: 'IL', taxYear: 2025, source: 'Illinois Department of Revenue',
+        brackets: flat(0.0495),
+        personalExemption: perPerson(2850),
+        rules: { itemizedDeductions: false, retirementIncome: { exclusions: [retirementExclusion(Infinity)] } },
+    },
+    'Indiana': {
+        abbreviation: 'IN', taxYear: 2025, source: 'Indiana Department of Revenue',
+        brackets: flat(0.03),
+        personalExemption: perPerson(1000),
+        hasLocalIncomeTax: true,
+        rules: { itemizedDeductions: false },
+        versions: { 2026: { brackets: flat(0.0295) } },
+    },
+    'Iowa': {
+        abbreviation: 'IA', taxYear: 2025, source: 'Iowa Department of Revenue',
+        brackets: flat(0.038),
+        standardDeduction: 'federal',
+        hasLocalIncomeTax: true,
+        rules: { retirementIncome: { exclusions: [retirementExclusion(Infinity, 55)] } },
+    },
+    'Kansas': {
+        abbreviation: 'KS', taxYear: 2025, source: 'Kansas Department of Revenue',
+        brackets: {
+            single: schedule([[0.052, 23000], [0.0558, Infinity]]),
+            mfj: schedule([[0.052, 46000], [0.0558, Infinity]]),
+        },
+        standardDeduction: { single: 3605, mfj: 8240, mfs: 4120, hoh: 6180 },
+        personalExemption: { single: 9160, mfj: 18320, mfs: 9160, hoh: 9160 },
+        hasLocalIncomeTax: true,
+        rules: { indexedForInflation: false },
+    },
+    'Kentucky': {
+        abbreviation: 'KY', taxYear: 2025, source: 'Kentucky Department of Revenue',
+        brackets: flat(0.04),
+        standardDeduction: { single: 3270, mfj: 6540, mfs: 3270, hoh: 3270 },
+        hasLocalIncomeTax: true,
+        rules: { retirementIncome: { exclusions: [retirementExclusion(31110)] } },
+        versions: { 2026: { brackets: flat(0.035) } },
+    },
+    'Louisiana': {
+        abbreviation: 'LA', taxYear: 2025, source: 'Louisiana Department of Revenue',
+        brackets: flat(0.03),
+        standardDeduction: { single: 12500, mfj: 25000, mfs: 12500, hoh: 25000 },
+        rules: { retirementIncome: { exclusions: [retirementExclusion(12000, 65)] } },
+    },
+    'Maine': {
+        abbreviation: 'ME', taxYear: 2025, source: 'Maine Revenue Services',
+        brackets: {
+            single: schedule([[0.058, 26800], [0.0675, 63450], [0.0715, Infinity]]),
+            mfj: schedule([[0.058, 53600], [0.0675, 126900], [0.0715, Infinity]]),
+            hoh: schedule([[0.058, 40200], [0.0675, 95150], [0.0715, Infinity]]),
+        },
+        standardDeduction: 'federal',
+        personalExemption: perPerson(5150),
+    },
+    'Maryland': {
+        abbreviation: 'MD', taxYear: 2025, source: 'Comptroller of Maryland',
+        brackets: {
+            single: schedule([[0.02, 1000], [0.03, 2000], [0.04, 3000], [0.0475, 100000], [0.05, 125000], [0.0525, 150000], [0.055, 250000], [0.0575, 500000], [0.0625, 1000000], [0.065, Infinity]]),
+            mfj: schedule([[0.02, 1000], [0.03, 2000], [0.04, 3000], [0.0475, 150000], [0.05, 175000], [0.0525, 225000], [0.055, 300000], [0.0575, 600000], [0.0625, 1200000], [0.065, Infinity]]),
+            hoh: schedule([[0.02, 1000], [0.03, 2000], [0.04, 3000], [0.0475, 150000], [0.05, 175000], [0.0525, 225000], [0.055, 300000], [0.0575, 600000], [0.0625, 1200000], [0.065, Infinity]]),
+        },
+        standardDeduction: { single: 3350, mfj: 6700, mfs: 3350, hoh: 6700 },
+        personalExemption: perPerson(3200),
+        hasLocalIncomeTax: true,
+        rules: {
+            indexedForInflation: false,
+            capitalGains: { surtax: { rate: 0.02, agiThreshold: 350000 } },
+            retirementIncome: { exclusions: [retirementExclusion(39500, 65, 'pension')] },
+        },
+    },
+    'Massachusetts': {
+        abbreviation: 'MA', taxYear: 2025, source: 'Massachusetts Department of Revenue',
+        brackets: flat(0.05),
+        personalExemption: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6800 },
+        rules: {
+            itemizedDeductions: false,
+            capitalGains: { shortTermRate: 0.085 },
+            // 4% millionaires surtax, on short-term gains as well as ordinary income
+            incomeSurtax: { rate: 0.04, threshold: 1083150 },
+            payrollTaxes: [payrollTax('MA PFML', 0.0046, { wageBase: 'socialSecurity' })],
+        },
+    },
+    'Michigan': {
+        abbreviation: 'MI', taxYear: 2025, source: 'Michigan Department of Treasury',
+        brackets: flat(0.0425),
+        personalExemption: perPerson(5800),
+        hasLocalIncomeTax: true,
+        rules: { itemizedDeductions: false },
+    },
+    'Minnesota': {
+        abbreviation: 'MN', taxYear: 2025, source: 'Minnesota Department of Revenue',
+        brackets: {
+            single: schedule([[0.0535, 32570], [0.068, 106990], [0.0785, 198630], [0.0985, Infinity]]),
+            mfj: schedule([[0.0535, 47620], [0.068, 189180], [0.0785, 330410], [0.0985, Infinity]]),
+            mfs: schedule([[0.0535, 23810], [0.068, 94590], [0.0785, 165205], [0.0985, Infinity]]),
+            hoh: schedule([[0.0535, 40100], [0.068, 161130], [0.0785, 264050], [0.0985, Infinity]]),
+        },
+        standardDeduction: { single: 14950, mfj: 29900, mfs: 14950, hoh: 22500 },
+        rules: { retirementIncome: { socialSecurityTaxableShare: 1 } },
+    },
+    'Mississippi': {
+        abbreviation: 'MS', taxYear: 2025, source: 'Mississippi Department of Revenue',
+        brackets: sameForAll([[0.00, 10000], [0.044, Infinity]]),
+        standardDeduction: { single: 2300, mfj: 4600, mfs: 2300, hoh: 3400 },
+        personalExemption: { single: 6000, mfj: 12000, mfs: 6000, hoh: 9500 },
+        rules: { indexedForInflation: false, retirementIncome: { exclusions: [retirementExclusion(Infinity)] } },
+        versions: { 2026: { brackets: sameForAll([[0.00, 10000], [0.04, Infinity]]) } },
+    },
+    'Missouri': {
+        abbreviation: 'MO', taxYear: 2025, source: 'Missouri Department of Revenue',
+        brackets: sameForAll([[0.00, 1313], [0.02, 2626], [0.025, 3939], [0.03, 5252], [0.035, 6565], [0.04, 7878], [0.045, 9191], [0.047, Infinity]]),
+        standardDeduction: 'federal',
+        hasLocalIncomeTax: true,
+    },
+    'Montana': {
+        abbreviation: 'MT', taxYear: 2025, source: 'Montana Department of Revenue',
+        brackets: {
+            single: schedule([[0.047, 21100], [0.059, Infinity]]),
+            mfj: schedule([[0.047, 42200], [0.059, Infinity]]),
+            hoh: schedule([[0.047, 31700], [0.059, Infinity]]),
+        },
+        standardDeduction: 'federal',
+        rules: {
+            capitalGains: {
+                longTermBrackets: {
+                    single: schedule([[0.03, 21100], [0.041, Infinity]]),
+                    mfj: schedule([[0.03, 42200], [0.041, Infinity]]),
+                    hoh: schedule([[0.03, 31700], [0.041, Infinity]]),
+                },
+            },
+            retirementIncome: { socialSecurityTaxableShare: 1 },
+        },
+    },
+    'Nebraska': {
+        abbreviation: 'NE', taxYear: 2025, source: 'Nebraska Department of Revenue',
+        brackets: {
+            single: schedule([[0.0246, 4030], [0.0351, 24120], [0.0501, 38870], [0.052, Infinity]]),
+            mfj: schedule([[0.0246, 8040], [0.0351, 48250], [0.0501, 77730], [0.052, Infinity]]),
+        },
+        standardDeduction: { single: 8600, mfj: 17200, mfs: 8600, hoh: 12600 },
+    },
+    'Nevada': {
+        abbreviation: 'NV', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'New Hampshire': {
+        abbreviation: 'NH', taxYear: 2025, source: 'No wage income tax (interest and dividends tax repealed for 2025)',
+        brackets: noIncomeTax,
+    },
+    'New Jersey': {
+        abbreviation: 'NJ', taxYear: 2025, source: 'New Jersey Division of Taxation',
+        brackets: {
+            single: schedule([[0.014, 20000], [0.0175, 35000], [0.035, 40000], [0.05525, 75000], [0.0637, 500000], [0.0897, 1000000], [0.1075, Infinity]]),
+            mfj: schedule([[0.014, 20000], [0.0175, 50000], [0.0245, 70000], [0.035, 80000], [0.05525, 150000], [0.0637, 500000], [0.0897, 1000000], [0.1075, Infinity]]),
+            hoh: schedule([[0.014, 20000], [0.0175, 50000], [0.0245, 70000], [0.035, 80000], [0.05525, 150000], [0.0637, 500000], [0.0897, 1000000], [0.1075, Infinity]]),
+        },
+        personalExemption: perPerson(1000),
+        rules: {
+            indexedForInflation: false,
+            hsaConformity: false,
+            itemizedDeductions: false,
+            propertyTaxDeductionCap: 15000,
+            payrollTaxes: [
+                payrollTax('NJ TDI', 0.0023, { wageBase: 165400 }),
+                payrollTax('NJ FLI', 0.0033, { wageBase: 165400 }),
+            ],
+            // Half of the $100,000 joint pension exclusion each; the income limit is not modeled
+            retirementIncome: { exclusions: [retirementExclusion(50000, 62)] },
+        },
+    },
+    'New Mexico': {
+        abbreviation: 'NM', taxYear: 2025, source: 'New Mexico Taxation and Revenue Department',
+        brackets: {
+            single: schedule([[0.015, 5500], [0.032, 16500], [0.043, 33500], [0.047, 66500], [0.049, 210000], [0.059, Infinity]]),
+            mfj: schedule([[0.015, 8000], [0.032, 25000], [0.043, 50000], [0.047, 100000], [0.049, 315000], [0.059, Infinity]]),
+            hoh: schedule([[0.015, 8000], [0.032, 25000], [0.043, 50000], [0.047, 100000], [0.049, 315000], [0.059, Infinity]]),
+        },
+        standardDeduction: 'federal',
+        rules: { capitalGains: { longTermExclusionRate: 0.4, longTermExclusionMax: 1000000 }, retirementIncome: { socialSecurityTaxableShare: 1 } },
+    },
+    'New York': {
+        abbreviation: 'NY', taxYear: 2025, source: 'New York State Department of Taxation and Finance',
+        brackets: {
+            single: schedule([[0.04, 8500], [0.045, 11700], [0.0525, 13900], [0.055, 80650], [0.06, 215400], [0.0685, 1077550], [0.0965, 5000000], [0.103, 25000000], [0.109, Infinity]]),
+            mfj: schedule([[0.04, 17150], [0.045, 23600], [0.0525, 27900], [0.055, 161550], [0.06, 323200], [0.0685, 2155350], [0.0965, 5000000], [0.103, 25000000], [0.109, Infinity]]),
+            hoh: schedule([[0.04, 12800], [0.045, 17650], [0.0525, 20900], [0.055, 107650], [0.06, 269300], [0.0685, 1616450], [0.0965, 5000000], [0.103, 25000000], [0.109, Infinity]]),
+        },
+        standardDeduction: { single: 8000, mfj: 16050, mfs: 8000, hoh: 11200 },
+        hasLocalIncomeTax: true,
+        rules: {
+            payrollTaxes: [
+                payrollTax('NY SDI', 0.005, { max: 31.2 }),
+                payrollTax('NY PFL', 0.00388, { wageBase: 91374 }),
+            ],
+            supplementalWithholdingRate: 0.117,
+            retirementIncome: { exclusions: [retirementExclusion(20000, 59.5)] },
+        },
+    },
+    'North Carolina': {
+        abbreviation: 'NC', taxYear: 2025, source: 'North Carolina Department of Revenue',
+        brackets: flat(0.0425),
+        standardDeduction: { single: 12750, mfj: 25500, mfs: 12750, hoh: 19125 },
+        versions: { 2026: { brackets: flat(0.0399) } },
+    },
+    'North Dakota': {
+        abbreviation: 'ND', taxYear: 2025, source: 'North Dakota Office of State Tax Commissioner',
+        brackets: {
+            single: schedule([[0.00, 48475], [0.0195, 244825], [0.025, Infinity]]),
+            mfj: schedule([[0.00, 80975], [0.0195, 298075], [0.025, Infinity]]),
+            hoh: schedule([[0.00, 64950], [0.0195, 271450], [0.025, Infinity]]),
+        },
+        standardDeduction: 'federal',
+        rules: { capitalGains: { longTermExclusionRate: 0.4 } },
+    },
+    'Ohio': {
+        abbreviation: 'OH', taxYear: 2025, source: 'Ohio Department of Taxation',
+        brackets: sameForAll([[0.00, 26050], [0.0275, 100000], [0.03125, Infinity]]),
+        hasLocalIncomeTax: true,
+        rules: { itemizedDeductions: false },
+        versions: { 2026: { brackets: sameForAll([[0.00, 26050], [0.0275, Infinity]]) } },
+    },
+    'Oklahoma': {
+        abbreviation: 'OK', taxYear: 2025, source: 'Oklahoma Tax Commission',
+        brackets: {
+            single: schedule([[0.0025, 1000], [0.0075, 2500], [0.0175, 3750], [0.0275, 4900], [0.0375, 7200], [0.0475, Infinity]]),
+            mfj: schedule([[0.0025, 2000], [0.0075, 5000], [0.0175, 7500], [0.0275, 9800], [0.0375, 14400], [0.0475, Infinity]]),
+        },
+        standardDeduction: { single: 6350, mfj: 12700, mfs: 6350, hoh: 9350 },
+        personalExemption: perPerson(1000),
+        rules: { retirementIncome: { exclusions: [retirementExclusion(10000)] } },
+    },
+    'Oregon': {
+        abbreviation: 'OR', taxYear: 2025, source: 'Oregon Department of Revenue',
+        brackets: {
+            single: schedule([[0.0475, 4400], [0.0675, 11050], [0.0875, 125000], [0.099, Infinity]]),
+            mfj: schedule([[0.0475, 8800], [0.0675, 22100], [0.0875, 250000], [0.099, Infinity]]),
+            hoh: schedule([[0.0475, 8800], [0.0675, 22100], [0.0875, 250000], [0.099, Infinity]]),
+        },
+        standardDeduction: { single: 2835, mfj: 5670, mfs: 2835, hoh: 4560 },
+        hasLocalIncomeTax: true,
+        rules: {
+            payrollTaxes: [
+                payrollTax('OR Paid Leave', 0.006, { wageBase: 'socialSecurity' }),
+                payrollTax('OR Transit Tax', 0.001),
+            ],
+        },
+    },
+    'Pennsylvania': {
+        abbreviation: 'PA', taxYear: 2025, source: 'Pennsylvania Department of Revenue',
+        brackets: flat(0.0307),
+        hasLocalIncomeTax: true,
+        rules: {
+            retirementContributionConformity: false,
+            itemizedDeductions: false,
+            retirementIncome: { exclusions: [retirementExclusion(Infinity, 59.5)] },
+        },
+    },
+    'Rhode Island': {
+        abbreviation: 'RI', taxYear: 2025, source: 'Rhode Island Division of Taxation',
+        brackets: sameForAll([[0.0375, 79900], [0.0475, 181650], [0.0599, Infinity]]),
+        standardDeduction: { single: 10900, mfj: 21800, mfs: 10900, hoh: 16350 },
+        personalExemption: perPerson(5100),
+        rules: { payrollTaxes: [payrollTax('RI TDI', 0.011, { wageBase: 89200 })], retirementIncome: { socialSecurityTaxableShare: 1 } },
+    },
+    'South Carolina': {
+        abbreviation: 'SC', taxYear: 2025, source: 'South Carolina Department of Revenue',
+        brackets: sameForAll([[0.00, 3560], [0.03, 17830], [0.06, Infinity]]),
+        standardDeduction: 'federal',
+        rules: {
+            capitalGains: { longTermExclusionRate: 0.44 },
+            retirementIncome: { exclusions: [retirementExclusion(3000), retirementExclusion(10000, 65)] },
+        },
+    },
+    'South Dakota': {
+        abbreviation: 'SD', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'Tennessee': {
+        abbreviation: 'TN', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'Texas': {
+        abbreviation: 'TX', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+    'Utah': {
+        abbreviation: 'UT', taxYear: 2025, source: 'Utah State Tax Commission',
+        brackets: flat(0.045),
+        rules: { retirementIncome: { socialSecurityTaxableShare: 1 } },
+    },
+    'Vermont': {
+        abbreviation: 'VT', taxYear: 2025, source: 'Vermont Department of Taxes',
+        brackets: {
+            single: schedule([[0.0335, 49400], [0.066, 119700], [0.076, 249700], [0.0875, Infinity]]),
+            mfj: schedule([[0.0335, 82500], [0.066, 199450], [0.076, 304000], [0.0875, Infinity]]),
+            hoh: schedule([[0.0335, 66200], [0.066, 170650], [0.076, 276850], [0.0875, Infinity]]),
+        },
+        standardDeduction: { single: 7400, mfj: 14850, mfs: 7400, hoh: 11100 },
+        personalExemption: perPerson(5300),
+        rules: { retirementIncome: { socialSecurityTaxableShare: 1 } },
+    },
+    'Virginia': {
+        abbreviation: 'VA', taxYear: 2025, source: 'Virginia Department of Taxation',
+        brackets: sameForAll([[0.02, 3000], [0.03, 5000], [0.05, 17000], [0.0575, Infinity]]),
+        standardDeduction: { single: 8500, mfj: 17000, mfs: 8500, hoh: 8500 },
+        personalExemption: perPerson(930),
+        rules: { indexedForInflation: false, retirementIncome: { exclusions: [retirementExclusion(12000, 65)] } },
+    },
+    'Washington': {
+        abbreviation: 'WA', taxYear: 2025, source: 'Washington Department of Revenue (no wage income tax)',
+        brackets: noIncomeTax,
+        rules: {
+            // Capital gains excise: 7% above the standard deduction, 9.9% on gains over $1M
+            capitalGains: { longTermBrackets: sameForAll([[0.00, 278000], [0.07, 1278000], [0.099, Infinity]]) },
+            payrollTaxes: [
+                payrollTax('WA Paid Leave', 0.00657, { wageBase: 'socialSecurity' }),
+                payrollTax('WA Cares', 0.0058, { saltDeductible: false }),
+            ],
+        },
+    },
+    'West Virginia': {
+        abbreviation: 'WV', taxYear: 2025, source: 'West Virginia Tax Division',
+        brackets: sameForAll([[0.0222, 10000], [0.0296, 25000], [0.0333, 40000], [0.0444, 60000], [0.0482, Infinity]]),
+        personalExemption: perPerson(2000),
+        rules: { indexedForInflation: false, itemizedDeductions: false },
+    },
+    'Wisconsin': {
+        abbreviation: 'WI', taxYear: 2025, source: 'Wisconsin Department of Revenue',
+        brackets: {
+            single: schedule([[0.035, 14680], [0.044, 29370], [0.053, 323290], [0.0765, Infinity]]),
+            mfj: schedule([[0.035, 19580], [0.044, 39150], [0.053, 431060], [0.0765, Infinity]]),
+        },
+        // Maximum of the sliding-scale deduction; it phases out at higher incomes.
+        standardDeduction: { single: 13560, mfj: 25110, mfs: 11920, hoh: 17530 },
+        personalExemption: perPerson(700),
+        rules: { capitalGains: { longTermExclusionRate: 0.3 } },
+    },
+    'Wyoming': {
+        abbreviation: 'WY', taxYear: 2025, source: 'No state income tax',
+        brackets: noIncomeTax,
+    },
+};
+
+export const STATE_ABBREVIATIONS = Object.fromEntries(
+    Object.entries(STATE_TAX_DATA).map(([state, data]) => [state, data.abbreviation])
+);
+
+export const STATES_WITH_LOCAL_TAX = Object.keys(STATE_TAX_DATA).filter(state => STATE_TAX_DATA[state].hasLocalIncomeTax);
+
+// Effective property tax rates (%): property taxes paid as a share of owner-occupied home value, statewide averages
+// (Tax Foundation, from Census American Community Survey data). Local rates vary widely around these.
+export const EFFECTIVE_PROPERTY_TAX_RATES = {
+    'Alabama': 0.38, 'Alaska': 1.04, 'Arizona': 0.52, 'Arkansas': 0.57, 'California': 0.71, 'Colorado': 0.49,
+    'Connecticut': 1.48, 'Delaware': 0.50, 'District of Columbia': 0.57, 'Florida': 0.79, 'Georgia': 0.83, 'Hawaii': 0.27,
+    'Idaho': 0.47, 'Illinois': 1.95, 'Indiana': 0.74, 'Iowa': 1.43, 'Kansas': 1.29, 'Kentucky': 0.77,
+    'Louisiana': 0.51, 'Maine': 1.04, 'Maryland': 0.96, 'Massachusetts': 1.04, 'Michigan': 1.24, 'Minnesota': 1.02,
+    'Mississippi': 0.67, 'Missouri': 0.88, 'Montana': 0.68, 'Nebraska': 1.50, 'Nevada': 0.49, 'New Hampshire': 1.61,
+    'New Jersey': 2.08, 'New Mexico': 0.67, 'New York': 1.41, 'North Carolina': 0.70, 'North Dakota': 0.90, 'Ohio': 1.30,
+    'Oklahoma': 0.80, 'Oregon': 0.82, 'Pennsylvania': 1.35, 'Rhode Island': 1.23, 'South Carolina': 0.51, 'South Dakota': 1.04,
+    'Tennessee': 0.56, 'Texas': 1.58, 'Utah': 0.52, 'Vermont': 1.71, 'Virginia': 0.80, 'Washington': 0.80,
+    'West Virginia': 0.53, 'Wisconsin': 1.51, 'Wyoming': 0.55,
+};